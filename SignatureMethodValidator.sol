@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC1271 {
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4);
+}
+
+// Deployless signature check: run as the init code of an eth_call without "to".
+// Returns one 32-byte word: 0 invalid, 1 ecrecover, 2 ERC-1271, 3 ERC-6492 (ERC-1271 after counterfactual deployment)
+contract SignatureMethodValidator {
+    bytes32 private constant ERC6492_SUFFIX = 0x6492649264926492649264926492649264926492649264926492649264926492;
+
+    constructor(address signer, bytes32 hash, bytes memory signature) {
+        uint256 method = check(signer, hash, signature);
+        assembly {
+            mstore(0, method)
+            return(0, 32)
+        }
+    }
+
+    function check(address signer, bytes32 hash, bytes memory signature) private returns (uint256) {
+        uint256 length = signature.length;
+        bytes32 suffix;
+        if (length >= 32) {
+            assembly {
+                suffix := mload(add(add(signature, 32), sub(length, 32)))
+            }
+        }
+
+        if (suffix == ERC6492_SUFFIX) {
+            assembly {
+                mstore(signature, sub(length, 32))
+            }
+            (address factory, bytes memory factoryCalldata, bytes memory inner) = abi.decode(signature, (address, bytes, bytes));
+            if (signer.code.length == 0) {
+                (bool deployed, ) = factory.call(factoryCalldata);
+                if (!deployed || signer.code.length == 0) {
+                    return 0;
+                }
+            }
+            return isValid1271(signer, hash, inner) ? 3 : 0;
+        }
+
+        if (signer.code.length > 0) {
+            return isValid1271(signer, hash, signature) ? 2 : 0;
+        }
+
+        if (length != 65) {
+            return 0;
+        }
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 32))
+            s := mload(add(signature, 64))
+            v := byte(0, mload(add(signature, 96)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+        return ecrecover(hash, v, r, s) == signer ? 1 : 0;
+    }
+
+    function isValid1271(address signer, bytes32 hash, bytes memory signature) private view returns (bool) {
+        try IERC1271(signer).isValidSignature(hash, signature) returns (bytes4 magic) {
+            return magic == IERC1271.isValidSignature.selector;
+        } catch {
+            return false;
+        }
+    }
+}
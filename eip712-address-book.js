@@ -0,0 +1,142 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { PERMIT2_ADDRESS } = require('./eip712-permit2.js');
+const { GPV2_SETTLEMENT_ADDRESS } = require('./eip712-cow.js');
+
+/**
+ * Address Book
+ *
+ * Labels for addresses that show up in signing previews, and what the risk
+ * lint knows about them. An entry is
+ *
+ *   { address, label, kind: 'token' | 'nft' | 'contract' | 'account', chainId?, symbol?, decimals? }
+ *
+ * Entries without a chainId apply on every chain (e.g. Permit2, which has
+ * the same address everywhere). Extra entries load from JSON files holding
+ * an array, one entry, or { "addresses": [...] }.
+ */
+
+const ADDRESS_KINDS = ['token', 'nft', 'contract', 'account'];
+
+const BUILT_IN_ADDRESSES = [
+    { chainId: 1, address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', label: 'DAI', kind: 'token', symbol: 'DAI', decimals: 18 },
+    { chainId: 1, address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', label: 'USDC', kind: 'token', symbol: 'USDC', decimals: 6 },
+    { chainId: 1, address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', label: 'USDT', kind: 'token', symbol: 'USDT', decimals: 6 },
+    { chainId: 1, address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', label: 'WETH', kind: 'token', symbol: 'WETH', decimals: 18 },
+    { chainId: 1, address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', label: 'WBTC', kind: 'token', symbol: 'WBTC', decimals: 8 },
+    { chainId: 1, address: '0x1f9840a85d5aF5bf1D1762F925BDADdC4201F984', label: 'UNI', kind: 'token', symbol: 'UNI', decimals: 18 },
+    { chainId: 1, address: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88', label: 'Uniswap V3 Positions NFT', kind: 'nft', symbol: 'UNI-V3-POS' },
+    { chainId: 1, address: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', label: 'Uniswap V2 Router 02', kind: 'contract' },
+    { chainId: 1, address: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45', label: 'Uniswap V3 SwapRouter02', kind: 'contract' },
+    { chainId: 1, address: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD', label: 'Uniswap Universal Router', kind: 'contract' },
+    { address: PERMIT2_ADDRESS, label: 'Uniswap Permit2', kind: 'contract' },
+    { address: GPV2_SETTLEMENT_ADDRESS, label: 'CoW Protocol GPv2Settlement', kind: 'contract' },
+    { address: '0xC92E8bdf79f0507f65a392b0ab4667716BFE0110', label: 'CoW Protocol GPv2VaultRelayer', kind: 'contract' }
+];
+
+/**
+ * Check an address book entry
+ * @param {Object} entry - Entry
+ * @param {string} source - Where the entry came from (for error messages)
+ * @returns {Object} Normalized entry (checksummed address, numeric chainId)
+ */
+function validateAddressEntry(entry, source = 'address book') {
+    if (!entry || typeof entry !== 'object') {
+        throw new Error(`${source}: address book entry must be an object`);
+    }
+    if (typeof entry.address !== 'string' || !ethers.isAddress(entry.address)) {
+        throw new Error(`${source}: invalid address ${JSON.stringify(entry.address)}`);
+    }
+    if (typeof entry.label !== 'string' || !entry.label) {
+        throw new Error(`${source}: entry ${entry.address} needs a "label"`);
+    }
+    const kind = entry.kind || 'account';
+    if (!ADDRESS_KINDS.includes(kind)) {
+        throw new Error(`${source}: entry ${entry.address} has unknown kind "${kind}" (expected ${ADDRESS_KINDS.join(', ')})`);
+    }
+    if (entry.decimals !== undefined && (!Number.isInteger(entry.decimals) || entry.decimals < 0 || entry.decimals > 77)) {
+        throw new Error(`${source}: entry ${entry.address} has invalid decimals ${JSON.stringify(entry.decimals)}`);
+    }
+    return {
+        ...entry,
+        address: ethers.getAddress(entry.address.toLowerCase()),
+        kind,
+        chainId: entry.chainId !== undefined && entry.chainId !== null ? Number(entry.chainId) : null
+    };
+}
+
+class AddressBook {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Add an entry (a later entry for the same chain and address replaces the earlier one)
+     * @param {Object} entry - { address, label, kind, chainId?, symbol?, decimals? }
+     * @param {string} source - Where the entry came from
+     * @returns {AddressBook} this
+     */
+    register(entry, source = 'built-in') {
+        const normalized = validateAddressEntry(entry, source);
+        this.entries.set(`${normalized.chainId ?? '*'}:${normalized.address.toLowerCase()}`, { ...normalized, source });
+        return this;
+    }
+
+    /**
+     * Look up an address: an entry for the chain first, then one for every chain
+     * @param {string} address - Address
+     * @param {number|string} chainId - Chain ID (optional)
+     * @returns {Object|null} Entry or null
+     */
+    lookup(address, chainId = null) {
+        if (typeof address !== 'string' || !ethers.isAddress(address)) {
+            return null;
+        }
+        const key = address.toLowerCase();
+        return (chainId !== null && chainId !== undefined && this.entries.get(`${Number(chainId)}:${key}`))
+            || this.entries.get(`*:${key}`)
+            || null;
+    }
+
+    /**
+     * List every entry
+     * @returns {Array} Entries
+     */
+    list() {
+        return [...this.entries.values()];
+    }
+
+    /**
+     * Load entries from a JSON file holding an array, one entry, or { addresses: [...] }
+     * @param {string} filePath - JSON file path
+     * @returns {AddressBook} this
+     */
+    loadFile(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${filePath}: cannot read address book (${error.message})`);
+        }
+        const entries = Array.isArray(content) ? content : (content.addresses || [content]);
+        entries.forEach(entry => this.register(entry, filePath));
+        return this;
+    }
+}
+
+/**
+ * Create an address book holding the built-in entries
+ * @returns {AddressBook} Address book
+ */
+function createDefaultAddressBook() {
+    const book = new AddressBook();
+    BUILT_IN_ADDRESSES.forEach(entry => book.register(entry));
+    return book;
+}
+
+module.exports = {
+    ADDRESS_KINDS,
+    BUILT_IN_ADDRESSES,
+    AddressBook,
+    createDefaultAddressBook
+};
@@ -0,0 +1,344 @@
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+const { hashTypedData, getDomainFields, withoutDomainType } = require('./eip712-breakdown.js');
+const { loadWallet } = require('./eip712-keys.js');
+const { sendRpcRequest } = require('./eip712-rpc.js');
+
+/**
+ * Signer Backends
+ *
+ * Where EIP712Signer's signatures come from. A backend is any object with
+ *
+ *   { kind, address, getAddress(), signTypedData(typedData), signMessage(bytes) }
+ *
+ * `address` is null until getAddress() has resolved it. signTypedData gets the
+ * full payload { domain, types, primaryType, message } so remote signers can
+ * show and hash it themselves; the signer checks every returned signature by
+ * recovering it against its own digest.
+ *  - local: an ethers wallet (raw key, keystore, mnemonic, ...)
+ *  - json-rpc: a remote signer answering eth_signTypedData_v4 and personal_sign
+ *    (Clef: --signer-rpc-method account_signTypedData, or a signing service)
+ *  - command: an external program that gets a JSON-RPC style request on stdin
+ *    ({ "method", "params" }) and prints the result on stdout
+ *  - mock: an in-process signer with a fixed test key that records its requests
+ */
+
+// Fixed, publicly known key of the mock backend: never send funds to its address
+const MOCK_PRIVATE_KEY = ethers.id('eip712-signature-tester mock backend');
+const DEFAULT_COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * Build the eth_signTypedData_v4 document for a payload: EIP712Domain is declared explicitly
+ * (from the types, else from the domain values) so the remote signer hashes the same domain fields
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ * @returns {Object} Typed-data document with bigints as decimal strings
+ */
+function toTypedDataDocument({ domain, types, primaryType, message }) {
+    const document = {
+        types: { EIP712Domain: getDomainFields(domain, types), ...withoutDomainType(types) },
+        primaryType,
+        domain,
+        message
+    };
+    return JSON.parse(JSON.stringify(document, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+/**
+ * Normalize a signature returned by a backend to 65-byte hex (v = 27/28)
+ * @param {*} signature - Backend result
+ * @param {string} source - Backend description (for error messages)
+ * @returns {string} Signature
+ */
+function normalizeBackendSignature(signature, source) {
+    try {
+        return ethers.Signature.from(signature).serialized;
+    } catch (error) {
+        throw new Error(`${source} returned an invalid signature ${JSON.stringify(signature)}`);
+    }
+}
+
+/**
+ * Pick the account of a remote signer that was not given one: its only account
+ * @param {Array} accounts - Accounts reported by the signer
+ * @param {string} source - Backend description (for error messages)
+ * @returns {string} Checksummed address
+ */
+function selectAccount(accounts, source) {
+    if (!Array.isArray(accounts)) {
+        throw new Error(`${source} returned no account list`);
+    }
+    if (accounts.length !== 1) {
+        throw new Error(`${source} has ${accounts.length} accounts${accounts.length ? ` (${accounts.join(', ')})` : ''}: choose one with --signer-address`);
+    }
+    return ethers.getAddress(accounts[0]);
+}
+
+class LocalWalletBackend {
+    /**
+     * @param {ethers.Wallet|ethers.HDNodeWallet} wallet - Wallet holding the key
+     */
+    constructor(wallet) {
+        this.kind = 'local';
+        this.wallet = wallet;
+        this.address = wallet.address;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    /**
+     * Sign the payload's digest directly so a declared EIP712Domain and primaryType are honored
+     * @param {Object} typedData - { domain, types, primaryType, message }
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(typedData) {
+        return this.wallet.signingKey.sign(hashTypedData(typedData)).serialized;
+    }
+
+    /**
+     * Sign an EIP-191 personal message
+     * @param {Uint8Array|string} message - Bytes or UTF-8 text
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        return this.wallet.signMessageSync(message);
+    }
+}
+
+class JsonRpcBackend {
+    /**
+     * @param {Object} params - { url, address: account to sign with (default: the endpoint's only account),
+     *                           method: typed-data method (default: eth_signTypedData_v4) }
+     */
+    constructor({ url, address = null, method = 'eth_signTypedData_v4' }) {
+        if (!url) {
+            throw new Error('A signer URL is required (--signer-rpc <url>)');
+        }
+        this.kind = 'json-rpc';
+        this.url = url;
+        this.method = method;
+        this.address = address ? ethers.getAddress(address) : null;
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            this.address = selectAccount(await sendRpcRequest(this.url, 'eth_accounts'), `Signer ${this.url}`);
+        }
+        return this.address;
+    }
+
+    /**
+     * Sign through the endpoint's typed-data method (eth_signTypedData_v4 takes the document as a JSON string)
+     * @param {Object} typedData - { domain, types, primaryType, message }
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(typedData) {
+        const address = await this.getAddress();
+        const document = toTypedDataDocument(typedData);
+        const param = this.method.startsWith('eth_signTypedData') ? JSON.stringify(document) : document;
+        return normalizeBackendSignature(await sendRpcRequest(this.url, this.method, [address, param]), `Signer ${this.url}`);
+    }
+
+    /**
+     * Sign an EIP-191 personal message through personal_sign
+     * @param {Uint8Array|string} message - Bytes or UTF-8 text
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const address = await this.getAddress();
+        const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+        return normalizeBackendSignature(await sendRpcRequest(this.url, 'personal_sign', [data, address]), `Signer ${this.url}`);
+    }
+}
+
+class CommandBackend {
+    /**
+     * @param {Object} params - { command: shell command, address: account to sign with (default: ask with eth_accounts),
+     *                           timeout: milliseconds per request (default: 2 minutes) }
+     */
+    constructor({ command, address = null, timeout = DEFAULT_COMMAND_TIMEOUT_MS }) {
+        if (!command) {
+            throw new Error('A signer command is required (--signer-command <cmd>)');
+        }
+        this.kind = 'command';
+        this.command = command;
+        this.timeout = timeout;
+        this.address = address ? ethers.getAddress(address) : null;
+    }
+
+    /**
+     * Run the command with one request on stdin. Stdout is the result: JSON, a JSON-RPC response
+     * ({ result } or { error }), or plain text such as a hex signature
+     * @param {string} method - Request method
+     * @param {Array} params - Request parameters
+     * @returns {Promise<*>} Result
+     */
+    request(method, params = []) {
+        const source = `Signer command "${this.command}"`;
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+            let stdout = '';
+            let stderr = '';
+            const timer = setTimeout(() => {
+                child.kill();
+                reject(new Error(`${source} did not answer ${method} within ${this.timeout} ms`));
+            }, this.timeout);
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.on('error', error => {
+                clearTimeout(timer);
+                reject(new Error(`${source} could not be started: ${error.message}`));
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code !== 0) {
+                    reject(new Error(`${source} failed on ${method} (exit code ${code})${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+                    return;
+                }
+                const text = stdout.trim();
+                let result = text;
+                try {
+                    result = JSON.parse(text);
+                } catch (error) {
+                    // Plain text answer
+                }
+                if (result && typeof result === 'object' && !Array.isArray(result) && ('result' in result || 'error' in result)) {
+                    if (result.error) {
+                        reject(new Error(`${source} rejected ${method}: ${result.error.message || JSON.stringify(result.error)}`));
+                        return;
+                    }
+                    result = result.result;
+                }
+                resolve(result);
+            });
+            // The command may exit without reading its input
+            child.stdin.on('error', () => {});
+            child.stdin.end(`${JSON.stringify({ method, params })}\n`);
+        });
+    }
+
+    async getAddress() {
+        if (!this.address) {
+            this.address = selectAccount(await this.request('eth_accounts'), `Signer command "${this.command}"`);
+        }
+        return this.address;
+    }
+
+    /**
+     * Sign with an eth_signTypedData_v4 request (the document as a JSON string, as wallets receive it)
+     * @param {Object} typedData - { domain, types, primaryType, message }
+     * @returns {Promise<string>} Signature
+     */
+    async signTypedData(typedData) {
+        const address = await this.getAddress();
+        const signature = await this.request('eth_signTypedData_v4', [address, JSON.stringify(toTypedDataDocument(typedData))]);
+        return normalizeBackendSignature(signature, `Signer command "${this.command}"`);
+    }
+
+    /**
+     * Sign an EIP-191 personal message with a personal_sign request
+     * @param {Uint8Array|string} message - Bytes or UTF-8 text
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const address = await this.getAddress();
+        const data = typeof message === 'string' ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+        return normalizeBackendSignature(await this.request('personal_sign', [data, address]), `Signer command "${this.command}"`);
+    }
+}
+
+class MockBackend {
+    /**
+     * A remote-style backend for tests: it only sees the typed-data document, like a real remote signer
+     * @param {Object} params - { privateKey (default: the fixed mock key), respond: (request) => result that
+     *                           replaces the signature, e.g. to simulate a misbehaving signer }
+     */
+    constructor({ privateKey = MOCK_PRIVATE_KEY, respond = null } = {}) {
+        this.kind = 'mock';
+        this.key = new ethers.SigningKey(privateKey);
+        this.address = ethers.computeAddress(this.key);
+        this.respond = respond;
+        this.requests = [];
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    /**
+     * Record a request and answer it with `respond` or the given signature
+     * @param {Object} request - { method, params }
+     * @param {Function} sign - () => signature
+     * @returns {string} Signature
+     */
+    answer(request, sign) {
+        this.requests.push(request);
+        return normalizeBackendSignature(this.respond ? this.respond(request) : sign(), 'Mock signer');
+    }
+
+    async signTypedData(typedData) {
+        const document = toTypedDataDocument(typedData);
+        return this.answer({ method: 'eth_signTypedData_v4', params: [this.address, document] }, () => this.key.sign(hashTypedData(document)).serialized);
+    }
+
+    async signMessage(message) {
+        const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : ethers.getBytes(message);
+        return this.answer({ method: 'personal_sign', params: [ethers.hexlify(bytes), this.address] }, () => this.key.sign(ethers.hashMessage(bytes)).serialized);
+    }
+}
+
+/**
+ * Wrap a private key or wallet in a local backend; backends pass through
+ * @param {string|ethers.Wallet|ethers.HDNodeWallet|Object} key - Private key, wallet or backend
+ * @returns {Object} Signer backend
+ */
+function createSignerBackend(key) {
+    if (typeof key === 'string') {
+        return new LocalWalletBackend(new ethers.Wallet(key));
+    }
+    if (key instanceof ethers.BaseWallet) {
+        return new LocalWalletBackend(key);
+    }
+    if (key && typeof key.signTypedData === 'function' && typeof key.signMessage === 'function' && typeof key.getAddress === 'function') {
+        return key;
+    }
+    throw new Error('Expected a private key, a wallet or a signer backend (signTypedData, signMessage, getAddress)');
+}
+
+/**
+ * Load the backend for a key source: a remote signer (signerRpc, signerCommand) or a local wallet
+ * @param {Object} source - Key source (see loadWallet in eip712-keys.js) plus { signerRpc, signerRpcMethod,
+ *                          signerCommand, signerAddress }
+ * @param {Object} io - { prompt } override for the hidden prompt
+ * @returns {Promise<Object>} Signer backend with its address resolved
+ */
+async function loadSignerBackend(source = {}, io = {}) {
+    if (source.signerRpc && source.signerCommand) {
+        throw new Error('Use either --signer-rpc or --signer-command, not both');
+    }
+    let backend;
+    if (source.signerRpc) {
+        backend = new JsonRpcBackend({ url: source.signerRpc, address: source.signerAddress, method: source.signerRpcMethod });
+    } else if (source.signerCommand) {
+        backend = new CommandBackend({ command: source.signerCommand, address: source.signerAddress });
+    } else {
+        backend = new LocalWalletBackend(await loadWallet(source, io));
+        if (source.signerAddress && ethers.getAddress(source.signerAddress) !== backend.address) {
+            throw new Error(`The loaded key is ${backend.address}, not --signer-address ${ethers.getAddress(source.signerAddress)}`);
+        }
+    }
+    await backend.getAddress();
+    return backend;
+}
+
+module.exports = {
+    MOCK_PRIVATE_KEY,
+    LocalWalletBackend,
+    JsonRpcBackend,
+    CommandBackend,
+    MockBackend,
+    toTypedDataDocument,
+    createSignerBackend,
+    loadSignerBackend
+};
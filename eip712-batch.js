@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { parseTypedDataDocument } = require('./eip712-input.js');
+const { parseDeadline, findDeadlineField } = require('./eip712-deadline.js');
+
+/**
+ * Batch Signing
+ *
+ * Signs many rows with one signer. Rows come from JSONL (full
+ * eth_signTypedData_v4 documents or permit rows) or CSV (permit rows with a
+ * header line). Every row yields one result, so a bad row is reported and
+ * the rest of the batch still gets signed.
+ *
+ * Permit row fields: token (or verifyingContract), spender, value, nonce,
+ * deadline, chainId, name, version, owner, style, tokenId, allowed.
+ */
+
+// Fields a document or permit row may use for its owner
+const OWNER_FIELDS = ['owner', 'holder', 'from', 'signer'];
+
+/**
+ * Split CSV text into records (RFC 4180 quoting: "a,b" and "" inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array} [{ fields, line }] where line is the 1-based line the record starts on
+ */
+function parseCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                // Quoted fields may span lines; keep counting so later records report the right line
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push({ fields: record, line: startLine });
+            record = [];
+            field = '';
+            line++;
+            startLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push({ fields: record, line: startLine });
+    }
+    return records;
+}
+
+/**
+ * Parse batch input into rows; unparsable lines become rows carrying an error
+ * @param {string} text - File contents
+ * @param {string} format - jsonl or csv
+ * @returns {Array} [{ line, data } | { line, error }]
+ */
+function parseBatchRows(text, format = 'jsonl') {
+    if (format === 'csv') {
+        const records = parseCsvRecords(text);
+        const header = (records.length > 0 ? records.shift().fields : []).map(name => name.trim());
+        return records
+            .filter(({ fields }) => fields.some(value => value.trim() !== ''))
+            .map(({ fields: record, line }) => {
+                if (record.length !== header.length) {
+                    return { line, error: `expected ${header.length} columns, got ${record.length}` };
+                }
+                const data = {};
+                header.forEach((name, i) => {
+                    // Blank cells mean "not given", e.g. an empty nonce is auto-assigned
+                    if (record[i].trim() !== '') {
+                        data[name] = record[i].trim();
+                    }
+                });
+                return { line, data };
+            });
+    }
+    if (format !== 'jsonl') {
+        throw new Error(`Unknown batch format "${format}" (expected jsonl or csv)`);
+    }
+
+    return text.split(/\r?\n/)
+        .map((content, index) => ({ content: content.trim(), line: index + 1 }))
+        .filter(({ content }) => content !== '' && !content.startsWith('#'))
+        .map(({ content, line }) => {
+            try {
+                return { line, data: JSON.parse(content) };
+            } catch (error) {
+                return { line, error: `invalid JSON (${error.message})` };
+            }
+        });
+}
+
+/**
+ * Read a batch file; the format follows the extension unless given
+ * @param {string} filePath - .jsonl or .csv file
+ * @param {string} format - Optional explicit format
+ * @returns {Array} Rows (see parseBatchRows)
+ */
+function readBatchFile(filePath, format = null) {
+    const resolvedFormat = format || (path.extname(filePath).toLowerCase() === '.csv' ? 'csv' : 'jsonl');
+    return parseBatchRows(fs.readFileSync(filePath, 'utf8'), resolvedFormat);
+}
+
+/**
+ * Hands out nonces per (chainId, token, owner): blank nonces continue after the
+ * last nonce signed for the same key, starting from `start`. Nonces are only
+ * committed once a row is signed, so a failed row does not leave a gap.
+ * @param {Object} options - { start = 0 }
+ * @returns {Object} { assign(key, explicit), commit(key, nonce) }
+ */
+function createNonceCounter({ start = 0 } = {}) {
+    const next = new Map();
+    return {
+        assign(key, explicit) {
+            if (explicit !== undefined && explicit !== null && explicit !== '') {
+                return BigInt(explicit).toString();
+            }
+            return (next.has(key) ? next.get(key) : BigInt(start)).toString();
+        },
+        commit(key, nonce) {
+            next.set(key, BigInt(nonce) + 1n);
+        }
+    };
+}
+
+/**
+ * Find the owner a row signs for
+ * @param {Object} fields - Permit row or message
+ * @param {string} fallback - Signer address
+ * @returns {string} Owner address
+ */
+function rowOwner(fields, fallback) {
+    const field = OWNER_FIELDS.find(name => fields[name]);
+    return ethers.getAddress(field ? fields[field] : fallback);
+}
+
+/**
+ * Sign one row
+ * @param {EIP712Signer} signer - Signer
+ * @param {Object} data - Row data
+ * @param {Object} context - { nonces, defaults, deadline, deadlineField, force }
+ * @returns {Promise<Object>} Signature result plus the nonce used
+ */
+async function signRow(signer, data, context) {
+    const { nonces, defaults = {}, force = false } = context;
+
+    if (data.types && data.message) {
+        const payload = parseTypedDataDocument(data, 'row');
+        const message = { ...payload.message };
+        const hasNonce = payload.types[payload.primaryType].some(field => field.name === 'nonce');
+        let nonce = null;
+        let key = null;
+        if (hasNonce) {
+            key = [payload.domain.chainId, payload.domain.verifyingContract, rowOwner(message, await signer.getAddress())].join(':').toLowerCase();
+            nonce = nonces.assign(key, message.nonce);
+            message.nonce = nonce;
+        }
+        // The row's own deadline value (deadline, validTo, expiry, ...) is kept; otherwise the row or batch deadline is used
+        const field = findDeadlineField(payload.types[payload.primaryType], context.deadlineField);
+        const deadline = field && message[field.name] !== undefined ? null : (data.deadline || context.deadline);
+        const result = await signer.signTypedData(payload.domain, payload.types, message, deadline, payload.primaryType, {
+            force,
+            deadlineField: context.deadlineField
+        });
+        if (hasNonce) {
+            nonces.commit(key, nonce);
+        }
+        return { ...result, nonce };
+    }
+
+    const row = { ...defaults, ...data };
+    const token = row.token || row.verifyingContract;
+    if (!token) {
+        throw new Error('row is neither a typed-data document (types, message) nor a permit row (token)');
+    }
+    const chainId = Number(row.chainId || 1);
+    const owner = rowOwner(row, await signer.getAddress());
+    const key = [chainId, token, owner].join(':').toLowerCase();
+    const nonce = nonces.assign(key, row.nonce);
+
+    const result = await signer.signPermit({
+        style: row.style,
+        tokenName: row.name || row.tokenName,
+        tokenVersion: row.version ?? row.tokenVersion,
+        chainId,
+        verifyingContract: token,
+        owner: row.owner || row.holder,
+        spender: row.spender,
+        value: row.value,
+        tokenId: row.tokenId,
+        allowed: row.allowed,
+        nonce,
+        deadline: row.deadline ? parseDeadline(row.deadline) : context.deadline,
+        force
+    });
+    nonces.commit(key, nonce);
+    return { ...result, nonce };
+}
+
+/**
+ * Sign every row, reporting each outcome through onResult as it completes
+ * @param {EIP712Signer} signer - Signer
+ * @param {Array} rows - Rows from parseBatchRows / readBatchFile
+ * @param {Object} options - { defaults, deadline, deadlineField, startNonce, force, formatSignature, onResult }
+ * @returns {Promise<Object>} { results, signed, failed }
+ */
+async function signBatch(signer, rows, options = {}) {
+    const nonces = createNonceCounter({ start: options.startNonce || 0 });
+    const formatSig = options.formatSignature || (signature => signature);
+    const results = [];
+
+    for (const row of rows) {
+        let result;
+        if (row.error) {
+            result = { line: row.line, ok: false, error: row.error };
+        } else {
+            try {
+                const signed = await signRow(signer, row.data, { ...options, nonces });
+                result = {
+                    line: row.line,
+                    ok: true,
+                    signature: formatSig(signed.signature),
+                    digest: signed.digest,
+                    deadline: signed.deadline,
+                    nonce: signed.nonce,
+                    primaryType: signed.primaryType,
+                    signer: signed.signer
+                };
+            } catch (error) {
+                result = { line: row.line, ok: false, error: error.message.replace(/^Failed to sign typed data: /, '') };
+            }
+        }
+        results.push(result);
+        if (options.onResult) {
+            options.onResult(result);
+        }
+    }
+
+    return {
+        results,
+        signed: results.filter(result => result.ok).length,
+        failed: results.filter(result => !result.ok).length
+    };
+}
+
+module.exports = {
+    parseCsvRecords,
+    parseBatchRows,
+    readBatchFile,
+    createNonceCounter,
+    signBatch
+};
@@ -0,0 +1,504 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+const {
+    DOMAIN_FIELDS,
+    withoutDomainType,
+    resolvePrimaryType,
+    findTypeDependencies,
+    encodeType,
+    typeHash,
+    breakdownTypedData
+} = require('./eip712-breakdown.js');
+const { isPrimitiveType } = require('./eip712-validate.js');
+
+/**
+ * Solidity Code Generation
+ *
+ * Generates a Solidity library from typed-data definitions, so contracts
+ * hash exactly the type strings this tool signs:
+ *
+ *   - one struct per EIP-712 type and a <NAME>_TYPEHASH constant for each
+ *   - hashStruct() overloads (nested structs, arrays of any depth)
+ *   - domainSeparator() for the payload's EIP712Domain fields and hashTypedData()
+ *
+ * plus a Foundry test that builds the payload's message in Solidity and
+ * asserts the type hash, domain separator, struct hash and digest computed
+ * here. Fields the payload leaves unset get deterministic sample values.
+ */
+
+const SOLIDITY_PRAGMA = '^0.8.20';
+
+// Sample verifyingContract (the one used by the EIP-712 Mail example)
+const SAMPLE_VERIFYING_CONTRACT = '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC';
+
+// abi.encode takes at most this many words per call; longer structs are encoded in chunks
+// joined with bytes.concat (every word is 32 bytes, so the result is identical) to avoid "stack too deep"
+const ENCODE_CHUNK_SIZE = 8;
+
+// Keywords and reserved words Solidity rejects as identifiers (elementary type names are checked separately)
+const RESERVED_IDENTIFIERS = new Set([
+    'abstract', 'after', 'alias', 'anonymous', 'apply', 'assembly', 'auto', 'break', 'byte', 'calldata', 'case',
+    'catch', 'constant', 'constructor', 'continue', 'contract', 'copyof', 'days', 'default', 'define', 'delete',
+    'do', 'else', 'emit', 'enum', 'error', 'ether', 'event', 'external', 'fallback', 'false', 'final', 'fixed',
+    'for', 'function', 'gwei', 'hours', 'if', 'immutable', 'implements', 'import', 'in', 'indexed', 'inline',
+    'interface', 'internal', 'is', 'let', 'library', 'macro', 'mapping', 'match', 'memory', 'minutes', 'modifier',
+    'mutable', 'new', 'null', 'of', 'override', 'partial', 'payable', 'pragma', 'private', 'promise', 'public',
+    'pure', 'receive', 'reference', 'relocatable', 'return', 'returns', 'revert', 'sealed', 'seconds', 'sizeof',
+    'static', 'storage', 'struct', 'super', 'supports', 'switch', 'this', 'true', 'try', 'type', 'typedef',
+    'typeof', 'ufixed', 'unchecked', 'unicode', 'using', 'var', 'view', 'virtual', 'weeks', 'wei', 'while', 'years'
+]);
+
+const ARRAY_PATTERN = /^(.*)\[(\d*)\]$/;
+
+/**
+ * Map an EIP-712 name to a Solidity identifier (reserved words get a trailing underscore)
+ * @param {string} name - Type or field name
+ * @returns {string} Solidity identifier
+ */
+function solidityIdentifier(name) {
+    if (!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name)) {
+        throw new Error(`"${name}" is not a valid Solidity identifier`);
+    }
+    return RESERVED_IDENTIFIERS.has(name) || isPrimitiveType(name) ? `${name}_` : name;
+}
+
+/**
+ * Name of the type hash constant for a struct, e.g. "PermitSingle" -> "PERMIT_SINGLE_TYPEHASH"
+ * @param {string} structName - Struct type name
+ * @returns {string} Constant name
+ */
+function typeHashConstant(structName) {
+    return `${structName.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_TYPEHASH`;
+}
+
+/**
+ * Check that every field type is a Solidity-compatible primitive or a defined struct
+ * @param {Object} types - Message types
+ */
+function checkTypes(types) {
+    Object.keys(types).forEach(name => {
+        if (types[name].length === 0) {
+            throw new Error(`Type "${name}" has no fields; Solidity does not allow empty structs`);
+        }
+        types[name].forEach(field => {
+            const base = field.type.replace(/(\[\d*\])+$/, '');
+            if (!types[base] && !isPrimitiveType(base)) {
+                throw new Error(`${name}.${field.name}: unknown type "${field.type}"`);
+            }
+            solidityIdentifier(field.name);
+        });
+    });
+}
+
+/**
+ * Solidity type name for an EIP-712 type
+ * @param {string} type - EIP-712 type
+ * @param {Object} types - Message types
+ * @param {string} qualifier - Prefix for struct names (e.g. "MailEIP712." outside the library)
+ * @returns {string} Solidity type
+ */
+function solidityType(type, types, qualifier = '') {
+    const base = type.replace(/(\[\d*\])+$/, '');
+    const suffix = type.slice(base.length);
+    return `${types[base] ? `${qualifier}${solidityIdentifier(base)}` : base}${suffix}`;
+}
+
+/**
+ * Whether a type needs a data location (memory) in Solidity
+ * @param {string} type - EIP-712 type
+ * @param {Object} types - Message types
+ * @returns {boolean} True for structs, arrays, string and bytes
+ */
+function isReferenceType(type, types) {
+    return ARRAY_PATTERN.test(type) || Boolean(types[type]) || type === 'string' || type === 'bytes';
+}
+
+/**
+ * Solidity expression for a member's 32-byte encodeData word
+ * @param {string} type - Member type
+ * @param {string} expression - Solidity expression holding the value
+ * @param {Object} context - { types, helpers } (array helpers are registered as needed)
+ * @returns {string} Solidity expression
+ */
+function encodeMember(type, expression, context) {
+    const arrayMatch = type.match(ARRAY_PATTERN);
+    if (arrayMatch) {
+        // Atomic elements are already 32-byte words: abi.encodePacked pads array elements
+        return isReferenceType(arrayMatch[1], context.types)
+            ? `${arrayHelper(type, context)}(${expression})`
+            : `keccak256(abi.encodePacked(${expression}))`;
+    }
+    if (context.types[type]) {
+        return `hashStruct(${expression})`;
+    }
+    if (type === 'string') {
+        return `keccak256(bytes(${expression}))`;
+    }
+    if (type === 'bytes') {
+        return `keccak256(${expression})`;
+    }
+    return expression;
+}
+
+/**
+ * Register (once) the helper that hashes an array of structs, strings, bytes or arrays
+ * @param {string} type - Array type, e.g. "Person[]"
+ * @param {Object} context - { types, helpers }
+ * @returns {string} Helper function name
+ */
+function arrayHelper(type, context) {
+    const mangled = type.replace(/\[(\d*)\]/g, (match, length) => `Array${length}`);
+    const name = `_hash${mangled.charAt(0).toUpperCase()}${mangled.slice(1)}`;
+    if (!context.helpers.has(name)) {
+        context.helpers.set(name, null);
+        const elementType = type.match(ARRAY_PATTERN)[1];
+        context.helpers.set(name, [
+            `    function ${name}(${solidityType(type, context.types)} memory items) private pure returns (bytes32) {`,
+            '        bytes32[] memory hashes = new bytes32[](items.length);',
+            '        for (uint256 i = 0; i < items.length; i++) {',
+            `            hashes[i] = ${encodeMember(elementType, 'items[i]', context)};`,
+            '        }',
+            '        return keccak256(abi.encodePacked(hashes));',
+            '    }'
+        ].join('\n'));
+    }
+    return name;
+}
+
+/**
+ * Solidity statement returning keccak256 of the abi.encode'd words
+ * @param {Array} words - Solidity expressions, one 32-byte word each
+ * @param {string} indent - Indentation of the return statement
+ * @returns {string} Return statement
+ */
+function hashWords(words, indent) {
+    const list = (items, depth) => items.map(item => `${indent}${'    '.repeat(depth)}${item}`).join(',\n');
+    if (words.length <= ENCODE_CHUNK_SIZE) {
+        return `${indent}return keccak256(abi.encode(\n${list(words, 1)}\n${indent}));`;
+    }
+    const chunks = [];
+    for (let i = 0; i < words.length; i += ENCODE_CHUNK_SIZE) {
+        chunks.push(`${indent}    abi.encode(\n${list(words.slice(i, i + ENCODE_CHUNK_SIZE), 2)}\n${indent}    )`);
+    }
+    return `${indent}return keccak256(bytes.concat(\n${chunks.join(',\n')}\n${indent}));`;
+}
+
+/**
+ * Escape a string as a Solidity string literal (unicode"..." when it holds non-ASCII characters)
+ * @param {string} value - String value
+ * @returns {string} Solidity literal
+ */
+function solidityString(value) {
+    let unicode = false;
+    const body = [...String(value)].map(char => {
+        const code = char.codePointAt(0);
+        if (char === '\\' || char === '"') {
+            return `\\${char}`;
+        }
+        if (char === '\n') {
+            return '\\n';
+        }
+        if (char === '\r') {
+            return '\\r';
+        }
+        if (char === '\t') {
+            return '\\t';
+        }
+        if (code < 0x20 || code === 0x7f) {
+            return `\\x${code.toString(16).padStart(2, '0')}`;
+        }
+        unicode = unicode || code > 0x7f;
+        return char;
+    }).join('');
+    return `${unicode ? 'unicode' : ''}"${body}"`;
+}
+
+/**
+ * Solidity literal for an atomic, string or bytes value
+ * @param {string} type - EIP-712 type
+ * @param {*} value - Value
+ * @returns {string} Solidity literal
+ */
+function solidityLiteral(type, value) {
+    if (type === 'address') {
+        return ethers.getAddress(String(value).toLowerCase());
+    }
+    if (type === 'bool') {
+        // Same truthiness as the ABI coder that computes the expected hashes
+        return value ? 'true' : 'false';
+    }
+    if (type === 'string') {
+        return solidityString(value);
+    }
+    if (type === 'bytes') {
+        const hex = ethers.hexlify(ethers.getBytes(value)).slice(2);
+        return hex ? `hex"${hex}"` : '""';
+    }
+    if (/^bytes\d+$/.test(type)) {
+        return ethers.zeroPadBytes(ethers.getBytes(value), Number(type.slice(5)));
+    }
+    return BigInt(value).toString();
+}
+
+/**
+ * Build a value in Solidity: structs and arrays become local variables, atomic values literals
+ * @param {string} type - EIP-712 type
+ * @param {*} value - Value
+ * @param {Object} context - { types, qualifier, statements, locals }
+ * @returns {string} Solidity expression holding the value
+ */
+function buildValue(type, value, context) {
+    const arrayMatch = type.match(ARRAY_PATTERN);
+    if (arrayMatch) {
+        const items = value.map(item => buildValue(arrayMatch[1], item, context));
+        const name = `items${context.locals++}`;
+        const declared = solidityType(type, context.types, context.qualifier);
+        context.statements.push(arrayMatch[2] === ''
+            ? `${declared} memory ${name} = new ${declared}(${items.length});`
+            : `${declared} memory ${name};`);
+        items.forEach((item, index) => context.statements.push(`${name}[${index}] = ${item};`));
+        return name;
+    }
+    if (context.types[type]) {
+        const members = context.types[type].map(field => `    ${solidityIdentifier(field.name)}: ${buildValue(field.type, value[field.name], context)}`);
+        const declared = solidityType(type, context.types, context.qualifier);
+        const identifier = solidityIdentifier(type);
+        const name = `${identifier.charAt(0).toLowerCase()}${identifier.slice(1)}${context.locals++}`;
+        context.statements.push(`${declared} memory ${name} = ${declared}({\n${members.join(',\n')}\n});`);
+        return name;
+    }
+    return solidityLiteral(type, value);
+}
+
+/**
+ * Deterministic sample value for a type (addresses 0x…01, 0x…02, numbers 1, 2, …)
+ * @param {string} type - EIP-712 type
+ * @param {Object} types - Types
+ * @param {string} name - Field name (used as the sample string)
+ * @param {Object} counter - { next } shared across the payload
+ * @returns {*} Sample value
+ */
+function sampleValue(type, types, name, counter) {
+    const arrayMatch = type.match(ARRAY_PATTERN);
+    if (arrayMatch) {
+        const length = arrayMatch[2] === '' ? 2 : Number(arrayMatch[2]);
+        return Array.from({ length }, () => sampleValue(arrayMatch[1], types, name, counter));
+    }
+    if (types[type]) {
+        return Object.fromEntries(types[type].map(field => [field.name, sampleValue(field.type, types, field.name, counter)]));
+    }
+    const n = counter.next++;
+    if (type === 'address') {
+        return ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+    }
+    if (type === 'bool') {
+        return true;
+    }
+    if (type === 'string') {
+        return name;
+    }
+    const byte = (n % 256).toString(16).padStart(2, '0');
+    if (type === 'bytes') {
+        return `0x${byte}`;
+    }
+    if (/^bytes\d+$/.test(type)) {
+        return `0x${byte.repeat(Number(type.slice(5)))}`;
+    }
+    return String(n);
+}
+
+/**
+ * Fill the unset parts of a value with sample values
+ * @param {string} type - EIP-712 type
+ * @param {*} value - Value (may be partial)
+ * @param {Object} types - Types
+ * @param {string} path - Path for the report, e.g. "message.to.wallet"
+ * @param {Object} state - { counter, generated } (generated collects the paths that got samples)
+ * @returns {*} Complete value
+ */
+function completeValue(type, value, types, path, state) {
+    if (value === undefined || value === null) {
+        state.generated.push(path);
+        return sampleValue(type, types, path.split('.').pop().replace(/\[\d+\]$/, ''), state.counter);
+    }
+    const arrayMatch = type.match(ARRAY_PATTERN);
+    if (arrayMatch && Array.isArray(value)) {
+        return value.map((item, index) => completeValue(arrayMatch[1], item, types, `${path}[${index}]`, state));
+    }
+    if (types[type] && typeof value === 'object') {
+        return Object.fromEntries(types[type].map(field => [field.name, completeValue(field.type, value[field.name], types, `${path}.${field.name}`, state)]));
+    }
+    return value;
+}
+
+/**
+ * Generate the Solidity library and Foundry test for a typed-data definition
+ * @param {Object} payload - { types, primaryType?, domain?, message? } (domain and message may be partial or empty)
+ * @param {Object} options - { libraryName (default: <PrimaryType>EIP712), importPath (default: ./<Library>.sol) }
+ * @returns {Object} { libraryName, libraryFile, testFile, library, test, typedData, typeHash, domainSeparator, structHash, digest, generated }
+ */
+function generateSolidity({ types, primaryType = null, domain = {}, message = {} }, { libraryName = null, importPath = null } = {}) {
+    if (!types || typeof types !== 'object') {
+        throw new Error('codegen needs the typed-data "types"');
+    }
+    const messageTypes = withoutDomainType(types);
+    checkTypes(messageTypes);
+    const resolvedPrimaryType = resolvePrimaryType(types, primaryType);
+
+    const name = solidityIdentifier(libraryName || `${solidityIdentifier(resolvedPrimaryType)}EIP712`);
+    // Contracts almost always bind name, version, chainId and verifyingContract, so those are generated
+    // (with sample values when unset) unless the types declare their own EIP712Domain
+    const givenDomain = domain || {};
+    const isSet = value => value !== undefined && value !== null;
+    const domainFields = types.EIP712Domain || DOMAIN_FIELDS.filter(field => field.name !== 'salt' || isSet(givenDomain.salt));
+    const domainTypes = { ...messageTypes, EIP712Domain: domainFields };
+
+    // Fill unset fields so the test has concrete values; the expected hashes come from the completed payload
+    const state = { counter: { next: 1 }, generated: [] };
+    const sampleDomain = { name: resolvedPrimaryType, version: '1', chainId: 1, verifyingContract: SAMPLE_VERIFYING_CONTRACT };
+    const domainWithSamples = { ...givenDomain };
+    domainFields.filter(field => !isSet(givenDomain[field.name]) && isSet(sampleDomain[field.name])).forEach(field => {
+        domainWithSamples[field.name] = sampleDomain[field.name];
+        state.generated.push(`domain.${field.name}`);
+    });
+    const completedDomain = completeValue('EIP712Domain', domainWithSamples, domainTypes, 'domain', state);
+    const completedMessage = completeValue(resolvedPrimaryType, message || {}, messageTypes, 'message', state);
+    const typedData = { domain: completedDomain, types: domainTypes, primaryType: resolvedPrimaryType, message: completedMessage };
+    const breakdown = breakdownTypedData(typedData);
+
+    const structNames = [resolvedPrimaryType, ...[...findTypeDependencies(resolvedPrimaryType, messageTypes)].filter(type => type !== resolvedPrimaryType).sort()];
+    const context = { types: messageTypes, helpers: new Map() };
+
+    const structs = structNames.map(struct => [
+        `    struct ${solidityIdentifier(struct)} {`,
+        ...messageTypes[struct].map(field => `        ${solidityType(field.type, messageTypes)} ${solidityIdentifier(field.name)};`),
+        '    }'
+    ].join('\n'));
+
+    const constants = [...structNames.map(struct => [struct, messageTypes]), ['EIP712Domain', domainTypes]].map(([struct, structTypes]) => [
+        `    /// ${encodeType(struct, structTypes)}`,
+        `    bytes32 internal constant ${typeHashConstant(struct)} =`,
+        `        keccak256(${solidityString(encodeType(struct, structTypes))}); // ${typeHash(struct, structTypes)}`
+    ].join('\n'));
+
+    const hashFunctions = structNames.map(struct => [
+        `    function hashStruct(${solidityIdentifier(struct)} memory value) internal pure returns (bytes32) {`,
+        hashWords([typeHashConstant(struct), ...messageTypes[struct].map(field => encodeMember(field.type, `value.${solidityIdentifier(field.name)}`, context))], '        '),
+        '    }'
+    ].join('\n'));
+
+    const domainParameters = domainFields.map(field => `${solidityType(field.type, messageTypes)}${isReferenceType(field.type, messageTypes) ? ' memory' : ''} ${solidityIdentifier(field.name)}`);
+    const domainFunction = [
+        `    function domainSeparator(${domainParameters.join(', ')}) internal pure returns (bytes32) {`,
+        hashWords([typeHashConstant('EIP712Domain'), ...domainFields.map(field => encodeMember(field.type, solidityIdentifier(field.name), context))], '        '),
+        '    }'
+    ].join('\n');
+
+    const library = [
+        '// SPDX-License-Identifier: MIT',
+        `pragma solidity ${SOLIDITY_PRAGMA};`,
+        '',
+        `/// @title ${name}`,
+        `/// @notice EIP-712 structs and hashing for ${resolvedPrimaryType}, generated by \`node eip712-signer.js codegen solidity\`.`,
+        '/// Regenerate instead of editing: the type strings must match the off-chain signer byte for byte.',
+        `library ${name} {`,
+        structs.join('\n\n'),
+        '',
+        constants.join('\n\n'),
+        '',
+        hashFunctions.join('\n\n'),
+        '',
+        domainFunction,
+        '',
+        '    function hashTypedData(bytes32 domainSeparator_, bytes32 structHash) internal pure returns (bytes32) {',
+        '        return keccak256(abi.encodePacked("\\x19\\x01", domainSeparator_, structHash));',
+        '    }',
+        ...[...context.helpers.values()].flatMap(helper => ['', helper]),
+        '}',
+        ''
+    ].join('\n');
+
+    // The test rebuilds the completed payload in Solidity and pins the hashes computed above
+    const testContext = { types: messageTypes, qualifier: `${name}.`, statements: [], locals: 0 };
+    const messageVariable = buildValue(resolvedPrimaryType, completedMessage, testContext);
+    const domainArguments = domainFields.map(field => buildValue(field.type, completedDomain[field.name], testContext));
+    const body = [
+        ...testContext.statements,
+        '',
+        `bytes32 domainSeparator = ${name}.domainSeparator(${domainArguments.join(', ')});`,
+        `bytes32 structHash = ${name}.hashStruct(${messageVariable});`,
+        '',
+        `assertEq(${name}.${typeHashConstant(resolvedPrimaryType)}, bytes32(${breakdown.message.typeHash}));`,
+        `assertEq(domainSeparator, bytes32(${breakdown.domainSeparator}));`,
+        `assertEq(structHash, bytes32(${breakdown.structHash}));`,
+        `assertEq(${name}.hashTypedData(domainSeparator, structHash), bytes32(${breakdown.digest}));`
+    ].join('\n').split('\n').map(line => (line ? `        ${line}` : ''));
+
+    const test = [
+        '// SPDX-License-Identifier: MIT',
+        `pragma solidity ${SOLIDITY_PRAGMA};`,
+        '',
+        'import {Test} from "forge-std/Test.sol";',
+        `import {${name}} from "${importPath || `./${name}.sol`}";`,
+        '',
+        `/// @notice Checks ${name} against the digest computed off-chain by eip712-signer.js.`,
+        ...(state.generated.length > 0 ? [`/// Sample values (not set in the payload): ${state.generated.join(', ')}`] : []),
+        `contract ${name}Test is Test {`,
+        '    function test_DigestMatchesOffChainSigner() public {',
+        ...body,
+        '    }',
+        '}',
+        ''
+    ].join('\n');
+
+    return {
+        libraryName: name,
+        libraryFile: `${name}.sol`,
+        testFile: `${name}.t.sol`,
+        library,
+        test,
+        typedData,
+        typeHash: breakdown.message.typeHash,
+        domainSeparator: breakdown.domainSeparator,
+        structHash: breakdown.structHash,
+        digest: breakdown.digest,
+        generated: state.generated
+    };
+}
+
+/**
+ * Read a codegen input file: a full typed-data document, { types, primaryType?, domain?, message? },
+ * or a bare types object such as { "Mail": [...], "Person": [...] }
+ * @param {string} filePath - JSON file path
+ * @returns {Object} { types, primaryType, domain, message }
+ */
+function readCodegenInput(filePath) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: cannot read types (${error.message})`);
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+        throw new Error(`${filePath}: expected a JSON object with "types" or a types object`);
+    }
+    const document = content.types && typeof content.types === 'object' ? content : { types: content };
+    const notStructs = Object.keys(document.types).filter(name => !Array.isArray(document.types[name]));
+    if (notStructs.length > 0) {
+        throw new Error(`${filePath}: type ${notStructs.map(name => `"${name}"`).join(', ')} is not an array of { name, type } fields`);
+    }
+    return {
+        types: document.types,
+        primaryType: document.primaryType || null,
+        domain: document.domain || {},
+        message: document.message || {}
+    };
+}
+
+module.exports = {
+    SOLIDITY_PRAGMA,
+    solidityIdentifier,
+    typeHashConstant,
+    generateSolidity,
+    readCodegenInput
+};
@@ -0,0 +1,152 @@
+const { ethers } = require('ethers');
+
+/**
+ * CoW Protocol (GPv2) Orders
+ *
+ * Canonical GPv2 Order type and domain, human-value normalization
+ * (sell/buy, erc20/external/internal) and orderUid computation.
+ *
+ * In the signed typed data `kind` and the balance fields are strings; their
+ * encodeData words are keccak256 of the string, i.e. exactly the bytes32
+ * constants the settlement contract stores (GPv2Order.KIND_SELL, ...).
+ */
+
+// GPv2Settlement is deployed at the same address on every supported chain
+const GPV2_SETTLEMENT_ADDRESS = '0x9008D19f58AAbD9eD0D60971565AA8510560ab41';
+
+const GPV2_ORDER_TYPES = {
+    Order: [
+        { name: 'sellToken', type: 'address' },
+        { name: 'buyToken', type: 'address' },
+        { name: 'receiver', type: 'address' },
+        { name: 'sellAmount', type: 'uint256' },
+        { name: 'buyAmount', type: 'uint256' },
+        { name: 'validTo', type: 'uint32' },
+        { name: 'appData', type: 'bytes32' },
+        { name: 'feeAmount', type: 'uint256' },
+        { name: 'kind', type: 'string' },
+        { name: 'partiallyFillable', type: 'bool' },
+        { name: 'sellTokenBalance', type: 'string' },
+        { name: 'buyTokenBalance', type: 'string' }
+    ]
+};
+
+// keccak256 constants used by GPv2Order.sol
+const ORDER_KIND = {
+    sell: ethers.id('sell'),
+    buy: ethers.id('buy')
+};
+
+const TOKEN_BALANCE = {
+    erc20: ethers.id('erc20'),
+    external: ethers.id('external'),
+    internal: ethers.id('internal')
+};
+
+const SIGNING_SCHEMES = ['eip712', 'ethsign'];
+
+/**
+ * GPv2 EIP-712 domain for a chain
+ * @param {number} chainId - Chain ID
+ * @param {string} verifyingContract - Settlement contract (default: GPv2Settlement)
+ * @returns {Object} EIP-712 domain
+ */
+function gpv2Domain(chainId, verifyingContract = GPV2_SETTLEMENT_ADDRESS) {
+    return {
+        name: 'Gnosis Protocol',
+        version: 'v2',
+        chainId: Number(chainId),
+        verifyingContract: ethers.getAddress(verifyingContract)
+    };
+}
+
+/**
+ * Map a human value (or its keccak256 constant) onto one of the allowed names
+ * @param {string} value - e.g. "Sell", "sell" or keccak256("sell")
+ * @param {Object} constants - name => keccak256 constant
+ * @param {string} field - Field name (for error messages)
+ * @returns {string} Lowercase name
+ */
+function normalizeEnum(value, constants, field) {
+    const text = String(value);
+    const byName = Object.keys(constants).find(name => name === text.toLowerCase());
+    const byHash = Object.keys(constants).find(name => constants[name] === text.toLowerCase());
+    if (!byName && !byHash) {
+        throw new Error(`Invalid ${field} "${value}": expected one of ${Object.keys(constants).join(', ')}`);
+    }
+    return byName || byHash;
+}
+
+/**
+ * Normalize a CoW order from human values into the canonical EIP-712 message
+ * @param {Object} order - Order fields (kind/balances as names or constants)
+ * @returns {Object} Canonical GPv2 Order message
+ */
+function normalizeCowOrder(order) {
+    ['sellToken', 'buyToken', 'sellAmount', 'buyAmount', 'validTo'].forEach(field => {
+        if (order[field] === undefined || order[field] === null || order[field] === '') {
+            throw new Error(`CoW order is missing "${field}"`);
+        }
+    });
+
+    const buyTokenBalance = normalizeEnum(order.buyTokenBalance || 'erc20', TOKEN_BALANCE, 'buyTokenBalance');
+    if (buyTokenBalance === 'external') {
+        throw new Error('Invalid buyTokenBalance "external": buy balances are erc20 or internal');
+    }
+
+    return {
+        sellToken: ethers.getAddress(order.sellToken),
+        buyToken: ethers.getAddress(order.buyToken),
+        receiver: order.receiver ? ethers.getAddress(order.receiver) : ethers.ZeroAddress,
+        sellAmount: BigInt(order.sellAmount).toString(),
+        buyAmount: BigInt(order.buyAmount).toString(),
+        validTo: Number(order.validTo),
+        appData: order.appData ? ethers.hexlify(order.appData) : ethers.ZeroHash,
+        feeAmount: BigInt(order.feeAmount || 0).toString(),
+        kind: normalizeEnum(order.kind || 'sell', ORDER_KIND, 'kind'),
+        partiallyFillable: order.partiallyFillable === true || order.partiallyFillable === 'true',
+        sellTokenBalance: normalizeEnum(order.sellTokenBalance || 'erc20', TOKEN_BALANCE, 'sellTokenBalance'),
+        buyTokenBalance
+    };
+}
+
+/**
+ * orderUid = orderDigest (32 bytes) || owner (20 bytes) || validTo (4 bytes)
+ * @param {string} orderDigest - EIP-712 digest of the order
+ * @param {string} owner - Order owner
+ * @param {number} validTo - Order expiry
+ * @returns {string} 56-byte order UID
+ */
+function computeOrderUid(orderDigest, owner, validTo) {
+    return ethers.solidityPacked(['bytes32', 'address', 'uint32'], [orderDigest, owner, validTo]);
+}
+
+/**
+ * Build the orderbook API body (POST /api/v1/orders) for a signed order
+ * @param {Object} order - Canonical order message
+ * @param {string} signature - Order signature
+ * @param {string} signingScheme - eip712 or ethsign
+ * @param {string} from - Order owner
+ * @returns {Object} API request body
+ */
+function buildOrderApiPayload(order, signature, signingScheme, from) {
+    return {
+        ...order,
+        receiver: order.receiver === ethers.ZeroAddress ? null : order.receiver,
+        signingScheme,
+        signature,
+        from
+    };
+}
+
+module.exports = {
+    GPV2_SETTLEMENT_ADDRESS,
+    GPV2_ORDER_TYPES,
+    ORDER_KIND,
+    TOKEN_BALANCE,
+    SIGNING_SCHEMES,
+    gpv2Domain,
+    normalizeCowOrder,
+    computeOrderUid,
+    buildOrderApiPayload
+};
@@ -0,0 +1,156 @@
+/**
+ * Deadlines
+ *
+ * Parses deadlines given as Unix timestamps, ISO-8601 timestamps or human
+ * durations from now (`90s`, `15m`, `2h`, `2d`, `1w`, `1h30m`), finds the
+ * message field that holds the deadline (deadline, validTo, expiry,
+ * sigDeadline, ...), and checks the value against the field's type.
+ */
+
+// Field names recognized as deadlines, in order of preference
+const DEADLINE_FIELD_NAMES = ['deadline', 'sigDeadline', 'validTo', 'expiry', 'expiration', 'expiresAt', 'validUntil'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Deadlines further away than this trigger a warning
+const FAR_FUTURE_SECONDS = 365 * 86400;
+
+/**
+ * Current Unix time in seconds
+ * @returns {number} Timestamp
+ */
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Parse a duration: plain seconds (3600) or unit parts (90s, 15m, 2h, 2d, 1w, 1h30m)
+ * @param {number|string} value - Duration
+ * @returns {number} Seconds
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid duration ${value} (expected a non-negative number of seconds)`);
+        }
+        return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+$/.test(text)) {
+        return parseInt(text);
+    }
+    if (!/^(\d+[smhdw])+$/.test(text)) {
+        throw new Error(`Invalid duration "${value}" (expected seconds or e.g. 90s, 15m, 2h, 2d, 1w, 1h30m)`);
+    }
+    let seconds = 0;
+    for (const [, amount, unit] of text.matchAll(/(\d+)([smhdw])/g)) {
+        seconds += parseInt(amount) * DURATION_UNITS[unit];
+    }
+    return seconds;
+}
+
+/**
+ * Keep a timestamp a number while it is exact, and a decimal string beyond that
+ * (e.g. type(uint256).max used as "never expires")
+ * @param {bigint} value - Timestamp
+ * @returns {number|string} Timestamp
+ */
+function toTimestamp(value) {
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+/**
+ * Parse a deadline: a Unix timestamp, an ISO-8601 timestamp, or a duration from now
+ * @param {number|string|bigint} value - Deadline
+ * @param {Object} options - { now: reference time in seconds (default: current time) }
+ * @returns {number|string} Unix timestamp in seconds (a decimal string when beyond Number.MAX_SAFE_INTEGER)
+ */
+function parseDeadline(value, { now = nowSeconds() } = {}) {
+    if (typeof value === 'bigint' || (typeof value === 'number' && Number.isInteger(value) && value >= 0)) {
+        return toTimestamp(BigInt(value));
+    }
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+        return toTimestamp(BigInt(text));
+    }
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const millis = Date.parse(text);
+        if (Number.isNaN(millis)) {
+            throw new Error(`Invalid ISO-8601 deadline "${value}"`);
+        }
+        return Math.floor(millis / 1000);
+    }
+    try {
+        return now + parseDuration(text);
+    } catch (error) {
+        throw new Error(`Invalid deadline "${value}" (expected a Unix timestamp, an ISO-8601 time such as 2030-01-01T00:00:00Z, or a duration such as 15m or 2d)`);
+    }
+}
+
+/**
+ * Find the deadline field of a struct; detection only considers unsigned integer fields
+ * @param {Array} fields - Struct fields [{ name, type }]
+ * @param {string|null|undefined} deadlineField - Explicit field name, null for none, undefined to detect
+ * @returns {Object|null} The field ({ name, type }) or null
+ */
+function findDeadlineField(fields, deadlineField) {
+    if (deadlineField === null || !fields) {
+        return null;
+    }
+    if (deadlineField !== undefined) {
+        return fields.find(field => field.name === deadlineField) || null;
+    }
+    for (const name of DEADLINE_FIELD_NAMES) {
+        const field = fields.find(candidate => candidate.name === name && /^uint\d*$/.test(candidate.type));
+        if (field) {
+            return field;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check that a deadline fits the field's unsigned integer type
+ * @param {number|string} deadline - Deadline
+ * @param {Object} field - { name, type }
+ */
+function checkDeadlineRange(deadline, field) {
+    const match = field.type.match(/^uint(\d*)$/);
+    if (!match) {
+        throw new Error(`Deadline field "${field.name}" has type ${field.type}; expected an unsigned integer`);
+    }
+    const bits = match[1] ? parseInt(match[1]) : 256;
+    const max = (1n << BigInt(bits)) - 1n;
+    const value = BigInt(deadline);
+    if (value < 0n || value > max) {
+        throw new Error(`Deadline ${deadline} does not fit ${field.name} (${field.type}, max ${max})`);
+    }
+}
+
+/**
+ * Describe deadlines that are already past or suspiciously far away
+ * @param {number|string} deadline - Deadline
+ * @param {Object} options - { now: reference time in seconds }
+ * @returns {Object|null} { code, message } or null when the deadline looks sane
+ */
+function describeDeadlineRisk(deadline, { now = nowSeconds() } = {}) {
+    const value = BigInt(deadline);
+    if (value <= BigInt(now)) {
+        return { code: 'deadline-in-past', message: `deadline ${deadline} is in the past (${new Date(Number(value) * 1000).toISOString()}); the signature is already expired` };
+    }
+    if (value > BigInt(now + FAR_FUTURE_SECONDS)) {
+        const when = value < 8640000000000n ? ` (${new Date(Number(value) * 1000).toISOString()})` : '';
+        return { code: 'deadline-far-future', message: `deadline ${deadline}${when} is more than a year away; the signature stays valid that long` };
+    }
+    return null;
+}
+
+module.exports = {
+    DEADLINE_FIELD_NAMES,
+    FAR_FUTURE_SECONDS,
+    parseDuration,
+    parseDeadline,
+    findDeadlineField,
+    checkDeadlineRange,
+    describeDeadlineRisk
+};
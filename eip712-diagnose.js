@@ -0,0 +1,495 @@
+const { ethers } = require('ethers');
+const {
+    getDomainFields,
+    withoutDomainType,
+    resolvePrimaryType,
+    encodeType,
+    typeHash,
+    hashStruct
+} = require('./eip712-breakdown.js');
+const { validateTypedData, formatValidationErrors } = require('./eip712-validate.js');
+
+/**
+ * EIP-712 Hash-Mismatch Diagnoser
+ *
+ * Given our typed-data payload and the digest a third party reported, tries
+ * plausible encoding variants (field types, domain fields, chainIds, field
+ * order, type name casing, solidityPacked encoding) until one reproduces the
+ * external digest, and reports the exact change that made the hashes match.
+ */
+
+// Chains tried when the chainId is suspected to differ
+const COMMON_CHAIN_IDS = [1, 5, 10, 56, 100, 137, 1337, 8453, 31337, 42161, 43114, 11155111];
+
+// Strings commonly hashed into bytes32 "enum" fields (e.g. GPv2 kind and balance markers)
+const KNOWN_HASHED_STRINGS = ['sell', 'buy', 'erc20', 'external', 'internal'];
+
+/**
+ * Casing variants of a string, without duplicates
+ * @param {string} value - Original string
+ * @returns {Array} Variants (lowercase, Capitalized, UPPERCASE)
+ */
+function casingVariants(value) {
+    const lower = value.toLowerCase();
+    return [...new Set([lower, lower.charAt(0).toUpperCase() + lower.slice(1), value.toUpperCase()])];
+}
+
+/**
+ * Look up the string a bytes32 value is the keccak256 of, among the known strings
+ * @param {string} value - bytes32 hex value
+ * @returns {string|null} Preimage, or null if unknown
+ */
+function findKnownPreimage(value) {
+    if (!ethers.isHexString(value, 32)) {
+        return null;
+    }
+    const candidates = KNOWN_HASHED_STRINGS.flatMap(casingVariants);
+    return candidates.find(candidate => ethers.id(candidate) === value.toLowerCase()) || null;
+}
+
+/**
+ * Deep-clone a payload value (plain objects, arrays and primitives, bigints included)
+ * @param {*} value - Value to clone
+ * @returns {*} Clone
+ */
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+/**
+ * Encode a struct the way the old debug scripts did: solidityPacked instead of abi.encode
+ * @param {string} structType - Struct type name
+ * @param {Object} data - Struct value
+ * @param {Object} types - Message types
+ * @returns {string} Packed struct hash
+ */
+function hashStructPacked(structType, data, types) {
+    const packTypes = ['bytes32'];
+    const packValues = [typeHash(structType, types)];
+
+    types[structType].forEach(field => {
+        const value = data[field.name];
+        if (types[field.type]) {
+            packTypes.push('bytes32');
+            packValues.push(hashStructPacked(field.type, value, types));
+        } else if (field.type === 'string') {
+            packTypes.push('bytes32');
+            packValues.push(ethers.id(value));
+        } else if (field.type === 'bytes') {
+            packTypes.push('bytes32');
+            packValues.push(ethers.keccak256(value));
+        } else {
+            packTypes.push(field.type);
+            packValues.push(value);
+        }
+    });
+
+    return ethers.keccak256(ethers.solidityPacked(packTypes, packValues));
+}
+
+/**
+ * Rename a struct type everywhere it is referenced
+ * @param {Object} types - Message types
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ * @returns {Object} Renamed types
+ */
+function renameType(types, from, to) {
+    const renamed = {};
+    Object.entries(types).forEach(([name, fields]) => {
+        renamed[name === from ? to : name] = fields.map(field => ({
+            name: field.name,
+            type: field.type.replace(new RegExp(`^${from}(?=$|\\[)`), to)
+        }));
+    });
+    return renamed;
+}
+
+/**
+ * Variants of the message side: { category, label, apply(candidate) }
+ * A candidate is { types, primaryType, message, packed }.
+ * @param {Object} base - Base message candidate
+ * @returns {Array} Message variants
+ */
+function messageVariants(base) {
+    const variants = [];
+    const hashedEnumChanges = [];
+    const boolChanges = [];
+
+    Object.entries(base.types).forEach(([structName, fields]) => {
+        // Only top-level message values can be rewritten without walking paths
+        const values = structName === base.primaryType ? base.message : null;
+
+        fields.forEach((field, index) => {
+            const value = values ? values[field.name] : undefined;
+            const setField = (candidate, type, newValue) => {
+                candidate.types[structName][index] = { name: field.name, type };
+                if (values && newValue !== undefined) {
+                    candidate.message[field.name] = newValue;
+                }
+            };
+
+            if (field.type === 'bytes32' && typeof value === 'string') {
+                const preimage = findKnownPreimage(value);
+                if (preimage) {
+                    casingVariants(preimage).forEach(casing => {
+                        const change = {
+                            category: 'types',
+                            label: `${structName}.${field.name}: bytes32 → string "${casing}"`,
+                            apply: candidate => setField(candidate, 'string', casing)
+                        };
+                        variants.push(change);
+                        if (casing === preimage) {
+                            hashedEnumChanges.push(change);
+                        }
+                    });
+                } else if (!ethers.isHexString(value, 32)) {
+                    casingVariants(value).forEach(casing => {
+                        variants.push({
+                            category: 'types',
+                            label: `${structName}.${field.name}: bytes32 value keccak256("${casing}")`,
+                            apply: candidate => setField(candidate, 'bytes32', ethers.id(casing))
+                        });
+                    });
+                    const change = {
+                        category: 'types',
+                        label: `${structName}.${field.name}: bytes32 → string "${value}"`,
+                        apply: candidate => setField(candidate, 'string', value)
+                    };
+                    variants.push(change);
+                    hashedEnumChanges.push(change);
+                }
+            }
+
+            if (field.type === 'string' && typeof value === 'string') {
+                casingVariants(value).forEach(casing => {
+                    variants.push({
+                        category: 'types',
+                        label: `${structName}.${field.name}: string → bytes32 keccak256("${casing}")`,
+                        apply: candidate => setField(candidate, 'bytes32', ethers.id(casing))
+                    });
+                });
+            }
+
+            if (field.type === 'bytes1') {
+                const change = {
+                    category: 'types',
+                    label: `${structName}.${field.name}: bytes1 → bool`,
+                    apply: candidate => setField(candidate, 'bool', values ? BigInt(value) !== 0n : undefined)
+                };
+                variants.push(change);
+                boolChanges.push(change);
+            }
+
+            if (field.type === 'bool') {
+                const change = {
+                    category: 'types',
+                    label: `${structName}.${field.name}: bool → bytes1`,
+                    apply: candidate => setField(candidate, 'bytes1', values ? (value ? '0x01' : '0x00') : undefined)
+                };
+                variants.push(change);
+                boolChanges.push(change);
+            }
+        });
+    });
+
+    // Grouped type changes: protocols usually switch every enum-like field at once
+    const groups = [];
+    if (hashedEnumChanges.length > 1) {
+        groups.push({ label: 'all hashed enum fields bytes32 → string', changes: hashedEnumChanges });
+    }
+    if (hashedEnumChanges.length > 0 && boolChanges.length > 0) {
+        groups.push({ label: 'all hashed enum fields bytes32 → string and bytes1/bool swapped', changes: [...hashedEnumChanges, ...boolChanges] });
+    }
+    groups.forEach(group => {
+        variants.push({
+            category: 'types',
+            label: `${group.label} (${group.changes.map(change => change.label).join('; ')})`,
+            apply: candidate => group.changes.forEach(change => change.apply(candidate))
+        });
+    });
+
+    // Field order: message key order, alphabetical order, and every pairwise swap
+    const primaryFields = base.types[base.primaryType];
+    const fieldNames = primaryFields.map(field => field.name);
+    const reorder = (order, label) => {
+        if (order.join(',') === fieldNames.join(',') || order.length !== fieldNames.length) {
+            return;
+        }
+        variants.push({
+            category: 'order',
+            label: `${base.primaryType} field order: ${label}`,
+            apply: candidate => {
+                const byName = Object.fromEntries(candidate.types[candidate.primaryType].map(field => [field.name, field]));
+                candidate.types[candidate.primaryType] = order.map(name => byName[name]);
+            }
+        });
+    };
+    reorder(Object.keys(base.message).filter(name => fieldNames.includes(name)), 'message key order');
+    reorder([...fieldNames].sort(), 'alphabetical');
+    for (let i = 0; i < fieldNames.length; i++) {
+        for (let j = i + 1; j < fieldNames.length; j++) {
+            const swapped = [...fieldNames];
+            [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+            reorder(swapped, `swap ${fieldNames[i]} ↔ ${fieldNames[j]}`);
+        }
+    }
+
+    // Type name casing
+    casingVariants(base.primaryType).filter(name => name !== base.primaryType).forEach(name => {
+        variants.push({
+            category: 'casing',
+            label: `type name ${base.primaryType} → ${name}`,
+            apply: candidate => {
+                candidate.types = renameType(candidate.types, candidate.primaryType, name);
+                candidate.primaryType = name;
+            }
+        });
+    });
+
+    variants.push({
+        category: 'packed',
+        label: 'struct hash built with solidityPacked instead of abi.encode',
+        apply: candidate => { candidate.packed = true; }
+    });
+
+    return variants;
+}
+
+/**
+ * Variants of the domain side: { label, apply(candidate) }
+ * A candidate is { domain, fields, packed }.
+ * @param {Object} base - Base domain candidate
+ * @param {Array} chainIds - chainIds to try
+ * @returns {Array} Domain variants
+ */
+function domainVariants(base, chainIds) {
+    const variants = [];
+    const names = base.fields.map(field => field.name);
+
+    // Every proper, non-empty subset of the declared domain fields
+    for (let mask = 1; mask < (1 << names.length) - 1; mask++) {
+        const kept = names.filter((name, index) => mask & (1 << index));
+        const dropped = names.filter(name => !kept.includes(name));
+        variants.push({
+            label: `domain without ${dropped.join(', ')}`,
+            apply: candidate => { candidate.fields = candidate.fields.filter(field => kept.includes(field.name)); }
+        });
+    }
+
+    chainIds.filter(chainId => String(chainId) !== String(base.domain.chainId)).forEach(chainId => {
+        variants.push({
+            label: `domain chainId ${base.domain.chainId} → ${chainId}`,
+            apply: candidate => {
+                candidate.domain.chainId = chainId;
+                if (!candidate.fields.some(field => field.name === 'chainId')) {
+                    candidate.fields = getDomainFields(candidate.domain);
+                }
+            }
+        });
+    });
+
+    if (typeof base.domain.name === 'string') {
+        casingVariants(base.domain.name).filter(name => name !== base.domain.name).forEach(name => {
+            variants.push({
+                label: `domain name "${base.domain.name}" → "${name}"`,
+                apply: candidate => { candidate.domain.name = name; }
+            });
+        });
+    }
+
+    variants.push({
+        label: 'domain separator built with solidityPacked instead of abi.encode',
+        apply: candidate => { candidate.packed = true; }
+    });
+
+    return variants;
+}
+
+/**
+ * Hash a message candidate, or return null if the variant does not encode
+ * @param {Object} candidate - { types, primaryType, message, packed }
+ * @returns {string|null} Struct hash
+ */
+function hashMessageCandidate(candidate) {
+    try {
+        return candidate.packed
+            ? hashStructPacked(candidate.primaryType, candidate.message, candidate.types)
+            : hashStruct(candidate.primaryType, candidate.message, candidate.types);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Hash a domain candidate, or return null if the variant does not encode
+ * @param {Object} candidate - { domain, fields, packed }
+ * @returns {string|null} Domain separator
+ */
+function hashDomainCandidate(candidate) {
+    const types = { EIP712Domain: candidate.fields };
+    try {
+        return candidate.packed
+            ? hashStructPacked('EIP712Domain', candidate.domain, types)
+            : hashStruct('EIP712Domain', candidate.domain, types);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Search encoding variants until one reproduces the target digest
+ * @param {Object} payload - Our { domain, types, message, primaryType? }
+ * @param {string} targetDigest - Digest reported by the third party
+ * @param {Object} options - { maxChanges = 2, chainIds = COMMON_CHAIN_IDS }
+ * @returns {Object} { ourDigest, targetDigest, matched, matches, tried }
+ */
+function diagnoseHashMismatch(payload, targetDigest, options = {}) {
+    const { maxChanges = 2, chainIds = COMMON_CHAIN_IDS } = options;
+    if (!ethers.isHexString(targetDigest, 32)) {
+        throw new Error(`Invalid target digest "${targetDigest}": expected 32 bytes of hex`);
+    }
+    const target = targetDigest.toLowerCase();
+
+    const messageTypes = withoutDomainType(payload.types);
+    const baseMessage = {
+        types: messageTypes,
+        primaryType: resolvePrimaryType(payload.types, payload.primaryType),
+        message: payload.message,
+        packed: false
+    };
+    const baseDomain = {
+        domain: payload.domain,
+        fields: getDomainFields(payload.domain, payload.types),
+        packed: false
+    };
+
+    // Message side: up to maxChanges variants, at most one per category
+    const mVariants = messageVariants(baseMessage);
+    const messageCandidates = [{ changes: [], hash: hashMessageCandidate(baseMessage), encodeType: encodeType(baseMessage.primaryType, messageTypes) }];
+    const extend = (start, chosen) => {
+        for (let i = start; i < mVariants.length; i++) {
+            if (chosen.some(variant => variant.category === mVariants[i].category)) {
+                continue;
+            }
+            const next = [...chosen, mVariants[i]];
+            const candidate = clone(baseMessage);
+            next.forEach(variant => variant.apply(candidate));
+            const hash = hashMessageCandidate(candidate);
+            if (hash) {
+                messageCandidates.push({
+                    changes: next.map(variant => variant.label),
+                    hash,
+                    encodeType: encodeType(candidate.primaryType, candidate.types)
+                });
+            }
+            if (next.length < maxChanges) {
+                extend(i + 1, next);
+            }
+        }
+    };
+    extend(0, []);
+
+    // Domain side: the declared domain or a single change to it
+    const domainCandidates = [{ changes: [], hash: hashDomainCandidate(baseDomain), fields: baseDomain.fields }];
+    domainVariants(baseDomain, chainIds).forEach(variant => {
+        const candidate = clone(baseDomain);
+        variant.apply(candidate);
+        const hash = hashDomainCandidate(candidate);
+        if (hash) {
+            domainCandidates.push({ changes: [variant.label], hash, fields: candidate.fields, domain: candidate.domain });
+        }
+    });
+
+    // Variants are compared against our own digest, so the declared payload has to encode
+    if (!domainCandidates[0].hash || !messageCandidates[0].hash) {
+        const side = domainCandidates[0].hash ? 'message' : 'domain';
+        const { errors } = validateTypedData(payload);
+        const relevant = errors.filter(error => error.path === side || error.path.startsWith(`${side}.`) || error.path.startsWith('types'));
+        throw new Error(relevant.length > 0
+            ? `Cannot hash the ${side} of the payload:\n${formatValidationErrors(relevant)}`
+            : `Cannot hash the ${side} of the payload`);
+    }
+
+    const ourDigest = ethers.keccak256(ethers.concat(['0x1901', domainCandidates[0].hash, messageCandidates[0].hash]));
+
+    // Combine both sides, fewest total changes first
+    let tried = 0;
+    const matches = [];
+    for (let total = 0; total <= maxChanges + 1 && matches.length === 0; total++) {
+        messageCandidates.forEach(messageCandidate => {
+            domainCandidates.forEach(domainCandidate => {
+                if (messageCandidate.changes.length + domainCandidate.changes.length !== total) {
+                    return;
+                }
+                tried++;
+                const digest = ethers.keccak256(ethers.concat(['0x1901', domainCandidate.hash, messageCandidate.hash]));
+                if (digest === target) {
+                    matches.push({
+                        changes: [...domainCandidate.changes, ...messageCandidate.changes],
+                        digest,
+                        domainSeparator: domainCandidate.hash,
+                        structHash: messageCandidate.hash,
+                        encodeType: messageCandidate.encodeType,
+                        domainFields: domainCandidate.fields.map(field => `${field.type} ${field.name}`)
+                    });
+                }
+            });
+        });
+    }
+
+    return {
+        ourDigest,
+        targetDigest: target,
+        matched: matches.length > 0,
+        matches,
+        tried
+    };
+}
+
+/**
+ * Print a diagnosis produced by diagnoseHashMismatch
+ * @param {Object} diagnosis - Diagnosis result
+ */
+function printDiagnosis(diagnosis) {
+    console.log('🔍 Hash Mismatch Diagnosis');
+    console.log('==========================\n');
+    console.log('Our Digest   :', diagnosis.ourDigest);
+    console.log('Target Digest:', diagnosis.targetDigest);
+    console.log('Candidates tried:', diagnosis.tried);
+    console.log('');
+
+    if (!diagnosis.matched) {
+        console.log('❌ No variant reproduced the target digest.');
+        console.log('   Check the message values themselves (amounts, addresses, validTo, appData).');
+        return;
+    }
+
+    if (diagnosis.matches[0].changes.length === 0) {
+        console.log('✅ Our payload already reproduces the target digest.');
+        return;
+    }
+
+    diagnosis.matches.forEach((match, index) => {
+        console.log(`✅ Match ${index + 1}:`);
+        match.changes.forEach(change => console.log(`   - ${change}`));
+        console.log('   encodeType      :', match.encodeType);
+        console.log('   EIP712Domain    :', match.domainFields.join(','));
+        console.log('   Domain Separator:', match.domainSeparator);
+        console.log('   Struct Hash     :', match.structHash);
+    });
+}
+
+module.exports = {
+    COMMON_CHAIN_IDS,
+    KNOWN_HASHED_STRINGS,
+    hashStructPacked,
+    diagnoseHashMismatch,
+    printDiagnosis
+};
@@ -0,0 +1,382 @@
+const { ethers } = require('ethers');
+const {
+    getDomainFields,
+    withoutDomainType,
+    resolvePrimaryType,
+    findTypeDependencies,
+    encodeType,
+    typeHash,
+    breakdownStruct
+} = require('./eip712-breakdown.js');
+const { isPrimitiveType } = require('./eip712-validate.js');
+
+/**
+ * Typed-Data Diff
+ *
+ * Compares two typed-data payloads (e.g. ours and a partner's) layer by
+ * layer: the domain field by field, the type definitions (types, names,
+ * order, missing referenced types), each message field's encoded 32-byte
+ * word, and finally the domain separator, typeHash, struct hash and digest,
+ * naming the first layer where the two diverge.
+ */
+
+// Hash layers in the order a mismatch is traced
+const DIFF_LAYERS = ['domainSeparator', 'typeHash', 'structHash', 'digest'];
+
+/**
+ * Run a computation, turning a throw into { error }
+ * @param {Function} compute - Computation
+ * @returns {Object} { value } or { error }
+ */
+function attempt(compute) {
+    try {
+        return { value: compute() };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+/**
+ * Compute every layer of one side, keeping going past the layers that fail
+ * @param {Object} payload - { domain, types, primaryType?, message }
+ * @returns {Object} { primaryType, messageTypes, domainFields, domain, message, layers }
+ */
+function analyzeSide({ domain, types, primaryType = null, message }) {
+    const messageTypes = withoutDomainType(types);
+    const domainFields = getDomainFields(domain, types);
+    const resolved = attempt(() => resolvePrimaryType(types, primaryType));
+    const domainBreakdown = attempt(() => breakdownStruct('EIP712Domain', domain, { ...messageTypes, EIP712Domain: domainFields }));
+    const messageBreakdown = resolved.error ? resolved : attempt(() => breakdownStruct(resolved.value, message, messageTypes));
+
+    const layers = {
+        domainSeparator: domainBreakdown.error ? { error: domainBreakdown.error } : { value: domainBreakdown.value.hash },
+        typeHash: resolved.error ? { error: resolved.error } : { value: typeHash(resolved.value, messageTypes) },
+        structHash: messageBreakdown.error ? { error: messageBreakdown.error } : { value: messageBreakdown.value.hash }
+    };
+    layers.digest = layers.domainSeparator.value && layers.structHash.value
+        ? { value: ethers.keccak256(ethers.concat(['0x1901', layers.domainSeparator.value, layers.structHash.value])) }
+        : { error: 'needs the domain separator and struct hash' };
+
+    return {
+        primaryType: resolved.value || null,
+        messageTypes,
+        domainFields,
+        domain: domainBreakdown.value || null,
+        message: messageBreakdown.value || null,
+        layers
+    };
+}
+
+/**
+ * Compare the domains field by field (by encoded word, so 1 and "1" are the same chainId)
+ * @param {Object} a - Side A payload
+ * @param {Object} b - Side B payload
+ * @param {Object} sideA - analyzeSide(a)
+ * @param {Object} sideB - analyzeSide(b)
+ * @returns {Object} { encodeType: { a, b, matches }, fields: [{ field, status, a, b }] }
+ */
+function diffDomains(a, b, sideA, sideB) {
+    const describe = (payload, side, name) => {
+        const field = side.domainFields.find(entry => entry.name === name);
+        if (!field) {
+            return null;
+        }
+        const word = side.domain && side.domain.fields.find(entry => entry.name === name);
+        return { type: field.type, value: payload.domain[name], encoded: word ? word.encoded : null };
+    };
+    const names = [...new Set([...sideA.domainFields, ...sideB.domainFields].map(field => field.name))];
+    const fields = names.map(name => {
+        const left = describe(a, sideA, name);
+        const right = describe(b, sideB, name);
+        let status = 'same';
+        if (!left || !right) {
+            status = left ? 'only-a' : 'only-b';
+        } else if (left.type !== right.type || (left.encoded || JSON.stringify(left.value)) !== (right.encoded || JSON.stringify(right.value))) {
+            status = 'changed';
+        }
+        return { field: name, status, a: left, b: right };
+    });
+
+    const domainTypeA = encodeType('EIP712Domain', { EIP712Domain: sideA.domainFields });
+    const domainTypeB = encodeType('EIP712Domain', { EIP712Domain: sideB.domainFields });
+    return { encodeType: { a: domainTypeA, b: domainTypeB, matches: domainTypeA === domainTypeB }, fields };
+}
+
+/**
+ * Types referenced by a field but not defined (nor primitive)
+ * @param {Object} types - Message types
+ * @returns {Array} [{ type, referencedBy }]
+ */
+function findMissingTypes(types) {
+    return Object.entries(types).flatMap(([name, fields]) => fields
+        .map(field => ({ type: field.type.replace(/(\[\d*\])+$/, ''), referencedBy: `${name}.${field.name}` }))
+        .filter(entry => !types[entry.type] && !isPrimitiveType(entry.type)));
+}
+
+/**
+ * Compare the field lists of one struct on both sides
+ * @param {Array} fieldsA - Side A fields
+ * @param {Array} fieldsB - Side B fields
+ * @returns {Array} Changes: { kind: 'type' | 'name' | 'order' | 'added' | 'removed', ... }
+ */
+function diffStructFields(fieldsA, fieldsB) {
+    const namesA = fieldsA.map(field => field.name);
+    const namesB = fieldsB.map(field => field.name);
+    const changes = [];
+
+    // Same position and type, but each name exists on one side only: a rename
+    const renamed = new Set();
+    fieldsA.forEach((field, index) => {
+        const other = fieldsB[index];
+        if (other && other.name !== field.name && other.type === field.type && !namesB.includes(field.name) && !namesA.includes(other.name)) {
+            changes.push({ kind: 'name', index, a: field.name, b: other.name, type: field.type });
+            renamed.add(field.name).add(other.name);
+        }
+    });
+
+    fieldsA.filter(field => !namesB.includes(field.name) && !renamed.has(field.name))
+        .forEach(field => changes.push({ kind: 'removed', name: field.name, type: field.type }));
+    fieldsB.filter(field => !namesA.includes(field.name) && !renamed.has(field.name))
+        .forEach(field => changes.push({ kind: 'added', name: field.name, type: field.type }));
+    fieldsA.forEach(field => {
+        const other = fieldsB.find(entry => entry.name === field.name);
+        if (other && other.type !== field.type) {
+            changes.push({ kind: 'type', name: field.name, a: field.type, b: other.type });
+        }
+    });
+
+    const commonA = namesA.filter(name => namesB.includes(name));
+    const commonB = namesB.filter(name => namesA.includes(name));
+    if (commonA.join(',') !== commonB.join(',')) {
+        changes.push({ kind: 'order', a: commonA, b: commonB });
+    }
+    return changes;
+}
+
+/**
+ * Compare the type definitions reachable from each side's primary type
+ * @param {Object} sideA - analyzeSide(a)
+ * @param {Object} sideB - analyzeSide(b)
+ * @returns {Object} { primaryType, encodeType, structs, missing }
+ */
+function diffTypes(sideA, sideB) {
+    const reachable = side => (side.primaryType ? [...findTypeDependencies(side.primaryType, side.messageTypes)] : []);
+    const namesA = reachable(sideA);
+    const namesB = reachable(sideB);
+    const structs = [...new Set([...namesA, ...namesB])].map(name => {
+        if (!namesB.includes(name)) {
+            return { name, status: 'only-a', changes: [] };
+        }
+        if (!namesA.includes(name)) {
+            return { name, status: 'only-b', changes: [] };
+        }
+        const changes = diffStructFields(sideA.messageTypes[name], sideB.messageTypes[name]);
+        return { name, status: changes.length > 0 ? 'changed' : 'same', changes };
+    });
+
+    const typeString = side => (side.primaryType ? encodeType(side.primaryType, side.messageTypes) : null);
+    return {
+        primaryType: { a: sideA.primaryType, b: sideB.primaryType, matches: sideA.primaryType === sideB.primaryType },
+        encodeType: { a: typeString(sideA), b: typeString(sideB), matches: typeString(sideA) === typeString(sideB) },
+        structs,
+        missing: [
+            ...findMissingTypes(sideA.messageTypes).map(entry => ({ side: 'a', ...entry })),
+            ...findMissingTypes(sideB.messageTypes).map(entry => ({ side: 'b', ...entry }))
+        ]
+    };
+}
+
+/**
+ * Compare the encoded words of two struct breakdowns; descends into nested structs and arrays whose word differs
+ * @param {Object} structA - Side A struct breakdown
+ * @param {Object} structB - Side B struct breakdown
+ * @param {string} path - Path of the struct, e.g. "message"
+ * @param {Array} out - Accumulator of { path, status, a, b }
+ * @returns {Array} out
+ */
+function diffEncodedFields(structA, structB, path, out = []) {
+    const names = [...new Set([...structA.fields, ...structB.fields].map(field => field.name))];
+    names.forEach(name => {
+        const left = structA.fields.find(field => field.name === name);
+        const right = structB.fields.find(field => field.name === name);
+        diffEncodedEntry(left, right, `${path}.${name}`, out);
+    });
+    return out;
+}
+
+/**
+ * Compare one encoded value on both sides, recursing while the words differ
+ * @param {Object} left - Side A entry ({ type, value, encoded, struct?, items? }), or undefined
+ * @param {Object} right - Side B entry, or undefined
+ * @param {string} path - Value path
+ * @param {Array} out - Accumulator
+ */
+function diffEncodedEntry(left, right, path, out) {
+    const describe = entry => (entry ? { type: entry.type, value: entry.value, encoded: entry.encoded, note: entry.note } : null);
+    let status = 'same';
+    if (!left || !right) {
+        status = left ? 'only-a' : 'only-b';
+    } else if (left.encoded !== right.encoded) {
+        status = 'changed';
+    }
+    out.push({ path, status, a: describe(left), b: describe(right) });
+
+    if (status !== 'changed') {
+        return;
+    }
+    if (left.struct && right.struct) {
+        if (left.struct.typeHash !== right.struct.typeHash) {
+            out.push({ path: `${path} (typeHash)`, status: 'changed', a: { encoded: left.struct.typeHash }, b: { encoded: right.struct.typeHash } });
+        }
+        diffEncodedFields(left.struct, right.struct, path, out);
+    }
+    if (left.items && right.items) {
+        const length = Math.max(left.items.length, right.items.length);
+        for (let index = 0; index < length; index++) {
+            const item = (entry, side) => entry.items[index] && { type: entry.type.replace(/\[\d*\]$/, ''), value: side[index], ...entry.items[index] };
+            diffEncodedEntry(item(left, left.value), item(right, right.value), `${path}[${index}]`, out);
+        }
+    }
+}
+
+/**
+ * Diff two typed-data payloads down to the first diverging hash layer
+ * @param {Object} a - Side A payload { domain, types, primaryType?, message }
+ * @param {Object} b - Side B payload
+ * @returns {Object} { identical, firstDivergence, layers, domain, types, fields }
+ */
+function diffTypedData(a, b) {
+    const sideA = analyzeSide(a);
+    const sideB = analyzeSide(b);
+
+    const layers = Object.fromEntries(DIFF_LAYERS.map(layer => {
+        const left = sideA.layers[layer];
+        const right = sideB.layers[layer];
+        return [layer, {
+            a: left.value || null,
+            b: right.value || null,
+            matches: Boolean(left.value) && left.value === right.value,
+            ...(left.error ? { errorA: left.error } : {}),
+            ...(right.error ? { errorB: right.error } : {})
+        }];
+    }));
+    const firstDivergence = DIFF_LAYERS.find(layer => !layers[layer].matches) || null;
+
+    return {
+        identical: firstDivergence === null,
+        firstDivergence,
+        layers,
+        domain: diffDomains(a, b, sideA, sideB),
+        types: diffTypes(sideA, sideB),
+        fields: sideA.message && sideB.message ? diffEncodedFields(sideA.message, sideB.message, 'message') : []
+    };
+}
+
+/**
+ * Format a value for the diff report
+ * @param {*} value - Value
+ * @returns {string} Short text
+ */
+function formatValue(value) {
+    return typeof value === 'string' ? JSON.stringify(value) : JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+}
+
+/**
+ * Print a diff produced by diffTypedData
+ * @param {Object} diff - Diff result
+ * @param {Object} labels - { a, b } names of the two sides (e.g. file names)
+ */
+function printDiff(diff, labels = { a: 'A', b: 'B' }) {
+    const { a: nameA, b: nameB } = labels;
+    console.log('🔍 Typed-Data Diff');
+    console.log('==================');
+    console.log(`A: ${nameA}`);
+    console.log(`B: ${nameB}\n`);
+
+    console.log('🌐 Domain:');
+    if (!diff.domain.encodeType.matches) {
+        console.log(`  ❌ A ${diff.domain.encodeType.a}`);
+        console.log(`     B ${diff.domain.encodeType.b}`);
+    }
+    diff.domain.fields.forEach(({ field, status, a, b }) => {
+        if (status === 'same') {
+            console.log(`  ✅ ${field}: ${formatValue(a.value)}`);
+        } else if (status === 'changed') {
+            console.log(`  ❌ ${field}: ${formatValue(a.value)} (${a.type}) → ${formatValue(b.value)} (${b.type})`);
+        } else {
+            const present = a || b;
+            console.log(`  ❌ ${field}: only in ${status === 'only-a' ? 'A' : 'B'} (${formatValue(present.value)})`);
+        }
+    });
+    console.log('');
+
+    console.log('📋 Types:');
+    if (!diff.types.primaryType.matches) {
+        console.log(`  ❌ primaryType: ${diff.types.primaryType.a} → ${diff.types.primaryType.b}`);
+    }
+    if (diff.types.encodeType.matches) {
+        console.log(`  ✅ ${diff.types.encodeType.a}`);
+    } else {
+        console.log(`  ❌ A ${diff.types.encodeType.a}`);
+        console.log(`     B ${diff.types.encodeType.b}`);
+    }
+    diff.types.structs.filter(struct => struct.status !== 'same').forEach(struct => {
+        if (struct.status !== 'changed') {
+            console.log(`  ${struct.name}: only referenced in ${struct.status === 'only-a' ? 'A' : 'B'}`);
+            return;
+        }
+        struct.changes.forEach(change => {
+            const text = {
+                type: () => `${struct.name}.${change.name}: type ${change.a} → ${change.b}`,
+                name: () => `${struct.name} field ${change.index + 1} (${change.type}): name ${change.a} → ${change.b}`,
+                added: () => `${struct.name}.${change.name} (${change.type}): only in B`,
+                removed: () => `${struct.name}.${change.name} (${change.type}): only in A`,
+                order: () => `${struct.name}: field order ${change.a.join(',')} → ${change.b.join(',')}`
+            }[change.kind]();
+            console.log(`  ${text}`);
+        });
+    });
+    diff.types.missing.forEach(entry => {
+        console.log(`  ⚠️  ${entry.side.toUpperCase()}: "${entry.type}" (used by ${entry.referencedBy}) is not defined`);
+    });
+    console.log('');
+
+    console.log('🔢 Encoded words:');
+    const changed = diff.fields.filter(entry => entry.status !== 'same');
+    changed.forEach(({ path, status, a, b }) => {
+        if (status !== 'changed') {
+            console.log(`  ❌ ${path}: only in ${status === 'only-a' ? 'A' : 'B'}`);
+            return;
+        }
+        console.log(`  ❌ ${path}${a.type && a.type !== b.type ? ` (${a.type} → ${b.type})` : a.type ? ` (${a.type})` : ''}`);
+        console.log(`     A ${a.value !== undefined && typeof a.value !== 'object' ? `${formatValue(a.value)} → ` : ''}${a.encoded}`);
+        console.log(`     B ${b.value !== undefined && typeof b.value !== 'object' ? `${formatValue(b.value)} → ` : ''}${b.encoded}`);
+    });
+    const same = diff.fields.length - changed.length;
+    const { errorA, errorB } = diff.layers.structHash;
+    if (errorA || errorB) {
+        console.log(`  ⚠️  Not compared: ${[errorA && `A: ${errorA}`, errorB && `B: ${errorB}`].filter(Boolean).join('; ')}`);
+    } else {
+        console.log(changed.length === 0 ? `  ✅ all ${same} word(s) identical` : `  (${same} identical)`);
+    }
+    console.log('');
+
+    console.log('🎯 Layers:');
+    DIFF_LAYERS.forEach(layer => {
+        const entry = diff.layers[layer];
+        if (entry.matches) {
+            console.log(`  ✅ ${layer.padEnd(15)} ${entry.a}`);
+        } else {
+            console.log(`  ❌ ${layer.padEnd(15)} A ${entry.a || `(${entry.errorA})`}`);
+            console.log(`     ${''.padEnd(15)} B ${entry.b || `(${entry.errorB})`}`);
+        }
+    });
+    console.log('');
+    console.log(diff.identical ? '✅ Payloads hash identically' : `🧭 First divergence: ${diff.firstDivergence}`);
+}
+
+module.exports = {
+    DIFF_LAYERS,
+    diffTypedData,
+    printDiff
+};
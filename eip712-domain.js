@@ -0,0 +1,95 @@
+const { ethers } = require('ethers');
+const { callContract } = require('./eip712-rpc.js');
+
+/**
+ * EIP712Domain Helpers
+ *
+ * Builds domains from any subset of the EIP712Domain fields (name, version,
+ * chainId, verifyingContract, salt) and discovers a contract's domain through
+ * EIP-5267 `eip712Domain()`.
+ */
+
+// EIP-5267 `fields` bitmap: bit i set means the i-th field is part of the domain
+const EIP5267_FIELD_BITS = ['name', 'version', 'chainId', 'verifyingContract', 'salt'];
+
+const EIP5267_SIGNATURE = 'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)';
+
+/**
+ * Build a domain containing only the fields that were given
+ * @param {Object} fields - { name?, version?, chainId?, verifyingContract?, salt? }
+ * @returns {Object} EIP-712 domain
+ */
+function buildDomain({ name, version, chainId, verifyingContract, salt } = {}) {
+    const domain = {};
+    if (name !== undefined && name !== null) {
+        domain.name = String(name);
+    }
+    if (version !== undefined && version !== null) {
+        domain.version = String(version);
+    }
+    if (chainId !== undefined && chainId !== null) {
+        const id = BigInt(chainId);
+        domain.chainId = id <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(id) : id.toString();
+    }
+    if (verifyingContract !== undefined && verifyingContract !== null) {
+        domain.verifyingContract = ethers.getAddress(verifyingContract);
+    }
+    if (salt !== undefined && salt !== null) {
+        if (!ethers.isHexString(salt, 32)) {
+            throw new Error(`Invalid domain salt "${salt}": expected 32 bytes of hex`);
+        }
+        domain.salt = ethers.hexlify(salt);
+    }
+    return domain;
+}
+
+/**
+ * Turn an EIP-5267 eip712Domain() result into a domain object
+ * @param {Array} result - [fields, name, version, chainId, verifyingContract, salt, extensions]
+ * @returns {Object} { domain, extensions }
+ */
+function decodeEip5267Domain(result) {
+    const [fields, name, version, chainId, verifyingContract, salt, extensions] = result;
+    const bitmap = Number(fields);
+    const values = { name, version, chainId, verifyingContract, salt };
+
+    const selected = {};
+    EIP5267_FIELD_BITS.forEach((field, bit) => {
+        if (bitmap & (1 << bit)) {
+            selected[field] = values[field];
+        }
+    });
+
+    return {
+        domain: buildDomain(selected),
+        extensions: Array.from(extensions || []).map(extension => extension.toString())
+    };
+}
+
+/**
+ * Read a contract's EIP-712 domain through EIP-5267 eip712Domain()
+ * @param {string} address - Contract address
+ * @param {string} rpcUrl - JSON-RPC endpoint URL
+ * @returns {Promise<Object>} EIP-712 domain
+ */
+async function fetchDomainFromContract(address, rpcUrl) {
+    let result;
+    try {
+        result = await callContract(rpcUrl, address, EIP5267_SIGNATURE);
+    } catch (error) {
+        throw new Error(`eip712Domain() call on ${address} failed (does it implement EIP-5267?): ${error.shortMessage || error.message}`);
+    }
+
+    const { domain, extensions } = decodeEip5267Domain(result);
+    if (extensions.length > 0) {
+        throw new Error(`Contract ${address} declares EIP-712 extensions (${extensions.join(', ')}), which are not supported`);
+    }
+    return domain;
+}
+
+module.exports = {
+    EIP5267_FIELD_BITS,
+    buildDomain,
+    decodeEip5267Domain,
+    fetchDomainFromContract
+};
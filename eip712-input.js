@@ -0,0 +1,98 @@
+const fs = require('fs');
+
+/**
+ * Typed-Data Input
+ *
+ * Reads complete eth_signTypedData_v4 documents ({ types, primaryType,
+ * domain, message }) from a file or stdin. The declared primaryType and
+ * EIP712Domain fields are kept exactly as given, so hashing matches what a
+ * wallet such as MetaMask computes for the same document.
+ */
+
+/**
+ * Validate the shape of an eth_signTypedData_v4 document
+ * @param {Object} document - Parsed JSON document
+ * @param {string} source - Where the document came from (for error messages)
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function parseTypedDataDocument(document, source = 'typed data') {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new Error(`${source}: expected a JSON object`);
+    }
+
+    ['types', 'domain', 'message'].forEach(key => {
+        if (!document[key] || typeof document[key] !== 'object' || Array.isArray(document[key])) {
+            throw new Error(`${source}: "${key}" must be an object`);
+        }
+    });
+
+    if (typeof document.primaryType !== 'string' || !document.primaryType) {
+        throw new Error(`${source}: "primaryType" must be a non-empty string`);
+    }
+    if (!document.types[document.primaryType]) {
+        throw new Error(`${source}: primaryType "${document.primaryType}" is not defined in types`);
+    }
+
+    return {
+        domain: document.domain,
+        types: document.types,
+        primaryType: document.primaryType,
+        message: document.message
+    };
+}
+
+/**
+ * Parse a JSON string, naming the source on syntax errors
+ * @param {string} text - JSON text
+ * @param {string} source - Where the text came from
+ * @returns {Object} Parsed JSON
+ */
+function parseJson(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${source}: invalid JSON (${error.message})`);
+    }
+}
+
+/**
+ * Read an eth_signTypedData_v4 document from a file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function readTypedDataFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return parseTypedDataDocument(parseJson(text, filePath), filePath);
+}
+
+/**
+ * Read all of stdin as a string
+ * @param {Object} stream - Readable stream (default: process.stdin)
+ * @returns {Promise<string>} Stdin contents
+ */
+function readStdin(stream = process.stdin) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => { data += chunk; });
+        stream.on('end', () => resolve(data));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Read an eth_signTypedData_v4 document from stdin
+ * @param {Object} stream - Readable stream (default: process.stdin)
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+async function readTypedDataStdin(stream = process.stdin) {
+    const text = await readStdin(stream);
+    return parseTypedDataDocument(parseJson(text, 'stdin'), 'stdin');
+}
+
+module.exports = {
+    parseTypedDataDocument,
+    readTypedDataFile,
+    readStdin,
+    readTypedDataStdin
+};
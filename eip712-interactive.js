@@ -0,0 +1,444 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { breakdownTypedData, getDomainFields } = require('./eip712-breakdown.js');
+const { buildDomain } = require('./eip712-domain.js');
+const { isPrimitiveType, validateValue, validateTypedData, formatValidationErrors } = require('./eip712-validate.js');
+const { buildPresetPayload, coerceToType, applyCoercion } = require('./eip712-presets.js');
+const { parseDeadline, findDeadlineField } = require('./eip712-deadline.js');
+const { renderPreview, lintTypedData } = require('./eip712-preview.js');
+
+/**
+ * Interactive Signing Wizard
+ *
+ * Builds a typed-data payload step by step instead of a hand-escaped
+ * --custom-json string:
+ *
+ *   1. domain fields (name, version, chainId, verifyingContract, salt)
+ *   2. a preset, or the types defined field by field (nested structs included)
+ *   3. every message value, checked against its type as it is entered
+ *   4. a preview of what is authorized, the risk lint, and the type string, domain separator and digest
+ *   5. the payload saved as an eth_signTypedData_v4 document (reusable with --file)
+ *   6. optionally, the signature
+ *
+ * Prompts and the preview go to stderr, so stdout only carries the signature result.
+ */
+
+const DEFAULT_PAYLOAD_FILE = 'eip712-payload.json';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Create a line prompter reading answers from a stream. Lines that arrive before a question
+ * is asked are queued, so piped input works as well as a terminal.
+ * @param {Object} options - { input = process.stdin, output = process.stderr }
+ * @returns {Object} { ask(question), write(line), close() }
+ */
+function createLinePrompter({ input = process.stdin, output = process.stderr } = {}) {
+    const rl = readline.createInterface({ input, terminal: false });
+    const lines = [];
+    const waiting = [];
+    let ended = false;
+
+    rl.on('line', line => (waiting.length > 0 ? waiting.shift().resolve(line) : lines.push(line)));
+    rl.on('close', () => {
+        ended = true;
+        waiting.splice(0).forEach(({ reject }) => reject(new Error('Input ended before the wizard finished')));
+    });
+
+    return {
+        ask(question) {
+            output.write(question);
+            if (lines.length > 0) {
+                return Promise.resolve(lines.shift());
+            }
+            if (ended) {
+                return Promise.reject(new Error('Input ended before the wizard finished'));
+            }
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        write(line = '') {
+            output.write(`${line}\n`);
+        },
+        close() {
+            rl.close();
+        }
+    };
+}
+
+/**
+ * Ask until the answer parses; parse errors are shown and the question is asked again
+ * @param {Object} io - { ask, write }
+ * @param {string} question - Prompt text
+ * @param {Function} parse - (answer) => value, throws on invalid input
+ * @returns {Promise<*>} Parsed value
+ */
+async function askUntilValid(io, question, parse) {
+    for (;;) {
+        const answer = (await io.ask(question)).trim();
+        try {
+            return parse(answer);
+        } catch (error) {
+            io.write(`   ❌ ${error.shortMessage || error.message}`);
+        }
+    }
+}
+
+/**
+ * Ask a yes/no question
+ * @param {Object} io - { ask, write }
+ * @param {string} question - Prompt text (without the [y/N] suffix)
+ * @param {boolean} defaultAnswer - Answer for an empty line
+ * @returns {Promise<boolean>} Answer
+ */
+function confirm(io, question, defaultAnswer = false) {
+    return askUntilValid(io, `${question} ${defaultAnswer ? '[Y/n]' : '[y/N]'} `, answer => {
+        if (answer === '') {
+            return defaultAnswer;
+        }
+        if (/^(y|yes)$/i.test(answer)) {
+            return true;
+        }
+        if (/^(n|no)$/i.test(answer)) {
+            return false;
+        }
+        throw new Error('Answer y or n');
+    });
+}
+
+/**
+ * Check a value against its type, throwing the first validation error
+ * @param {string} type - Field type
+ * @param {*} value - Value
+ * @param {Object} types - Message types
+ */
+function assertValidValue(type, value, types) {
+    const errors = [];
+    validateValue(type, value, 'value', types, errors);
+    if (errors.length > 0) {
+        throw new Error(errors[0].message);
+    }
+}
+
+/**
+ * Format a prompt default for display
+ * @param {*} value - Default value
+ * @returns {string} " [value]" or an empty string
+ */
+function showDefault(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return ` [${typeof value === 'object' ? JSON.stringify(value) : value}]`;
+}
+
+/**
+ * Prompt for the domain fields; an empty answer keeps the default and "-" leaves the field out
+ * @param {Object} io - { ask, write }
+ * @param {Object} defaults - Default domain fields
+ * @returns {Promise<Object>} EIP-712 domain
+ */
+async function promptDomain(io, defaults = {}) {
+    io.write('🌐 Domain (empty keeps the [default], - leaves a field out)');
+    const fields = [
+        { name: 'name', parse: value => value },
+        { name: 'version', parse: value => value },
+        { name: 'chainId', parse: value => coerceToType('uint256', value) },
+        { name: 'verifyingContract', parse: value => ethers.getAddress(value) },
+        {
+            name: 'salt',
+            parse: value => {
+                assertValidValue('bytes32', value, {});
+                return value;
+            }
+        }
+    ];
+
+    const domain = {};
+    for (const field of fields) {
+        domain[field.name] = await askUntilValid(io, `   ${field.name}${showDefault(defaults[field.name])}: `, answer => {
+            if (answer === '-') {
+                return undefined;
+            }
+            if (answer === '') {
+                return defaults[field.name];
+            }
+            return field.parse(answer);
+        });
+    }
+    return buildDomain(domain);
+}
+
+/**
+ * Prompt for one struct definition, field by field. A type that is neither built in nor in
+ * `structs` is confirmed before it becomes a new struct, so typos such as "adress" are caught.
+ * @param {Object} io - { ask, write }
+ * @param {string} name - Struct name
+ * @param {Set} structs - Struct names defined or queued so far (new ones are added)
+ * @returns {Promise<Array>} Fields [{ name, type }]
+ */
+async function promptStruct(io, name, structs) {
+    io.write(`📐 Fields of ${name} (empty name when done)`);
+    const fields = [];
+    for (;;) {
+        const fieldName = await askUntilValid(io, `   field ${fields.length + 1} name: `, answer => {
+            if (answer === '' && fields.length === 0) {
+                throw new Error(`${name} needs at least one field`);
+            }
+            if (answer !== '' && !IDENTIFIER_PATTERN.test(answer)) {
+                throw new Error(`"${answer}" is not a valid field name`);
+            }
+            if (fields.some(field => field.name === answer)) {
+                throw new Error(`${name} already has a field "${answer}"`);
+            }
+            return answer;
+        });
+        if (fieldName === '') {
+            return fields;
+        }
+        let type = null;
+        while (!type) {
+            type = await askUntilValid(io, `   ${fieldName} type (e.g. address, uint256, string, bytes32, Person, Person[]): `, answer => {
+                const base = answer.replace(/(\[\d*\])+$/, '');
+                if (base === '') {
+                    throw new Error(`${fieldName} needs a type`);
+                }
+                if (base === 'uint' || base === 'int') {
+                    throw new Error(`Use ${base}256 (EIP-712 has no ${base} alias)`);
+                }
+                if (!isPrimitiveType(base) && !IDENTIFIER_PATTERN.test(base)) {
+                    throw new Error(`"${answer}" is not a valid type`);
+                }
+                return answer;
+            });
+            const base = type.replace(/(\[\d*\])+$/, '');
+            if (!isPrimitiveType(base) && !structs.has(base)) {
+                if (await confirm(io, `   ${base} is not a built-in type; define it as a struct?`)) {
+                    structs.add(base);
+                } else {
+                    type = null;
+                }
+            }
+        }
+        fields.push({ name: fieldName, type });
+    }
+}
+
+/**
+ * Prompt for the primary type and every struct it references
+ * @param {Object} io - { ask, write }
+ * @returns {Promise<Object>} { types, primaryType }
+ */
+async function promptTypes(io) {
+    const primaryType = await askUntilValid(io, '📐 Primary type name (e.g. Mail): ', answer => {
+        if (!IDENTIFIER_PATTERN.test(answer)) {
+            throw new Error(`"${answer}" is not a valid type name`);
+        }
+        return answer;
+    });
+
+    const types = {};
+    const structs = new Set([primaryType]);
+    const pending = [primaryType];
+    while (pending.length > 0) {
+        const name = pending.shift();
+        types[name] = await promptStruct(io, name, structs);
+        [...structs].filter(struct => !types[struct] && !pending.includes(struct)).forEach(struct => pending.push(struct));
+    }
+
+    const typeErrors = validateTypedData({ domain: {}, types, message: {}, primaryType }).errors
+        .filter(error => error.path.startsWith('types.'));
+    if (typeErrors.length > 0) {
+        throw new Error(`Invalid types:\n${formatValidationErrors(typeErrors)}`);
+    }
+    return { types, primaryType };
+}
+
+/**
+ * Prompt for a value of any type: structs field by field, arrays as JSON, the rest as text
+ * @param {Object} io - { ask, write }
+ * @param {string} type - Field type
+ * @param {Object} types - Message types
+ * @param {Object} field - { label, defaultValue, isDeadline, coercion }
+ * @returns {Promise<*>} Value
+ */
+async function promptValue(io, type, types, { label, defaultValue, isDeadline = false, coercion = null }) {
+    if (Array.isArray(types[type])) {
+        io.write(`   ${label} (${type}):`);
+        const value = {};
+        for (const field of types[type]) {
+            value[field.name] = await promptValue(io, field.type, types, {
+                label: `${label}.${field.name}`,
+                defaultValue: defaultValue ? defaultValue[field.name] : undefined
+            });
+        }
+        return value;
+    }
+
+    const hint = /\]$/.test(type) ? ', JSON array' : (isDeadline ? ', timestamp, ISO-8601 or duration such as 1h' : '');
+    return askUntilValid(io, `   ${label} (${type}${hint})${showDefault(defaultValue)}: `, answer => {
+        if (answer === '' && defaultValue === undefined) {
+            throw new Error(`${label} needs a value`);
+        }
+        let value = answer === '' ? defaultValue : answer;
+        if (isDeadline) {
+            value = String(parseDeadline(value));
+        }
+        if (coercion) {
+            value = applyCoercion(coercion, value, label);
+        }
+        value = coerceToType(type, value);
+        assertValidValue(type, value, types);
+        return value;
+    });
+}
+
+/**
+ * Prompt for every field of the primary type
+ * @param {Object} io - { ask, write }
+ * @param {Object} types - Message types
+ * @param {string} primaryType - Primary type
+ * @param {Object} options - { defaults, coercions, deadlineField }
+ * @returns {Promise<Object>} Message
+ */
+async function promptMessage(io, types, primaryType, { defaults = {}, coercions = {}, deadlineField } = {}) {
+    io.write(`✏️  ${primaryType} values`);
+    const deadline = findDeadlineField(types[primaryType], deadlineField);
+    const message = {};
+    for (const field of types[primaryType]) {
+        const isDeadline = Boolean(deadline && deadline.name === field.name);
+        message[field.name] = await promptValue(io, field.type, types, {
+            label: field.name,
+            defaultValue: defaults[field.name] !== undefined ? defaults[field.name] : (isDeadline ? '1h' : undefined),
+            isDeadline,
+            coercion: coercions[field.name] || null
+        });
+    }
+    return message;
+}
+
+/**
+ * Print the preview shown before signing: the rendered message, risk-lint findings, and the
+ * type string, type hash, domain separator, struct hash and digest
+ * @param {Object} io - { write }
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ * @param {Object} options - { addressBook, expectedChainId, signerAddress }
+ * @returns {Object} Breakdown
+ */
+function printPreview(io, typedData, { addressBook = null, expectedChainId = null, signerAddress = null } = {}) {
+    const breakdown = breakdownTypedData(typedData);
+    const validation = validateTypedData(typedData);
+    io.write('');
+    io.write('🔎 Preview');
+    renderPreview(typedData, { addressBook, signer: signerAddress }).forEach(line => io.write(`   ${line}`));
+    lintTypedData(typedData, { addressBook, expectedChainId }).forEach(risk => io.write(`   ⚠️  [${risk.code}] ${risk.message}`));
+    io.write('');
+    [
+        ['type string', breakdown.message.encodeType],
+        ['type hash', breakdown.message.typeHash],
+        ['domain separator', breakdown.domainSeparator],
+        ['struct hash', breakdown.structHash],
+        ['digest', breakdown.digest]
+    ].forEach(([label, value]) => io.write(`   ${`${label}:`.padEnd(18)} ${value}`));
+    if (!validation.valid) {
+        io.write(`   ⚠️  Validation errors:\n${formatValidationErrors(validation.errors)}`);
+    }
+    io.write('');
+    return breakdown;
+}
+
+/**
+ * Save the payload as an eth_signTypedData_v4 document (types include EIP712Domain)
+ * @param {string} filePath - Output file
+ * @param {Object} typedData - { domain, types, primaryType, message }
+ * @returns {Object} The saved document
+ */
+function savePayload(filePath, { domain, types, primaryType, message }) {
+    const document = {
+        types: { EIP712Domain: getDomainFields(domain), ...types },
+        primaryType,
+        domain,
+        message
+    };
+    fs.writeFileSync(filePath, `${JSON.stringify(document, null, 2)}\n`);
+    return document;
+}
+
+/**
+ * Run the wizard
+ * @param {Object} io - { ask, write } (see createLinePrompter)
+ * @param {Object} options - {
+ *   registry: PresetRegistry offered as a starting point,
+ *   addressBook, expectedChainId: labels and chain for the preview and risk lint,
+ *   signerAddress: default for a preset's signer field,
+ *   outputFile: default save location,
+ *   sign: async (typedData) => result, offered after saving when given
+ * }
+ * @returns {Promise<Object>} { typedData, breakdown, file, result }
+ */
+async function runWizard(io, { registry = null, addressBook = null, expectedChainId = null, signerAddress = null, outputFile = DEFAULT_PAYLOAD_FILE, sign = null } = {}) {
+    io.write('🧙 EIP-712 signing wizard');
+    io.write('');
+
+    const presets = registry ? registry.list() : [];
+    let preset = null;
+    if (presets.length > 0) {
+        presets.forEach(entry => io.write(`   ${entry.name}${entry.description ? ` - ${entry.description}` : ''}`));
+        preset = await askUntilValid(io, '📋 Preset (empty to define your own types): ', answer => (answer === '' ? null : registry.get(answer)));
+    }
+
+    const domain = await promptDomain(io, preset ? preset.domain : {});
+
+    let typedData;
+    if (preset) {
+        const defaults = {
+            ...(preset.defaults || {}),
+            ...(preset.signerField && signerAddress ? { [preset.signerField]: signerAddress } : {}),
+            ...(preset.nonceField ? { [preset.nonceField]: '0' } : {})
+        };
+        const message = await promptMessage(io, preset.types, preset.primaryType, {
+            defaults,
+            coercions: preset.coercions || {},
+            deadlineField: preset.deadlineField
+        });
+        const payload = buildPresetPayload(preset, { fields: message, domain });
+        typedData = { domain: payload.domain, types: payload.types, primaryType: payload.primaryType, message: payload.message };
+    } else {
+        const { types, primaryType } = await promptTypes(io);
+        const message = await promptMessage(io, types, primaryType);
+        typedData = { domain, types, primaryType, message };
+    }
+
+    const breakdown = printPreview(io, typedData, { addressBook, expectedChainId, signerAddress });
+
+    let file = await askUntilValid(io, `💾 Save payload to${showDefault(outputFile)} (- to skip): `, answer => {
+        if (answer === '-') {
+            return null;
+        }
+        return answer || outputFile;
+    });
+    if (file && fs.existsSync(file) && !await confirm(io, `   ${file} exists; overwrite?`)) {
+        file = null;
+    }
+    if (file) {
+        savePayload(file, typedData);
+        io.write(`   ✅ Saved; sign it again with --file ${file}`);
+    }
+
+    let result = null;
+    if (sign && await confirm(io, '✍️  Sign this payload now?')) {
+        result = await sign(typedData);
+    }
+    return { typedData, breakdown, file, result };
+}
+
+module.exports = {
+    DEFAULT_PAYLOAD_FILE,
+    createLinePrompter,
+    promptDomain,
+    promptTypes,
+    promptMessage,
+    printPreview,
+    savePayload,
+    runWizard
+};
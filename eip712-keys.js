@@ -0,0 +1,180 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+
+/**
+ * Key Sources
+ *
+ * Loads the signing wallet without putting secrets on the command line:
+ *  - encrypted JSON keystore (password from a file or a hidden prompt)
+ *  - BIP-39 mnemonic (from a file, an environment variable or a hidden prompt)
+ *    with an HD path and account index
+ *  - private key from an environment variable, a key file or a hidden prompt
+ */
+
+const DEFAULT_HD_BASE_PATH = "m/44'/60'/0'/0";
+
+/**
+ * Ask for a secret on the terminal without echoing it (the prompt goes to stderr)
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Answer
+ */
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`Cannot prompt for "${question.trim()}": stdin is not a terminal (use a file or environment variable instead)`));
+    }
+    return new Promise(resolve => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+        process.stderr.write(question);
+        // Swallow the echo of typed characters
+        rl._writeToOutput = () => {};
+        rl.question('', answer => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * Read a secret from a file, trimming the trailing newline
+ * @param {string} filePath - File path
+ * @param {string} what - What the file holds (for error messages)
+ * @returns {string} File contents
+ */
+function readSecretFile(filePath, what) {
+    try {
+        return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+        throw new Error(`Cannot read ${what} file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Read a secret from an environment variable
+ * @param {string} name - Variable name
+ * @param {string} what - What the variable holds (for error messages)
+ * @returns {string} Value
+ */
+function readSecretEnv(name, what) {
+    const value = process.env[name];
+    if (!value) {
+        throw new Error(`Environment variable ${name} (${what}) is not set`);
+    }
+    return value.trim();
+}
+
+/**
+ * HD derivation path for a mnemonic account
+ * @param {string} hdPath - Full path, or base path when accountIndex is given
+ * @param {number} accountIndex - Account index appended to the path
+ * @returns {string} Derivation path
+ */
+function resolveHdPath(hdPath, accountIndex) {
+    if (hdPath && (accountIndex === undefined || accountIndex === null)) {
+        return hdPath;
+    }
+    const index = Number(accountIndex || 0);
+    if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Invalid account index "${accountIndex}"`);
+    }
+    return `${(hdPath || DEFAULT_HD_BASE_PATH).replace(/\/$/, '')}/${index}`;
+}
+
+/**
+ * Create a wallet from a private key, with an error that never echoes the key
+ * @param {string} privateKey - Hex private key
+ * @param {string} source - Where the key came from
+ * @returns {ethers.Wallet} Wallet
+ */
+function walletFromPrivateKey(privateKey, source) {
+    const key = privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`;
+    try {
+        return new ethers.Wallet(key);
+    } catch (error) {
+        throw new Error(`${source} does not hold a valid private key`);
+    }
+}
+
+/**
+ * Load a wallet from one key source
+ * @param {Object} source - { keystore, password, passwordFile, mnemonic, mnemonicFile, mnemonicEnv, promptMnemonic,
+ *                            hdPath, accountIndex, keyEnv, keyFile, promptKey, privateKey }
+ * @param {Object} io - { prompt } (defaults to promptHidden; replaceable for tests and front-ends)
+ * @returns {Promise<ethers.Wallet|ethers.HDNodeWallet>} Wallet
+ */
+async function loadWallet(source = {}, io = {}) {
+    const prompt = io.prompt || promptHidden;
+
+    if (source.keystore) {
+        const json = readSecretFile(source.keystore, 'keystore');
+        const password = source.password !== undefined
+            ? source.password
+            : source.passwordFile
+                ? readSecretFile(source.passwordFile, 'password')
+                : await prompt(`Password for ${source.keystore}: `);
+        try {
+            return await ethers.Wallet.fromEncryptedJson(json, password);
+        } catch (error) {
+            throw new Error(`Cannot decrypt keystore ${source.keystore}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    if (source.mnemonic || source.mnemonicFile || source.mnemonicEnv || source.promptMnemonic) {
+        const phrase = source.mnemonic
+            || (source.mnemonicFile && readSecretFile(source.mnemonicFile, 'mnemonic'))
+            || (source.mnemonicEnv && readSecretEnv(source.mnemonicEnv, 'mnemonic'))
+            || await prompt('Mnemonic: ');
+        const path = resolveHdPath(source.hdPath, source.accountIndex);
+        try {
+            return ethers.HDNodeWallet.fromPhrase(phrase.trim().split(/\s+/).join(' '), source.mnemonicPassword || '', path);
+        } catch (error) {
+            throw new Error(`Invalid mnemonic or HD path ${path}: ${error.shortMessage || error.message}`);
+        }
+    }
+
+    if (source.keyEnv) {
+        return walletFromPrivateKey(readSecretEnv(source.keyEnv, 'private key'), `Environment variable ${source.keyEnv}`);
+    }
+    if (source.keyFile) {
+        return walletFromPrivateKey(readSecretFile(source.keyFile, 'key'), `Key file ${source.keyFile}`);
+    }
+    if (source.privateKey) {
+        return walletFromPrivateKey(source.privateKey, 'The private key');
+    }
+    if (source.promptKey !== false) {
+        return walletFromPrivateKey((await prompt('Private key: ')).trim(), 'The entered private key');
+    }
+    throw new Error('No key source given (use --keystore, --mnemonic-file, --key-env, --key-file, the hidden key prompt, --signer-rpc or --signer-command)');
+}
+
+/**
+ * Map CLI options onto a key source
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Key source for loadWallet, plus the remote signer options of loadSignerBackend
+ */
+function keySourceFromOptions(options) {
+    return {
+        keystore: options.keystore,
+        passwordFile: options.password_file,
+        mnemonicFile: options.mnemonic_file,
+        mnemonicEnv: options.mnemonic_env,
+        promptMnemonic: options.mnemonic === true,
+        hdPath: options.hd_path,
+        accountIndex: options.account_index,
+        keyEnv: options.key_env,
+        keyFile: options.key_file,
+        signerRpc: options.signer_rpc,
+        signerRpcMethod: options.signer_rpc_method,
+        signerCommand: options.signer_command,
+        signerAddress: options.signer_address
+    };
+}
+
+module.exports = {
+    DEFAULT_HD_BASE_PATH,
+    promptHidden,
+    resolveHdPath,
+    loadWallet,
+    keySourceFromOptions
+};
@@ -0,0 +1,77 @@
+/**
+ * Diagnostics and Loggers
+ *
+ * Signing never writes to stdout by itself. Everything worth reporting
+ * (field-order mismatches, reorderings, deadline injection, forced
+ * validation errors) becomes a diagnostic:
+ *
+ *   { level: 'debug' | 'info' | 'warning', code, message, details }
+ *
+ * Diagnostics are returned with every signature result and can also be
+ * streamed to a logger (anything with debug/info/warn methods, e.g. console
+ * or pino) or an onDiagnostic event hook.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'warning', 'silent'];
+
+// Logger method for each diagnostic level
+const LOGGER_METHODS = { debug: 'debug', info: 'info', warning: 'warn' };
+
+/**
+ * Create a diagnostic entry
+ * @param {string} level - debug, info or warning
+ * @param {string} code - Stable machine-readable code (e.g. field-order-mismatch)
+ * @param {string} message - Human-readable message
+ * @param {Object} details - Structured data for the diagnostic
+ * @returns {Object} { level, code, message, details }
+ */
+function createDiagnostic(level, code, message, details = {}) {
+    if (!LOGGER_METHODS[level]) {
+        throw new Error(`Unknown diagnostic level "${level}" (expected debug, info or warning)`);
+    }
+    return { level, code, message, details };
+}
+
+/**
+ * Create a collector that records diagnostics and forwards them to a logger and an event hook
+ * @param {Object} options - { logger, onDiagnostic }
+ * @returns {Object} { diagnostics, emit(level, code, message, details) }
+ */
+function createDiagnosticCollector({ logger = null, onDiagnostic = null } = {}) {
+    const diagnostics = [];
+    return {
+        diagnostics,
+        emit(level, code, message, details = {}) {
+            const diagnostic = createDiagnostic(level, code, message, details);
+            diagnostics.push(diagnostic);
+            if (onDiagnostic) {
+                onDiagnostic(diagnostic);
+            }
+            if (logger && typeof logger[LOGGER_METHODS[level]] === 'function') {
+                logger[LOGGER_METHODS[level]](message);
+            }
+            return diagnostic;
+        }
+    };
+}
+
+/**
+ * Create a logger that writes lines at or above a minimum level (the CLI writes to stderr)
+ * @param {Object} options - { level = 'info', write: (line) => void }
+ * @returns {Object} { debug, info, warn }
+ */
+function createLogger({ level = 'info', write = line => process.stderr.write(`${line}\n`) } = {}) {
+    const minimum = LOG_LEVELS.indexOf(level);
+    if (minimum === -1) {
+        throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+    }
+    const at = name => (LOG_LEVELS.indexOf(name) >= minimum ? message => write(message) : () => {});
+    return { debug: at('debug'), info: at('info'), warn: at('warning') };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    createDiagnostic,
+    createDiagnosticCollector,
+    createLogger
+};
@@ -0,0 +1,373 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { callContract } = require('./eip712-rpc.js');
+const { findKnownPermitToken } = require('./eip712-permit-styles.js');
+
+/**
+ * Nonce Management
+ *
+ * Hands out nonces per (chainId, verifyingContract, owner) so consecutive
+ * permits do not reuse one. Signed nonces are recorded in a local JSON file
+ * (default: ~/.eip712-signer/nonces.json, or EIP712_SIGNER_NONCE_STORE), and
+ * the contract's nonces(owner) is read over JSON-RPC when an endpoint is
+ * given. The next nonce is the larger of the two, so permits that were
+ * signed but not yet submitted are not signed again with the same nonce.
+ * Reads and writes that must not interleave with another run (choosing and
+ * reserving a nonce) hold an exclusive lock file next to the store.
+ *
+ * {
+ *   "version": 1,
+ *   "entries": {
+ *     "1:0x6b17...:0xf39f...": {
+ *       "chainId": 1, "verifyingContract": "0x6B17...", "owner": "0xf39F...", "next": "3",
+ *       "reservations": [{ "nonce": "2", "reservedAt": "2024-01-01T12:00:00.000Z", "digest": "0x..." }]
+ *     }
+ *   }
+ * }
+ */
+
+const NONCES_SIGNATURE = 'function nonces(address owner) view returns (uint256)';
+const TOKEN_NONCES_SIGNATURE = 'function nonces(uint256 tokenId) view returns (uint256)';
+const DOMAIN_SEPARATOR_SIGNATURE = 'function DOMAIN_SEPARATOR() view returns (bytes32)';
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 25;
+// A lock older than this was left behind by a run that crashed
+const LOCK_STALE_MS = 60000;
+
+/**
+ * Block the current thread (lock retries happen inside synchronous store operations)
+ * @param {number} ms - Milliseconds
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Default nonce store location
+ * @returns {string} File path
+ */
+function defaultNonceStorePath() {
+    return process.env.EIP712_SIGNER_NONCE_STORE || path.join(os.homedir(), '.eip712-signer', 'nonces.json');
+}
+
+/**
+ * Normalize a nonce scope and derive its store key
+ * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? } (tokenId for per-token EIP-4494 nonces)
+ * @returns {Object} { key, chainId, verifyingContract, owner, tokenId }
+ */
+function nonceScope({ chainId, verifyingContract, owner, tokenId }) {
+    if (chainId === undefined || chainId === null || !verifyingContract || !owner) {
+        throw new Error('Nonce tracking needs the domain chainId and verifyingContract (--chain-id, --verifying-contract) and an owner');
+    }
+    const scope = {
+        chainId: Number(chainId),
+        verifyingContract: ethers.getAddress(verifyingContract),
+        owner: ethers.getAddress(owner)
+    };
+    if (tokenId !== undefined && tokenId !== null) {
+        scope.tokenId = BigInt(tokenId).toString();
+    }
+    const parts = [scope.chainId, scope.verifyingContract, scope.owner, ...(scope.tokenId !== undefined ? [scope.tokenId] : [])];
+    return { key: parts.join(':').toLowerCase(), ...scope };
+}
+
+/**
+ * Parse an explicit nonce: a non-negative integer (decimal or 0x hex)
+ * @param {*} value - Raw nonce
+ * @param {string} flag - Option name for error messages
+ * @returns {string} Nonce as a decimal string
+ */
+function parseNonce(value, flag = 'nonce') {
+    if (value === undefined || value === null || value === '' || value === true) {
+        throw new Error(`Missing ${flag}: give a number or "auto"`);
+    }
+    let nonce;
+    try {
+        nonce = BigInt(typeof value === 'string' ? value.trim() : value);
+    } catch (error) {
+        throw new Error(`Invalid ${flag} "${value}": expected a non-negative integer or "auto"`);
+    }
+    if (nonce < 0n) {
+        throw new Error(`Invalid ${flag} "${value}": expected a non-negative integer or "auto"`);
+    }
+    return nonce.toString();
+}
+
+/**
+ * Read nonces(owner) (or nonces(tokenId) for EIP-4494 NFTs) from the contract; known tokens with
+ * their own nonce function (e.g. positions(tokenId) of Uniswap V3 positions) are read through that
+ * @param {Object} params - { rpcUrl, chainId, verifyingContract, owner, tokenId }
+ * @returns {Promise<string>} On-chain nonce
+ */
+async function fetchOnChainNonce({ rpcUrl, chainId, verifyingContract, owner, tokenId }) {
+    const perToken = tokenId !== undefined && tokenId !== null;
+    const known = findKnownPermitToken(chainId, verifyingContract);
+    const signature = known && known.nonceFunction ? known.nonceFunction : perToken ? TOKEN_NONCES_SIGNATURE : NONCES_SIGNATURE;
+    const fragment = ethers.FunctionFragment.from(signature);
+    const argument = perToken ? tokenId : owner;
+    try {
+        const result = await callContract(rpcUrl, verifyingContract, signature, [argument]);
+        // Functions with several outputs return the nonce first
+        return (fragment.outputs.length > 1 ? result[0] : result).toString();
+    } catch (error) {
+        throw new Error(`${fragment.name}(${argument}) call on ${verifyingContract} failed: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * Read DOMAIN_SEPARATOR() from the contract
+ * @param {Object} params - { rpcUrl, verifyingContract }
+ * @returns {Promise<string>} Domain separator
+ */
+async function fetchDomainSeparator({ rpcUrl, verifyingContract }) {
+    try {
+        return await callContract(rpcUrl, verifyingContract, DOMAIN_SEPARATOR_SIGNATURE);
+    } catch (error) {
+        throw new Error(`DOMAIN_SEPARATOR() call on ${verifyingContract} failed: ${error.shortMessage || error.message}`);
+    }
+}
+
+class NonceStore {
+    /**
+     * @param {string} filePath - JSON file (default: defaultNonceStorePath())
+     * @param {Object} options - { lockTimeout: milliseconds to wait for another run's lock (default: 10 s) }
+     */
+    constructor(filePath = defaultNonceStorePath(), options = {}) {
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.lockTimeout = options.lockTimeout ?? LOCK_TIMEOUT_MS;
+        this.locked = false;
+    }
+
+    /**
+     * Run a synchronous function while holding the store's lock file, so read-modify-write cycles of
+     * concurrent runs do not interleave. Nested calls reuse the lock that is already held.
+     * @param {Function} fn - () => result
+     * @returns {*} Result of fn
+     */
+    withLock(fn) {
+        if (this.locked) {
+            return fn();
+        }
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const started = Date.now();
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(this.lockPath, 'wx', 0o600));
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw new Error(`${this.lockPath}: cannot lock nonce store (${error.message})`);
+                }
+            }
+            let age = 0;
+            try {
+                age = Date.now() - fs.statSync(this.lockPath).mtimeMs;
+            } catch (error) {
+                continue; // Released meanwhile
+            }
+            if (age > LOCK_STALE_MS) {
+                fs.rmSync(this.lockPath, { force: true });
+                continue;
+            }
+            if (Date.now() - started >= this.lockTimeout) {
+                throw new Error(`${this.lockPath}: nonce store is locked by another run (delete the lock file if no other run is active)`);
+            }
+            sleepSync(LOCK_RETRY_MS);
+        }
+        this.locked = true;
+        try {
+            return fn();
+        } finally {
+            this.locked = false;
+            fs.rmSync(this.lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Read the store; a missing file is an empty store
+     * @returns {Object} { version, entries }
+     */
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return { version: 1, entries: {} };
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return { version: 1, entries: {}, ...data };
+        } catch (error) {
+            throw new Error(`${this.filePath}: cannot read nonce store (${error.message})`);
+        }
+    }
+
+    /**
+     * Write the store through a temporary file, so an interrupted write never corrupts it
+     * @param {Object} data - { version, entries }
+     */
+    write(data) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const temporary = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+        fs.renameSync(temporary, this.filePath);
+    }
+
+    /**
+     * Next nonce recorded for a scope
+     * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+     * @returns {string|null} Next nonce, or null when nothing was recorded
+     */
+    next(scope) {
+        const entry = this.read().entries[nonceScope(scope).key];
+        return entry ? entry.next : null;
+    }
+
+    /**
+     * Record a signed nonce; the next nonce becomes at least nonce + 1.
+     * Reserving a nonce that is already reserved adds the details to that reservation.
+     * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+     * @param {*} nonce - Signed nonce
+     * @param {Object} details - Extra fields kept with the reservation (e.g. { digest })
+     * @returns {Object} Updated entry
+     */
+    reserve(scope, nonce, details = {}) {
+        const { key, ...fields } = nonceScope(scope);
+        return this.withLock(() => {
+            const data = this.read();
+            const entry = data.entries[key] || { ...fields, next: '0', reservations: [] };
+            const value = BigInt(nonce);
+            entry.next = (value + 1n > BigInt(entry.next) ? value + 1n : BigInt(entry.next)).toString();
+            const existing = entry.reservations.find(reservation => reservation.nonce === value.toString());
+            if (existing) {
+                Object.assign(existing, details);
+            } else {
+                entry.reservations.push({ nonce: value.toString(), reservedAt: new Date().toISOString(), ...details });
+            }
+            data.entries[key] = entry;
+            this.write(data);
+            return entry;
+        });
+    }
+
+    /**
+     * Give back a reserved nonce that was never signed (e.g. signing failed after claimNonce)
+     * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+     * @param {*} nonce - Reserved nonce
+     */
+    release(scope, nonce) {
+        const { key } = nonceScope(scope);
+        this.withLock(() => {
+            const data = this.read();
+            const entry = data.entries[key];
+            if (!entry) {
+                return;
+            }
+            entry.reservations = entry.reservations.filter(reservation => reservation.nonce !== BigInt(nonce).toString());
+            // Only the latest nonce can be handed out again; earlier ones stay skipped
+            if (entry.next === (BigInt(nonce) + 1n).toString()) {
+                entry.next = BigInt(nonce).toString();
+            }
+            if (entry.reservations.length === 0 && entry.next === '0') {
+                delete data.entries[key];
+            }
+            this.write(data);
+        });
+    }
+
+    /**
+     * List entries, optionally filtered by chainId, verifyingContract and/or owner
+     * @param {Object} filter - { chainId, verifyingContract, owner }
+     * @returns {Array} Matching entries
+     */
+    list(filter = {}) {
+        return Object.values(this.read().entries).filter(entry => matchesFilter(entry, filter));
+    }
+
+    /**
+     * Remove entries, optionally filtered by chainId, verifyingContract and/or owner
+     * @param {Object} filter - { chainId, verifyingContract, owner }
+     * @returns {number} Number of removed entries
+     */
+    reset(filter = {}) {
+        return this.withLock(() => {
+            const data = this.read();
+            const keys = Object.keys(data.entries).filter(key => matchesFilter(data.entries[key], filter));
+            keys.forEach(key => delete data.entries[key]);
+            if (keys.length > 0) {
+                this.write(data);
+            }
+            return keys.length;
+        });
+    }
+}
+
+/**
+ * Check a store entry against a filter
+ * @param {Object} entry - Store entry
+ * @param {Object} filter - { chainId, verifyingContract, owner }
+ * @returns {boolean} True when every given filter field matches
+ */
+function matchesFilter(entry, { chainId, verifyingContract, owner } = {}) {
+    return (chainId === undefined || chainId === null || Number(chainId) === entry.chainId)
+        && (!verifyingContract || verifyingContract.toLowerCase() === entry.verifyingContract.toLowerCase())
+        && (!owner || owner.toLowerCase() === entry.owner.toLowerCase());
+}
+
+/**
+ * Pick the next nonce for a scope: the larger of the contract's nonces() (when rpcUrl is given)
+ * and the next nonce in the local store; 0 when neither knows the scope
+ * @param {NonceStore} store - Nonce store
+ * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+ * @param {Object} options - { rpcUrl }
+ * @returns {Promise<Object>} { nonce, source: 'chain' | 'store' | 'default', onChainNonce, storedNext }
+ */
+async function resolveNonce(store, scope, { rpcUrl = null } = {}) {
+    const onChainNonce = rpcUrl ? await fetchOnChainNonce({ rpcUrl, ...scope }) : null;
+    return pickNonce(onChainNonce, store.next(scope));
+}
+
+/**
+ * Resolve the next nonce like resolveNonce and reserve it in the same locked step, so concurrent
+ * runs sharing the store never get the same nonce. Release it if it ends up unsigned.
+ * @param {NonceStore} store - Nonce store
+ * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+ * @param {Object} options - { rpcUrl, details: fields kept with the reservation }
+ * @returns {Promise<Object>} { nonce, source, onChainNonce, storedNext }
+ */
+async function claimNonce(store, scope, { rpcUrl = null, details = {} } = {}) {
+    const onChainNonce = rpcUrl ? await fetchOnChainNonce({ rpcUrl, ...scope }) : null;
+    return store.withLock(() => {
+        const resolved = pickNonce(onChainNonce, store.next(scope));
+        store.reserve(scope, resolved.nonce, details);
+        return resolved;
+    });
+}
+
+/**
+ * Choose between the on-chain nonce and the store's next nonce
+ * @param {string|null} onChainNonce - nonces() result, or null without an RPC
+ * @param {string|null} storedNext - Store's next nonce, or null
+ * @returns {Object} { nonce, source: 'chain' | 'store' | 'default', onChainNonce, storedNext }
+ */
+function pickNonce(onChainNonce, storedNext) {
+    if (onChainNonce === null && storedNext === null) {
+        return { nonce: '0', source: 'default', onChainNonce, storedNext };
+    }
+    if (storedNext === null || (onChainNonce !== null && BigInt(onChainNonce) >= BigInt(storedNext))) {
+        return { nonce: onChainNonce, source: 'chain', onChainNonce, storedNext };
+    }
+    return { nonce: storedNext, source: 'store', onChainNonce, storedNext };
+}
+
+module.exports = {
+    defaultNonceStorePath,
+    nonceScope,
+    parseNonce,
+    fetchOnChainNonce,
+    fetchDomainSeparator,
+    NonceStore,
+    resolveNonce,
+    claimNonce
+};
@@ -0,0 +1,127 @@
+const { ethers } = require('ethers');
+
+/**
+ * Permit Styles
+ *
+ * Approval-by-signature variants that predate or sit beside EIP-2612, each
+ * with its own type, field names and deadline field:
+ *  - eip2612:      Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)
+ *  - dai:          Permit(address holder,address spender,uint256 nonce,uint256 expiry,bool allowed)
+ *  - eip4494-nft:  Permit(address spender,uint256 tokenId,uint256 nonce,uint256 deadline)
+ *
+ * KNOWN_PERMIT_TOKENS maps well-known deployments to their style and domain,
+ * so `--permit` signs them correctly without extra flags. Tokens whose nonce is
+ * not read through nonces() name their `nonceFunction`: it takes the owner (or
+ * the tokenId for EIP-4494) and returns the nonce as its first output.
+ */
+
+const PERMIT_STYLES = {
+    eip2612: {
+        description: 'EIP-2612 ERC-20 permit',
+        types: {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        deadlineField: 'deadline',
+        buildMessage: ({ owner, spender, value, nonce, deadline }) => {
+            if (value === undefined || value === null) {
+                throw new Error('EIP-2612 permits require a value');
+            }
+            return { owner, spender, value, nonce, deadline };
+        }
+    },
+    dai: {
+        description: 'DAI-style permit (holder, expiry, allowed)',
+        types: {
+            Permit: [
+                { name: 'holder', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'expiry', type: 'uint256' },
+                { name: 'allowed', type: 'bool' }
+            ]
+        },
+        deadlineField: 'expiry',
+        // allowed: true approves an unlimited amount, false revokes it
+        buildMessage: ({ owner, spender, nonce, deadline, allowed = true }) => ({
+            holder: owner,
+            spender,
+            nonce,
+            expiry: deadline,
+            allowed: allowed === true || allowed === 'true'
+        })
+    },
+    'eip4494-nft': {
+        description: 'EIP-4494 ERC-721 permit (per-token nonce)',
+        types: {
+            Permit: [
+                { name: 'spender', type: 'address' },
+                { name: 'tokenId', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        deadlineField: 'deadline',
+        buildMessage: ({ spender, tokenId, nonce, deadline }) => {
+            if (tokenId === undefined || tokenId === null) {
+                throw new Error('EIP-4494 permits require a tokenId');
+            }
+            return { spender, tokenId: BigInt(tokenId).toString(), nonce, deadline };
+        }
+    }
+};
+
+// chainId => lowercase address => { style, domain }; version: null means the domain has no version
+const KNOWN_PERMIT_TOKENS = {
+    1: {
+        '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', style: 'dai', domain: { name: 'Dai Stablecoin', version: '1' } },
+        '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', style: 'eip2612', domain: { name: 'USD Coin', version: '2' } },
+        '0x1f9840a85d5af5bf1d1762f925bdaddc4201f984': { symbol: 'UNI', style: 'eip2612', domain: { name: 'Uniswap', version: null } },
+        '0xc36442b4a4522e871399cd717abdd847ab11fe88': {
+            symbol: 'UNI-V3-POS',
+            style: 'eip4494-nft',
+            domain: { name: 'Uniswap V3 Positions NFT-V1', version: '1' },
+            // The position's permit nonce is the first field of positions(tokenId)
+            nonceFunction: 'function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)'
+        }
+    }
+};
+
+/**
+ * Look up a permit style by name
+ * @param {string} name - Style name
+ * @returns {Object} Style definition
+ */
+function getPermitStyle(name) {
+    const style = PERMIT_STYLES[name];
+    if (!style) {
+        throw new Error(`Unknown permit style "${name}" (expected ${Object.keys(PERMIT_STYLES).join(', ')})`);
+    }
+    return style;
+}
+
+/**
+ * Find a well-known permit token
+ * @param {number} chainId - Chain ID
+ * @param {string} address - Token address
+ * @returns {Object|null} { symbol, style, domain, nonceFunction? } or null
+ */
+function findKnownPermitToken(chainId, address) {
+    if (!address || !ethers.isAddress(address)) {
+        return null;
+    }
+    const tokens = KNOWN_PERMIT_TOKENS[Number(chainId)] || {};
+    return tokens[address.toLowerCase()] || null;
+}
+
+module.exports = {
+    PERMIT_STYLES,
+    KNOWN_PERMIT_TOKENS,
+    getPermitStyle,
+    findKnownPermitToken
+};
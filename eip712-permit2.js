@@ -0,0 +1,327 @@
+const { ethers } = require('ethers');
+const { encodeType } = require('./eip712-breakdown.js');
+const { parseEncodeType } = require('./eip712-type-parser.js');
+const { callContract } = require('./eip712-rpc.js');
+
+/**
+ * Uniswap Permit2
+ *
+ * Typed-data payloads for AllowanceTransfer (PermitSingle, PermitBatch) and
+ * SignatureTransfer (PermitTransferFrom, PermitBatchTransferFrom and their
+ * witness variants), plus Permit2's two nonce models:
+ *  - AllowanceTransfer: an ordered uint48 nonce per (owner, token, spender)
+ *  - SignatureTransfer: unordered nonces, where bits 8..255 select a bitmap
+ *    word and bits 0..7 select the bit within it
+ */
+
+// Canonical Permit2 deployment (same address on every chain)
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const MAX_UINT48 = (1n << 48n) - 1n;
+const MAX_UINT160 = (1n << 160n) - 1n;
+
+const PERMIT_DETAILS = [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+];
+
+const TOKEN_PERMISSIONS = [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+];
+
+const PERMIT_SINGLE_TYPES = {
+    PermitSingle: [
+        { name: 'details', type: 'PermitDetails' },
+        { name: 'spender', type: 'address' },
+        { name: 'sigDeadline', type: 'uint256' }
+    ],
+    PermitDetails: PERMIT_DETAILS
+};
+
+const PERMIT_BATCH_TYPES = {
+    PermitBatch: [
+        { name: 'details', type: 'PermitDetails[]' },
+        { name: 'spender', type: 'address' },
+        { name: 'sigDeadline', type: 'uint256' }
+    ],
+    PermitDetails: PERMIT_DETAILS
+};
+
+const PERMIT_TRANSFER_FROM_TYPES = {
+    PermitTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    TokenPermissions: TOKEN_PERMISSIONS
+};
+
+const PERMIT_BATCH_TRANSFER_FROM_TYPES = {
+    PermitBatchTransferFrom: [
+        { name: 'permitted', type: 'TokenPermissions[]' },
+        { name: 'spender', type: 'address' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' }
+    ],
+    TokenPermissions: TOKEN_PERMISSIONS
+};
+
+/**
+ * Permit2 EIP-712 domain (Permit2 has no version field)
+ * @param {number} chainId - Chain ID
+ * @param {string} permit2Address - Permit2 deployment (default: canonical address)
+ * @returns {Object} EIP-712 domain
+ */
+function permit2Domain(chainId, permit2Address = PERMIT2_ADDRESS) {
+    return {
+        name: 'Permit2',
+        chainId: Number(chainId),
+        verifyingContract: ethers.getAddress(permit2Address)
+    };
+}
+
+/**
+ * Check an AllowanceTransfer nonce/expiration fits in uint48
+ * @param {*} value - Value to check
+ * @param {string} field - Field name (for error messages)
+ * @returns {string} Value as a decimal string
+ */
+function toUint48(value, field) {
+    const number = BigInt(value);
+    if (number < 0n || number > MAX_UINT48) {
+        throw new Error(`Permit2 ${field} ${number} does not fit in uint48`);
+    }
+    return number.toString();
+}
+
+/**
+ * Build one PermitDetails entry
+ * @param {Object} details - { token, amount, expiration, nonce }
+ * @returns {Object} PermitDetails
+ */
+function buildPermitDetails({ token, amount, expiration, nonce }) {
+    if (nonce === undefined || nonce === null) {
+        throw new Error(`Permit2 allowance nonce for ${token} is required`);
+    }
+    const value = BigInt(amount);
+    if (value < 0n || value > MAX_UINT160) {
+        throw new Error(`Permit2 amount ${value} does not fit in uint160`);
+    }
+    return {
+        token: ethers.getAddress(token),
+        amount: value.toString(),
+        expiration: toUint48(expiration, 'expiration'),
+        nonce: toUint48(nonce, 'nonce')
+    };
+}
+
+/**
+ * Compose an unordered SignatureTransfer nonce from its bitmap word and bit positions
+ * @param {*} wordPos - Bitmap word index (uint248)
+ * @param {number} bitPos - Bit within the word (0-255)
+ * @returns {string} Nonce
+ */
+function unorderedNonce(wordPos, bitPos) {
+    const bit = BigInt(bitPos);
+    if (bit < 0n || bit > 255n) {
+        throw new Error(`Bit position ${bitPos} must be between 0 and 255`);
+    }
+    return ((BigInt(wordPos) << 8n) | bit).toString();
+}
+
+/**
+ * Split an unordered nonce into its bitmap word and bit positions
+ * @param {*} nonce - Nonce
+ * @returns {Object} { wordPos, bitPos }
+ */
+function splitUnorderedNonce(nonce) {
+    const value = BigInt(nonce);
+    return { wordPos: (value >> 8n).toString(), bitPos: Number(value & 0xffn) };
+}
+
+/**
+ * A random unordered nonce (collisions are negligible in a 256-bit space)
+ * @returns {string} Nonce
+ */
+function randomUnorderedNonce() {
+    return BigInt(ethers.hexlify(ethers.randomBytes(32))).toString();
+}
+
+/**
+ * Read the current AllowanceTransfer nonce for (owner, token, spender)
+ * @param {Object} params - { owner, token, spender, rpcUrl, permit2Address }
+ * @returns {Promise<string>} Nonce
+ */
+async function fetchAllowanceNonce({ owner, token, spender, rpcUrl, permit2Address = PERMIT2_ADDRESS }) {
+    const [, , nonce] = await callContract(rpcUrl, permit2Address,
+        'function allowance(address owner, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+        [owner, token, spender]);
+    return nonce.toString();
+}
+
+/**
+ * Check whether an unordered nonce has already been used
+ * @param {Object} params - { owner, nonce, rpcUrl, permit2Address }
+ * @returns {Promise<boolean>} True if the nonce bit is set
+ */
+async function isUnorderedNonceUsed({ owner, nonce, rpcUrl, permit2Address = PERMIT2_ADDRESS }) {
+    const { wordPos, bitPos } = splitUnorderedNonce(nonce);
+    const bitmap = await callContract(rpcUrl, permit2Address,
+        'function nonceBitmap(address owner, uint256 wordPos) view returns (uint256)',
+        [owner, wordPos]);
+    return ((BigInt(bitmap) >> BigInt(bitPos)) & 1n) === 1n;
+}
+
+/**
+ * PermitSingle payload (AllowanceTransfer)
+ * @param {Object} params - { chainId, token, amount, expiration, nonce, spender, sigDeadline, permit2Address }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function buildPermitSinglePayload({ chainId, token, amount, expiration, nonce, spender, sigDeadline, permit2Address }) {
+    return {
+        domain: permit2Domain(chainId, permit2Address),
+        types: PERMIT_SINGLE_TYPES,
+        primaryType: 'PermitSingle',
+        message: {
+            details: buildPermitDetails({ token, amount, expiration, nonce }),
+            spender: ethers.getAddress(spender),
+            sigDeadline: BigInt(sigDeadline).toString()
+        }
+    };
+}
+
+/**
+ * PermitBatch payload (AllowanceTransfer)
+ * @param {Object} params - { chainId, details: [{ token, amount, expiration, nonce }], spender, sigDeadline, permit2Address }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function buildPermitBatchPayload({ chainId, details, spender, sigDeadline, permit2Address }) {
+    if (!Array.isArray(details) || details.length === 0) {
+        throw new Error('Permit2 batch needs at least one details entry');
+    }
+    return {
+        domain: permit2Domain(chainId, permit2Address),
+        types: PERMIT_BATCH_TYPES,
+        primaryType: 'PermitBatch',
+        message: {
+            details: details.map(buildPermitDetails),
+            spender: ethers.getAddress(spender),
+            sigDeadline: BigInt(sigDeadline).toString()
+        }
+    };
+}
+
+/**
+ * Normalize SignatureTransfer permissions: a single { token, amount } or an array of them
+ * @param {Object|Array} permitted - Token permissions
+ * @returns {Object|Array} Normalized permissions
+ */
+function buildTokenPermissions(permitted) {
+    const normalize = ({ token, amount }) => ({ token: ethers.getAddress(token), amount: BigInt(amount).toString() });
+    return Array.isArray(permitted) ? permitted.map(normalize) : normalize(permitted);
+}
+
+/**
+ * PermitTransferFrom / PermitBatchTransferFrom payload (SignatureTransfer)
+ * @param {Object} params - { chainId, permitted, spender, nonce, deadline, permit2Address }
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function buildPermitTransferFromPayload({ chainId, permitted, spender, nonce, deadline, permit2Address }) {
+    const batch = Array.isArray(permitted);
+    return {
+        domain: permit2Domain(chainId, permit2Address),
+        types: batch ? PERMIT_BATCH_TRANSFER_FROM_TYPES : PERMIT_TRANSFER_FROM_TYPES,
+        primaryType: batch ? 'PermitBatchTransferFrom' : 'PermitTransferFrom',
+        message: {
+            permitted: buildTokenPermissions(permitted),
+            spender: ethers.getAddress(spender),
+            nonce: BigInt(nonce).toString(),
+            deadline: BigInt(deadline).toString()
+        }
+    };
+}
+
+/**
+ * Witness types for PermitWitnessTransferFrom, from either a types object or Permit2's witnessTypeString
+ * (e.g. "ExampleWitness witness)ExampleWitness(address user)TokenPermissions(address token,uint256 amount)")
+ * @param {Object} params - { witnessType, witnessTypes, witnessTypeString, batch }
+ * @returns {Object} { primaryType, types, witnessField, witnessTypeString }
+ */
+function buildWitnessTypes({ witnessType, witnessTypes, witnessTypeString, batch = false }) {
+    const primaryType = batch ? 'PermitBatchWitnessTransferFrom' : 'PermitWitnessTransferFrom';
+    const stub = `${primaryType}(TokenPermissions${batch ? '[]' : ''} permitted,address spender,uint256 nonce,uint256 deadline,`;
+
+    let types;
+    let witnessField = 'witness';
+    if (witnessTypeString) {
+        const parsed = parseEncodeType(stub + witnessTypeString);
+        types = parsed.types;
+        const last = types[primaryType][types[primaryType].length - 1];
+        witnessField = last.name;
+    } else {
+        if (!witnessType || !witnessTypes || !witnessTypes[witnessType]) {
+            throw new Error('Permit2 witness needs witnessTypeString, or witnessType with its definition in witnessTypes');
+        }
+        const base = batch ? PERMIT_BATCH_TRANSFER_FROM_TYPES.PermitBatchTransferFrom : PERMIT_TRANSFER_FROM_TYPES.PermitTransferFrom;
+        types = {
+            [primaryType]: [...base, { name: witnessField, type: witnessType }],
+            ...witnessTypes,
+            TokenPermissions: TOKEN_PERMISSIONS
+        };
+    }
+
+    // Permit2 hashes stub + witnessTypeString as given, so it must equal the canonical encodeType
+    const canonical = encodeType(primaryType, types);
+    if (!canonical.startsWith(stub)) {
+        throw new Error(`Witness types do not extend ${primaryType} correctly: ${canonical}`);
+    }
+    const canonicalWitnessString = canonical.slice(stub.length);
+    if (witnessTypeString && witnessTypeString !== canonicalWitnessString) {
+        throw new Error(`witnessTypeString is not in canonical EIP-712 order; Permit2 would hash a different type. Use: ${canonicalWitnessString}`);
+    }
+
+    return { primaryType, types, witnessField, witnessTypeString: canonicalWitnessString };
+}
+
+/**
+ * PermitWitnessTransferFrom / PermitBatchWitnessTransferFrom payload (SignatureTransfer with witness)
+ * @param {Object} params - { chainId, permitted, spender, nonce, deadline, witness, witnessType, witnessTypes, witnessTypeString, permit2Address }
+ * @returns {Object} { domain, types, primaryType, message, witnessTypeString }
+ */
+function buildPermitWitnessTransferFromPayload(params) {
+    const base = buildPermitTransferFromPayload(params);
+    const witness = buildWitnessTypes({ ...params, batch: Array.isArray(params.permitted) });
+    if (params.witness === undefined || params.witness === null) {
+        throw new Error('Permit2 witness value is required');
+    }
+    return {
+        domain: base.domain,
+        types: witness.types,
+        primaryType: witness.primaryType,
+        message: { ...base.message, [witness.witnessField]: params.witness },
+        witnessTypeString: witness.witnessTypeString
+    };
+}
+
+module.exports = {
+    PERMIT2_ADDRESS,
+    PERMIT_SINGLE_TYPES,
+    PERMIT_BATCH_TYPES,
+    PERMIT_TRANSFER_FROM_TYPES,
+    PERMIT_BATCH_TRANSFER_FROM_TYPES,
+    permit2Domain,
+    unorderedNonce,
+    splitUnorderedNonce,
+    randomUnorderedNonce,
+    fetchAllowanceNonce,
+    isUnorderedNonceUsed,
+    buildPermitSinglePayload,
+    buildPermitBatchPayload,
+    buildPermitTransferFromPayload,
+    buildWitnessTypes,
+    buildPermitWitnessTransferFromPayload
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { GPV2_ORDER_TYPES, GPV2_SETTLEMENT_ADDRESS } = require('./eip712-cow.js');
+const { parseDeadline } = require('./eip712-deadline.js');
+
+/**
+ * Typed-Data Preset Registry
+ *
+ * Named schemas (types, primaryType, domain defaults, value coercions and
+ * deadline/nonce field mappings) that can be signed with `--preset <name>`
+ * and `--field key=value` overrides. Presets are plain JSON-compatible
+ * objects, so teams can keep their own next to the built-ins:
+ *
+ * {
+ *   "name": "my-order",
+ *   "description": "Our protocol's order",
+ *   "primaryType": "Order",
+ *   "types": { "Order": [...] },
+ *   "domain": { "name": "MyProtocol", "version": "1" },
+ *   "defaults": { "nonce": "0" },
+ *   "coercions": { "kind": { "map": { "sell": "0x..." } } },
+ *   "deadlineField": "deadline",
+ *   "nonceField": "nonce",
+ *   "signerField": "owner"
+ * }
+ */
+
+/**
+ * Named value coercions a preset can apply to a field before type coercion
+ */
+const COERCIONS = {
+    keccak256: value => (ethers.isHexString(value, 32) ? value : ethers.id(String(value))),
+    lowercase: value => String(value).toLowerCase(),
+    json: value => (typeof value === 'string' ? JSON.parse(value) : value)
+};
+
+/**
+ * Convert a raw (usually string) value into what the EIP-712 type expects
+ * @param {string} type - Field type
+ * @param {*} value - Raw value
+ * @returns {*} Coerced value
+ */
+function coerceToType(type, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (/\[\d*\]$/.test(type)) {
+        return JSON.parse(value);
+    }
+    if (/^u?int\d*$/.test(type)) {
+        return BigInt(value.trim()).toString();
+    }
+    if (type === 'bool') {
+        if (value === 'true' || value === '1') {
+            return true;
+        }
+        if (value === 'false' || value === '0') {
+            return false;
+        }
+        throw new Error(`Expected true or false, got "${value}"`);
+    }
+    if (type === 'address') {
+        return ethers.getAddress(value);
+    }
+    return value;
+}
+
+/**
+ * Apply a preset coercion (named, or { map: { input: output } }) to a value
+ * @param {string|Object} coercion - Coercion spec
+ * @param {*} value - Raw value
+ * @param {string} field - Field name (for error messages)
+ * @returns {*} Coerced value
+ */
+function applyCoercion(coercion, value, field) {
+    if (typeof coercion === 'string') {
+        if (!COERCIONS[coercion]) {
+            throw new Error(`Unknown coercion "${coercion}" for field "${field}"`);
+        }
+        return COERCIONS[coercion](value);
+    }
+    if (coercion && coercion.map) {
+        const key = String(value).toLowerCase();
+        const mapped = Object.entries(coercion.map).find(([input]) => input.toLowerCase() === key);
+        return mapped ? mapped[1] : value;
+    }
+    return value;
+}
+
+/**
+ * Check that a preset has everything needed to build a payload
+ * @param {Object} preset - Preset definition
+ * @param {string} source - Where the preset came from (for error messages)
+ * @returns {Object} The preset
+ */
+function validatePreset(preset, source = 'preset') {
+    if (!preset || typeof preset !== 'object') {
+        throw new Error(`${source}: preset must be an object`);
+    }
+    if (typeof preset.name !== 'string' || !preset.name) {
+        throw new Error(`${source}: preset needs a "name"`);
+    }
+    if (!preset.types || typeof preset.types !== 'object') {
+        throw new Error(`${source}: preset "${preset.name}" needs "types"`);
+    }
+    if (!preset.primaryType || !preset.types[preset.primaryType]) {
+        throw new Error(`${source}: preset "${preset.name}" needs a "primaryType" defined in its types`);
+    }
+    return preset;
+}
+
+class PresetRegistry {
+    constructor() {
+        this.presets = new Map();
+    }
+
+    /**
+     * Add a preset (a later registration with the same name replaces the earlier one)
+     * @param {Object} preset - Preset definition
+     * @param {string} source - Where the preset came from
+     * @returns {PresetRegistry} this
+     */
+    register(preset, source = 'built-in') {
+        validatePreset(preset, source);
+        this.presets.set(preset.name, { ...preset, source });
+        return this;
+    }
+
+    /**
+     * Look up a preset by name
+     * @param {string} name - Preset name
+     * @returns {Object} Preset definition
+     */
+    get(name) {
+        const preset = this.presets.get(name);
+        if (!preset) {
+            throw new Error(`Unknown preset "${name}". Available: ${[...this.presets.keys()].join(', ')}`);
+        }
+        return preset;
+    }
+
+    /**
+     * List every registered preset
+     * @returns {Array} Preset definitions
+     */
+    list() {
+        return [...this.presets.values()];
+    }
+
+    /**
+     * Load presets from a JSON file holding one preset, an array, or { presets: [...] }
+     * @param {string} filePath - JSON file path
+     * @returns {PresetRegistry} this
+     */
+    loadFile(filePath) {
+        let content;
+        try {
+            content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`${filePath}: cannot read presets (${error.message})`);
+        }
+        const presets = Array.isArray(content) ? content : (content.presets || [content]);
+        presets.forEach(preset => this.register(preset, filePath));
+        return this;
+    }
+
+    /**
+     * Load every *.json file in a directory
+     * @param {string} dirPath - Directory path
+     * @returns {PresetRegistry} this
+     */
+    loadDirectory(dirPath) {
+        fs.readdirSync(dirPath)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .forEach(file => this.loadFile(path.join(dirPath, file)));
+        return this;
+    }
+
+    /**
+     * Load a file or a directory of presets
+     * @param {string} location - File or directory path
+     * @returns {PresetRegistry} this
+     */
+    load(location) {
+        return fs.statSync(location).isDirectory() ? this.loadDirectory(location) : this.loadFile(location);
+    }
+}
+
+/**
+ * Build a typed-data payload from a preset
+ * @param {Object} preset - Preset definition
+ * @param {Object} params - { fields, domain, deadline, nonce, signer }
+ * @returns {Object} { domain, types, primaryType, message, deadline, deadlineField }
+ */
+function buildPresetPayload(preset, { fields = {}, domain = {}, deadline = null, nonce = null, signer = null } = {}) {
+    const fieldTypes = Object.fromEntries(preset.types[preset.primaryType].map(field => [field.name, field.type]));
+    const raw = { ...(preset.defaults || {}), ...fields };
+
+    if (preset.signerField && signer && raw[preset.signerField] === undefined) {
+        raw[preset.signerField] = signer;
+    }
+
+    if (preset.nonceField && nonce !== null && nonce !== undefined && fields[preset.nonceField] === undefined) {
+        raw[preset.nonceField] = nonce;
+    }
+    if (preset.deadlineField && deadline !== null && deadline !== undefined && fields[preset.deadlineField] === undefined) {
+        raw[preset.deadlineField] = deadline;
+    }
+    // The deadline field also takes ISO-8601 times and durations (e.g. --field validTo=15m)
+    if (preset.deadlineField && raw[preset.deadlineField] !== undefined) {
+        raw[preset.deadlineField] = String(parseDeadline(raw[preset.deadlineField]));
+    }
+
+    const unknown = Object.keys(raw).find(name => !fieldTypes[name]);
+    if (unknown) {
+        throw new Error(`Preset "${preset.name}" has no field "${unknown}" (fields: ${Object.keys(fieldTypes).join(', ')})`);
+    }
+
+    // Build the message in type order so no reordering is needed when signing
+    const message = {};
+    Object.keys(fieldTypes).filter(name => raw[name] !== undefined).forEach(name => {
+        const value = raw[name];
+        const coercion = preset.coercions && preset.coercions[name];
+        try {
+            message[name] = coerceToType(fieldTypes[name], coercion ? applyCoercion(coercion, value, name) : value);
+        } catch (error) {
+            throw new Error(`Field "${name}": ${error.shortMessage || error.message}`);
+        }
+    });
+
+    return {
+        domain: { ...(preset.domain || {}), ...domain },
+        types: preset.types,
+        primaryType: preset.primaryType,
+        message,
+        deadline: preset.deadlineField && message[preset.deadlineField] !== undefined
+            ? parseDeadline(message[preset.deadlineField])
+            : deadline,
+        deadlineField: preset.deadlineField
+    };
+}
+
+/**
+ * Parse repeated `key=value` strings into an object
+ * @param {Array|string} entries - "key=value" strings
+ * @returns {Object} Parsed fields
+ */
+function parseFieldAssignments(entries = []) {
+    const fields = {};
+    [].concat(entries).forEach(entry => {
+        const index = entry.indexOf('=');
+        if (index <= 0) {
+            throw new Error(`Invalid --field "${entry}": expected key=value`);
+        }
+        fields[entry.slice(0, index)] = entry.slice(index + 1);
+    });
+    return fields;
+}
+
+const BUILT_IN_PRESETS = [
+    {
+        name: 'erc20-permit',
+        description: 'EIP-2612 ERC-20 permit',
+        primaryType: 'Permit',
+        types: {
+            Permit: [
+                { name: 'owner', type: 'address' },
+                { name: 'spender', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        domain: { version: '1' },
+        deadlineField: 'deadline',
+        nonceField: 'nonce',
+        signerField: 'owner'
+    },
+    {
+        name: 'aave-delegation',
+        description: 'Aave debt token credit delegation (DelegationWithSig)',
+        primaryType: 'DelegationWithSig',
+        types: {
+            DelegationWithSig: [
+                { name: 'delegatee', type: 'address' },
+                { name: 'value', type: 'uint256' },
+                { name: 'nonce', type: 'uint256' },
+                { name: 'deadline', type: 'uint256' }
+            ]
+        },
+        domain: { version: '1' },
+        deadlineField: 'deadline',
+        nonceField: 'nonce'
+    },
+    {
+        name: 'cow-order',
+        description: 'CoW Protocol GPv2 order (use --cow-order for orderUid and API output)',
+        primaryType: 'Order',
+        types: GPV2_ORDER_TYPES,
+        domain: { name: 'Gnosis Protocol', version: 'v2', chainId: 1, verifyingContract: GPV2_SETTLEMENT_ADDRESS },
+        defaults: {
+            receiver: ethers.ZeroAddress,
+            appData: ethers.ZeroHash,
+            feeAmount: '0',
+            kind: 'sell',
+            partiallyFillable: false,
+            sellTokenBalance: 'erc20',
+            buyTokenBalance: 'erc20'
+        },
+        coercions: { kind: 'lowercase', sellTokenBalance: 'lowercase', buyTokenBalance: 'lowercase' },
+        deadlineField: 'validTo'
+    }
+];
+
+/**
+ * Create a registry holding the built-in presets
+ * @returns {PresetRegistry} Registry
+ */
+function createDefaultRegistry() {
+    const registry = new PresetRegistry();
+    BUILT_IN_PRESETS.forEach(preset => registry.register(preset));
+    return registry;
+}
+
+module.exports = {
+    COERCIONS,
+    BUILT_IN_PRESETS,
+    PresetRegistry,
+    createDefaultRegistry,
+    buildPresetPayload,
+    parseFieldAssignments,
+    coerceToType,
+    applyCoercion
+};
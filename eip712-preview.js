@@ -0,0 +1,326 @@
+const { ethers } = require('ethers');
+const { getDomainFields, resolvePrimaryType, withoutDomainType } = require('./eip712-breakdown.js');
+const { DEADLINE_FIELD_NAMES, describeDeadlineRisk } = require('./eip712-deadline.js');
+const { GPV2_SETTLEMENT_ADDRESS } = require('./eip712-cow.js');
+
+/**
+ * Signing Preview and Risk Lint
+ *
+ * renderPreview turns a typed-data payload into the lines a person should
+ * read before signing: token amounts with their decimals, address labels
+ * from the address book (see eip712-address-book.js), and deadlines as dates
+ * with relative time.
+ *
+ * lintTypedData flags what a signature may authorize beyond what was meant:
+ *  - unlimited-approval:    an amount at the maximum of its type, or a DAI-style allowed = true
+ *  - unknown-spender:       a spender/operator/delegatee that is not a contract in the address book
+ *  - deadline-far-future:   a deadline more than a year away (deadline-in-past for expired ones)
+ *  - zero-address-receiver: a receiver/recipient/to of 0x0 (except GPv2 orders, where 0x0 means the owner)
+ *  - chain-mismatch:        a domain chainId that differs from the expected chain, or none at all
+ *
+ * Both read only the domain fields that are signed: with a declared EIP712Domain type, fields the
+ * domain object carries beyond it are not in the hash, so they are neither shown nor trusted.
+ */
+
+const LINT_CODES = ['unlimited-approval', 'unknown-spender', 'deadline-far-future', 'deadline-in-past', 'zero-address-receiver', 'chain-mismatch'];
+
+const AMOUNT_FIELD_NAMES = ['value', 'amount', 'wad'];
+const SPENDER_FIELD_NAMES = ['spender', 'operator', 'delegatee'];
+const RECEIVER_FIELD_NAMES = ['receiver', 'recipient', 'to'];
+
+const TIME_UNITS = [['year', 365 * 86400], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * Keep the domain fields that are part of the signed hash
+ * @param {Object} domain - EIP-712 domain
+ * @param {Object} types - Message types (may declare EIP712Domain)
+ * @returns {Object} Domain with only the hashed fields
+ */
+function signedDomain(domain, types) {
+    const signed = {};
+    getDomainFields(domain, types).forEach(field => {
+        if (domain[field.name] !== undefined) {
+            signed[field.name] = domain[field.name];
+        }
+    });
+    return signed;
+}
+
+/**
+ * Check whether a field holds a token amount (value, amount, wad, or *Amount)
+ * @param {string} name - Field name
+ * @returns {boolean} True for amount fields
+ */
+function isAmountField(name) {
+    return AMOUNT_FIELD_NAMES.includes(name) || /Amount$/.test(name);
+}
+
+/**
+ * Convert a value to a BigInt without throwing (values of forced, invalid payloads may be anything)
+ * @param {*} value - Value
+ * @returns {bigint|null} BigInt or null
+ */
+function toBigInt(value) {
+    try {
+        return typeof value === 'boolean' || value === null || value === undefined ? null : BigInt(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Largest value of an unsigned integer type
+ * @param {string} type - Type name
+ * @returns {bigint|null} Maximum, or null for other types
+ */
+function maxOfType(type) {
+    const match = type.match(/^uint(\d*)$/);
+    return match ? (1n << BigInt(match[1] || 256)) - 1n : null;
+}
+
+/**
+ * Describe a timestamp relative to now, e.g. "in 3 hours" or "2 days ago"
+ * @param {number} seconds - Unix timestamp
+ * @param {number} now - Reference time in seconds
+ * @returns {string} Relative time
+ */
+function formatRelativeTime(seconds, now = Math.floor(Date.now() / 1000)) {
+    const delta = seconds - now;
+    const distance = Math.abs(delta);
+    const [unit, size] = TIME_UNITS.find(([, unitSize]) => distance >= unitSize) || ['second', 1];
+    const count = Math.floor(distance / size);
+    const text = `${count} ${unit}${count === 1 ? '' : 's'}`;
+    return delta >= 0 ? `in ${text}` : `${text} ago`;
+}
+
+/**
+ * Format a token amount with its decimals (e.g. 1.5 USDC)
+ * @param {bigint} amount - Raw amount
+ * @param {Object} token - Address book entry with symbol and decimals
+ * @returns {string} Formatted amount
+ */
+function formatAmount(amount, token) {
+    return `${ethers.formatUnits(amount, token.decimals).replace(/\.0$/, '')} ${token.symbol || token.label}`;
+}
+
+/**
+ * Find the token an amount field is denominated in: the sibling token field (amount → token,
+ * sellAmount → sellToken, feeAmount → sellToken) or, for top-level fields, a token verifyingContract (permits)
+ * @param {string} name - Amount field name
+ * @param {Object} parent - Struct holding the field
+ * @param {Object} context - { domain, addressBook, chainId, topLevel }
+ * @returns {Object|null} Address book entry, { address } for an unknown token, or null
+ */
+function tokenForAmount(name, parent, { domain, addressBook, chainId, topLevel }) {
+    const sibling = name === 'feeAmount' ? 'sellToken' : (/Amount$/.test(name) ? `${name.slice(0, -'Amount'.length)}Token` : 'token');
+    if (parent && typeof parent[sibling] === 'string') {
+        return (addressBook && addressBook.lookup(parent[sibling], chainId)) || { address: parent[sibling] };
+    }
+    if (topLevel && domain.verifyingContract && addressBook) {
+        const entry = addressBook.lookup(domain.verifyingContract, chainId);
+        return entry && entry.kind === 'token' ? entry : null;
+    }
+    return null;
+}
+
+/**
+ * Visit every non-struct value of a struct, arrays included
+ * @param {string} structType - Struct type
+ * @param {Object} data - Struct value
+ * @param {Object} types - Message types
+ * @param {string} path - Path of the struct (e.g. message)
+ * @param {Function} visit - ({ path, name, type, value, parent, depth }) => void
+ * @param {number} depth - Nesting depth (1 for fields of the primary type)
+ */
+function walkStruct(structType, data, types, path, visit, depth = 1) {
+    (types[structType] || []).forEach(field => {
+        const value = data ? data[field.name] : undefined;
+        const visitValue = (type, item, itemPath) => {
+            if (Array.isArray(types[type])) {
+                walkStruct(type, item, types, itemPath, visit, depth + 1);
+            } else {
+                visit({ path: itemPath, name: field.name, type, value: item, parent: data, depth });
+            }
+        };
+        const arrayMatch = field.type.match(/^(.*)\[\d*\]$/);
+        if (arrayMatch && Array.isArray(value)) {
+            value.forEach((item, index) => visitValue(arrayMatch[1], item, `${path}.${field.name}[${index}]`));
+        } else {
+            visitValue(field.type, value, `${path}.${field.name}`);
+        }
+    });
+}
+
+/**
+ * Check whether a field holds a deadline: a known deadline name, or the payload's resolved deadline field
+ * @param {string} name - Field name
+ * @param {number} depth - Nesting depth (1 for fields of the primary type)
+ * @param {string|null} deadlineField - Resolved deadline field of the primary type
+ * @returns {boolean} True for deadline fields
+ */
+function isDeadlineField(name, depth, deadlineField) {
+    return DEADLINE_FIELD_NAMES.includes(name) || (depth === 1 && name === deadlineField);
+}
+
+/**
+ * Render one value for the preview
+ * @param {Object} entry - { name, type, value, parent, depth }
+ * @param {Object} context - { domain, addressBook, chainId, signer, now, deadlineField }
+ * @returns {string} Rendered value
+ */
+function renderValue({ name, type, value, parent, depth }, context) {
+    if (type === 'address' && typeof value === 'string' && ethers.isAddress(value)) {
+        const labels = [];
+        if (value.toLowerCase() === ethers.ZeroAddress) {
+            labels.push('zero address');
+        }
+        if (context.signer && value.toLowerCase() === context.signer.toLowerCase()) {
+            labels.push('signer');
+        }
+        const entry = context.addressBook && context.addressBook.lookup(value, context.chainId);
+        if (entry) {
+            labels.push(`${entry.label}${entry.kind === 'account' ? '' : ` ${entry.kind}`}`);
+        }
+        return `${value}${labels.length > 0 ? ` (${labels.join(', ')})` : ''}`;
+    }
+
+    const number = /^u?int\d*$/.test(type) ? toBigInt(value) : null;
+    if (number === null) {
+        return typeof value === 'string' && type === 'string' ? JSON.stringify(value) : String(value);
+    }
+    if (isDeadlineField(name, depth, context.deadlineField)) {
+        if (number > 8640000000000n) {
+            return `${number} (never expires)`;
+        }
+        return `${number} = ${new Date(Number(number) * 1000).toISOString()} (${formatRelativeTime(Number(number), context.now)})`;
+    }
+    if (isAmountField(name)) {
+        const token = tokenForAmount(name, parent, { ...context, topLevel: depth === 1 });
+        const unlimited = number === maxOfType(type);
+        if (token && token.decimals !== undefined) {
+            return `${unlimited ? `unlimited ${token.symbol || token.label}` : formatAmount(number, token)} (${number})`;
+        }
+        return unlimited ? `${number} (max ${type}: unlimited)` : String(number);
+    }
+    return String(number);
+}
+
+/**
+ * Render a payload as preview lines
+ * @param {Object} typedData - { domain, types, primaryType?, message }
+ * @param {Object} options - { addressBook, signer: signing address (labelled), now: reference time in seconds,
+ *                            deadlineField: deadline field not named like one (e.g. until) }
+ * @returns {Array} Lines
+ */
+function renderPreview({ domain: fullDomain, types, primaryType = null, message }, { addressBook = null, signer = null, now = Math.floor(Date.now() / 1000), deadlineField = null } = {}) {
+    const domain = signedDomain(fullDomain, types);
+    const messageTypes = withoutDomainType(types);
+    const resolvedPrimaryType = resolvePrimaryType(types, primaryType);
+    const context = { domain, addressBook, chainId: domain.chainId, signer, now, deadlineField };
+
+    const where = [
+        domain.name !== undefined ? JSON.stringify(domain.name) : null,
+        domain.version !== undefined ? `v${domain.version}` : null,
+        domain.chainId !== undefined ? `chain ${domain.chainId}` : 'any chain',
+        domain.verifyingContract ? `contract ${renderValue({ type: 'address', value: domain.verifyingContract }, context)}` : null
+    ].filter(Boolean);
+    const lines = [`📜 ${resolvedPrimaryType} for ${where.join(', ')}`];
+
+    const renderStruct = (structType, data, indent) => {
+        (messageTypes[structType] || []).forEach(field => {
+            const value = data ? data[field.name] : undefined;
+            const arrayMatch = field.type.match(/^(.*)\[\d*\]$/);
+            const items = arrayMatch && Array.isArray(value)
+                ? value.map((item, index) => [`${field.name}[${index}]`, arrayMatch[1], item])
+                : [[field.name, field.type, value]];
+            if (arrayMatch && items.length === 0) {
+                lines.push(`${indent}${field.name}: (empty)`);
+            }
+            items.forEach(([label, type, item]) => {
+                if (Array.isArray(messageTypes[type])) {
+                    lines.push(`${indent}${label}:`);
+                    renderStruct(type, item, `${indent}  `);
+                } else {
+                    const depth = indent.length / 2;
+                    lines.push(`${indent}${label}: ${renderValue({ name: field.name, type, value: item, parent: data, depth }, context)}`);
+                }
+            });
+        });
+    };
+    renderStruct(resolvedPrimaryType, message, '  ');
+    return lines;
+}
+
+/**
+ * Lint a payload for risky authorizations
+ * @param {Object} typedData - { domain, types, primaryType?, message }
+ * @param {Object} options - { addressBook, expectedChainId, now: reference time in seconds,
+ *                            deadlineField: deadline field not named like one (e.g. until) }
+ * @returns {Array} Findings [{ code, path, message, details }]
+ */
+function lintTypedData({ domain: fullDomain, types, primaryType = null, message }, { addressBook = null, expectedChainId = null, now = Math.floor(Date.now() / 1000), deadlineField = null } = {}) {
+    const domain = signedDomain(fullDomain, types);
+    const messageTypes = withoutDomainType(types);
+    const resolvedPrimaryType = resolvePrimaryType(types, primaryType);
+    const chainId = domain.chainId;
+    const findings = [];
+    const add = (code, path, text, details = {}) => findings.push({ code, path, message: `${path}: ${text}`, details });
+
+    const isGpv2 = typeof domain.verifyingContract === 'string'
+        && domain.verifyingContract.toLowerCase() === GPV2_SETTLEMENT_ADDRESS.toLowerCase();
+
+    walkStruct(resolvedPrimaryType, message, messageTypes, 'message', ({ path, name, type, value, parent, depth }) => {
+        const field = path.slice('message.'.length);
+        const number = /^uint\d*$/.test(type) ? toBigInt(value) : null;
+
+        if (number !== null && isDeadlineField(name, depth, deadlineField)) {
+            const risk = describeDeadlineRisk(number, { now });
+            if (risk) {
+                add(risk.code, path, risk.message, { field, deadline: typeof value === 'number' ? value : String(value) });
+            }
+        } else if (number !== null && number === maxOfType(type) && (isAmountField(name) || type === 'uint256')) {
+            const token = isAmountField(name) ? tokenForAmount(name, parent, { domain, addressBook, chainId, topLevel: depth === 1 }) : null;
+            const of = token ? ` of ${token.label || token.address}` : '';
+            add('unlimited-approval', path, `unlimited amount${of} (max ${type}); the spender can move everything, now and later`, { field, type });
+        }
+
+        if (type === 'bool' && name === 'allowed' && value === true && parent && parent.spender !== undefined) {
+            add('unlimited-approval', path, 'allowed = true grants an unlimited allowance (DAI-style permit)', { field });
+        }
+
+        if (type === 'address' && SPENDER_FIELD_NAMES.includes(name) && typeof value === 'string') {
+            const entry = addressBook && addressBook.lookup(value, chainId);
+            if (!entry || entry.kind !== 'contract') {
+                const what = entry ? `${entry.label} (${entry.kind})` : 'not in the address book';
+                add('unknown-spender', path, `${name} ${value} is ${what}; only known contracts are expected to spend`, { field, address: value });
+            }
+        }
+
+        if (type === 'address' && RECEIVER_FIELD_NAMES.includes(name) && typeof value === 'string'
+            && value.toLowerCase() === ethers.ZeroAddress && !isGpv2) {
+            add('zero-address-receiver', path, `${name} is the zero address; anything sent there is lost`, { field });
+        }
+    });
+
+    if (expectedChainId !== null && expectedChainId !== undefined) {
+        if (chainId === undefined || chainId === null) {
+            add('chain-mismatch', 'domain.chainId', `missing; expected chain ${expectedChainId}, and without a chainId the signature can be replayed on other chains`, {
+                expected: Number(expectedChainId),
+                actual: null
+            });
+        } else if (toBigInt(chainId) !== BigInt(expectedChainId)) {
+            add('chain-mismatch', 'domain.chainId', `${chainId} differs from the expected chain ${expectedChainId}`, {
+                expected: Number(expectedChainId),
+                actual: Number(chainId)
+            });
+        }
+    }
+    return findings;
+}
+
+module.exports = {
+    LINT_CODES,
+    formatRelativeTime,
+    renderPreview,
+    lintTypedData
+};
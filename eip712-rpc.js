@@ -0,0 +1,69 @@
+const { ethers } = require('ethers');
+
+/**
+ * JSON-RPC Helpers
+ *
+ * Short-lived ethers providers for one-off contract reads, so CLI commands
+ * exit cleanly once the call is done, and single JSON-RPC requests for
+ * endpoints that are not nodes (remote signers answer no eth_chainId).
+ */
+
+/**
+ * Run a function with a JSON-RPC provider and always tear the provider down afterwards
+ * @param {string} rpcUrl - JSON-RPC endpoint URL
+ * @param {Function} fn - async (provider) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withProvider(rpcUrl, fn) {
+    if (!rpcUrl) {
+        throw new Error('A JSON-RPC URL is required (--rpc <url>)');
+    }
+    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    try {
+        return await fn(provider);
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * Call a read-only contract function over JSON-RPC
+ * @param {string} rpcUrl - JSON-RPC endpoint URL
+ * @param {string} address - Contract address
+ * @param {string} signature - Human-readable ABI fragment, e.g. "function nonces(address) view returns (uint256)"
+ * @param {Array} args - Call arguments
+ * @returns {Promise<*>} Decoded result
+ */
+async function callContract(rpcUrl, address, signature, args = []) {
+    return withProvider(rpcUrl, async provider => {
+        const contract = new ethers.Contract(ethers.getAddress(address), [signature], provider);
+        const fragment = contract.interface.fragments[0];
+        return contract[fragment.name](...args);
+    });
+}
+
+/**
+ * Send one JSON-RPC request and return its result
+ * @param {string} url - JSON-RPC endpoint URL
+ * @param {string} method - Method name
+ * @param {Array} params - Method parameters
+ * @returns {Promise<*>} Result
+ */
+async function sendRpcRequest(url, method, params = []) {
+    const request = new ethers.FetchRequest(url);
+    request.body = { jsonrpc: '2.0', id: 1, method, params };
+    let payload;
+    try {
+        const response = await request.send();
+        response.assertOk();
+        payload = response.bodyJson;
+    } catch (error) {
+        throw new Error(`${method} request to ${url} failed: ${error.shortMessage || error.message}`);
+    }
+    if (payload.error) {
+        throw new Error(`${method} was rejected by ${url}: ${payload.error.message} (code ${payload.error.code})`);
+    }
+    return payload.result;
+}
+
+module.exports = { withProvider, callContract, sendRpcRequest };
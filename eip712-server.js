@@ -0,0 +1,302 @@
+const http = require('http');
+const readline = require('readline');
+const { ethers } = require('ethers');
+const { hashTypedData } = require('./eip712-breakdown.js');
+const { parseTypedDataDocument } = require('./eip712-input.js');
+const { validateTypedData, formatValidationErrors } = require('./eip712-validate.js');
+
+/**
+ * Local JSON-RPC Signing Endpoint
+ *
+ * A wallet-like HTTP JSON-RPC server backed by an EIP712Signer, for frontends
+ * and integration tests that need a signer without a browser extension:
+ *  - eth_accounts / eth_requestAccounts
+ *  - eth_chainId
+ *  - eth_signTypedData_v4 / eth_signTypedData_v3 [address, typedData]
+ *  - personal_sign [data, address]
+ *
+ * The server only binds to loopback addresses, rejects browser origins that
+ * were not allowed explicitly, can ask for approval of every signature, and
+ * reports every request and response to a log function.
+ */
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// EIP-1193 / JSON-RPC error codes
+const RPC_ERRORS = {
+    parse: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internal: -32603,
+    userRejected: 4001,
+    unauthorized: 4100
+};
+
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+/**
+ * Decode personal_sign data: 0x-hex is signed as bytes, anything else as UTF-8 text
+ * @param {string} data - Message parameter
+ * @returns {Object} { bytes, text }
+ */
+function decodePersonalMessage(data) {
+    if (typeof data !== 'string') {
+        throw new RpcError(RPC_ERRORS.invalidParams, 'personal_sign expects a string message');
+    }
+    if (ethers.isHexString(data)) {
+        const bytes = ethers.getBytes(data);
+        let text = null;
+        try {
+            text = ethers.toUtf8String(bytes);
+        } catch (error) {
+            // Not valid UTF-8: preview the hex instead
+        }
+        return { bytes, text };
+    }
+    return { bytes: ethers.toUtf8Bytes(data), text: data };
+}
+
+/**
+ * Check that a request targets the served account
+ * @param {string} address - Requested address
+ * @param {string} account - Signer address
+ */
+function requireAccount(address, account) {
+    if (!address || !ethers.isAddress(address) || ethers.getAddress(address) !== account) {
+        throw new RpcError(RPC_ERRORS.unauthorized, `Unknown account ${address}; this endpoint signs for ${account}`);
+    }
+}
+
+/**
+ * Parse the typedData parameter (a JSON string or an object)
+ * @param {string|Object} typedData - eth_signTypedData parameter
+ * @param {string} method - RPC method (for error messages)
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function parseTypedDataParam(typedData, method) {
+    try {
+        const document = typeof typedData === 'string' ? JSON.parse(typedData) : typedData;
+        const payload = parseTypedDataDocument(document, method);
+        if (method === 'eth_signTypedData_v3' && Object.values(payload.types).some(fields => fields.some(field => field.type.includes('[')))) {
+            throw new Error('eth_signTypedData_v3 does not support arrays; use eth_signTypedData_v4');
+        }
+        return payload;
+    } catch (error) {
+        throw new RpcError(RPC_ERRORS.invalidParams, error.message);
+    }
+}
+
+/**
+ * Drop fields the types do not declare, as MetaMask and eth-sig-util do (only declared fields are hashed)
+ * @param {string} type - Type of the value
+ * @param {*} value - Value
+ * @param {Object} types - Types
+ * @returns {*} Value with declared fields only
+ */
+function withoutUndeclaredFields(type, value, types) {
+    const array = type.match(/^(.*)\[\d*\]$/);
+    if (array) {
+        return Array.isArray(value) ? value.map(item => withoutUndeclaredFields(array[1], item, types)) : value;
+    }
+    if (!types[type] || !value || typeof value !== 'object' || Array.isArray(value)) {
+        return value;
+    }
+    return Object.fromEntries(types[type]
+        .filter(field => Object.prototype.hasOwnProperty.call(value, field.name))
+        .map(field => [field.name, withoutUndeclaredFields(field.type, value[field.name], types)]));
+}
+
+/**
+ * Ask on the terminal whether to approve a signature (preview on stderr)
+ * @param {Object} preview - { method, account, summary }
+ * @returns {Promise<boolean>} True when approved
+ */
+function terminalApprove(preview) {
+    return new Promise(resolve => {
+        process.stderr.write(`\n📝 ${preview.method} for ${preview.account}\n${preview.summary}\n`);
+        const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+        rl.question('Approve? [y/N] ', answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+/**
+ * Create the JSON-RPC request handler
+ * @param {EIP712Signer} signer - Signer backing the endpoint
+ * @param {Object} options - { chainId = 1, approve: async (preview) => boolean, log: (entry) => void }
+ * @returns {Function} async (request) => response
+ */
+function createRpcHandler(signer, { chainId = 1, approve = null, log = () => {} } = {}) {
+    // Remote backends report their account on first use
+    const getAccount = () => signer.getAddress();
+    let approvals = Promise.resolve();
+
+    // Approvals are asked one at a time, in arrival order
+    const requireApproval = preview => {
+        if (!approve) {
+            return Promise.resolve();
+        }
+        const decision = approvals.then(async () => approve({ ...preview, account: await getAccount() }));
+        approvals = decision.catch(() => {});
+        return decision.then(approved => {
+            if (!approved) {
+                throw new RpcError(RPC_ERRORS.userRejected, 'User rejected the request');
+            }
+        });
+    };
+
+    const methods = {
+        eth_accounts: async () => [await getAccount()],
+        eth_requestAccounts: async () => [await getAccount()],
+        eth_chainId: async () => ethers.toQuantity(chainId),
+        eth_signTypedData_v4: async params => signTypedDataMethod('eth_signTypedData_v4', params),
+        eth_signTypedData_v3: async params => signTypedDataMethod('eth_signTypedData_v3', params),
+        personal_sign: async ([data, address] = []) => {
+            requireAccount(address, await getAccount());
+            const { bytes, text } = decodePersonalMessage(data);
+            await requireApproval({ method: 'personal_sign', summary: text !== null ? text : ethers.hexlify(bytes) });
+            return signer.signMessage(bytes);
+        }
+    };
+
+    async function signTypedDataMethod(method, [address, typedData] = []) {
+        requireAccount(address, await getAccount());
+        const payload = parseTypedDataParam(typedData, method);
+        const { types, primaryType } = payload;
+        // Like wallets, ignore what the types do not declare; anything else invalid is the caller's error
+        const domain = types.EIP712Domain ? withoutUndeclaredFields('EIP712Domain', payload.domain, types) : payload.domain;
+        const message = withoutUndeclaredFields(primaryType, payload.message, types);
+        const validation = validateTypedData({ domain, types, primaryType, message });
+        if (!validation.valid) {
+            throw new RpcError(RPC_ERRORS.invalidParams, `typed data failed validation:\n${formatValidationErrors(validation.errors)}`);
+        }
+        const digest = hashTypedData({ domain, types, primaryType, message });
+        await requireApproval({
+            method,
+            summary: [
+                `Domain : ${JSON.stringify(domain)}`,
+                `Type   : ${primaryType}`,
+                `Message: ${JSON.stringify(message, null, 2)}`,
+                `Digest : ${digest}`
+            ].join('\n')
+        });
+        // Sign exactly what was sent: no deadline injection
+        const result = await signer.signTypedData(domain, types, message, null, primaryType, { deadlineField: null });
+        return result.signature;
+    }
+
+    return async function handle(request) {
+        const id = request && request.id !== undefined ? request.id : null;
+        log({ time: new Date().toISOString(), direction: 'request', id, method: request && request.method, params: request && request.params });
+
+        let response;
+        try {
+            if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+                throw new RpcError(RPC_ERRORS.invalidRequest, 'Invalid JSON-RPC request');
+            }
+            const method = Object.prototype.hasOwnProperty.call(methods, request.method) && methods[request.method];
+            if (!method) {
+                throw new RpcError(RPC_ERRORS.methodNotFound, `Method ${request.method} is not supported`);
+            }
+            response = { jsonrpc: '2.0', id, result: await method(request.params || []) };
+        } catch (error) {
+            const code = error instanceof RpcError ? error.code : RPC_ERRORS.internal;
+            response = { jsonrpc: '2.0', id, error: { code, message: error.message } };
+        }
+
+        log({ time: new Date().toISOString(), direction: 'response', id, ...(response.error ? { error: response.error } : { result: response.result }) });
+        return response;
+    };
+}
+
+/**
+ * Start the signing endpoint
+ * @param {EIP712Signer} signer - Signer backing the endpoint
+ * @param {Object} options - { host = '127.0.0.1', port = 8550, chainId, approve, log, allowedOrigins: [] }
+ *                            (port 0 picks a free port)
+ * @returns {Promise<Object>} { url, server, close }
+ */
+function startSigningServer(signer, options = {}) {
+    const { host = '127.0.0.1', port = 8550, allowedOrigins = [], log = () => {} } = options;
+    if (!LOOPBACK_HOSTS.includes(host)) {
+        throw new Error(`Refusing to bind to ${host}: the signing endpoint only listens on ${LOOPBACK_HOSTS.join(', ')}`);
+    }
+    const handle = createRpcHandler(signer, options);
+
+    const server = http.createServer((req, res) => {
+        const origin = req.headers.origin;
+        // Browsers send Origin; only explicitly allowed pages may talk to the signer
+        if (origin && !allowedOrigins.includes(origin)) {
+            log({ time: new Date().toISOString(), direction: 'rejected', origin });
+            res.writeHead(403, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.unauthorized, message: `Origin ${origin} is not allowed` } }));
+            return;
+        }
+        if (origin) {
+            res.setHeader('access-control-allow-origin', origin);
+            res.setHeader('access-control-allow-headers', 'content-type');
+            res.setHeader('access-control-allow-methods', 'POST, OPTIONS');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, { allow: 'POST' });
+            res.end();
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                req.destroy();
+            }
+        });
+        req.on('end', async () => {
+            let payload;
+            try {
+                const request = JSON.parse(body);
+                payload = Array.isArray(request)
+                    ? await Promise.all(request.map(handle))
+                    : await handle(request);
+            } catch (error) {
+                payload = { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.parse, message: 'Parse error' } };
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(payload));
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = server.address();
+            const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+            resolve({
+                url: `http://${hostname}:${address.port}`,
+                server,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = {
+    RPC_ERRORS,
+    createRpcHandler,
+    startSigningServer,
+    terminalApprove
+};
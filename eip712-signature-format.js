@@ -0,0 +1,134 @@
+const { ethers } = require('ethers');
+
+/**
+ * Signature Formats
+ *
+ * Converts ECDSA signatures between the forms contracts and backends expect:
+ *  - hex:     65-byte r || s || v
+ *  - rsv:     { v, r, s } for functions taking the components separately
+ *  - compact: 64-byte EIP-2098 r || yParityAndS
+ *  - json:    every representation at once
+ *
+ * `v` is 27/28 by default; a vBase of 0 gives 0/1 (the y-parity).
+ */
+
+const SIGNATURE_FORMATS = ['hex', 'rsv', 'compact', 'json'];
+
+/**
+ * Normalize a v value (27/28, 0/1, or an EIP-155 value) to 27/28
+ * @param {*} v - Raw v
+ * @returns {number} 27 or 28
+ */
+function normalizeV(v) {
+    const value = Number(BigInt(v));
+    if (value === 0 || value === 1) {
+        return 27 + value;
+    }
+    if (value === 27 || value === 28) {
+        return value;
+    }
+    if (value >= 35) {
+        // EIP-155: v = chainId * 2 + 35 + yParity
+        return 27 + ((value - 35) % 2);
+    }
+    throw new Error(`Invalid signature v value ${v}`);
+}
+
+/**
+ * Parse a signature in any supported form
+ * @param {string|Object} input - 65-byte hex (v as 27/28 or 0/1), 64-byte compact hex, { r, s, v },
+ *                                { r, yParityAndS } / { r, vs }, { signature }, or any of these as a JSON string
+ * @returns {ethers.Signature} Parsed signature
+ */
+function parseSignature(input) {
+    let value = input;
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+        try {
+            value = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`Invalid signature JSON: ${error.message}`);
+        }
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof ethers.Signature)) {
+        if (value.signature) {
+            return parseSignature(value.signature);
+        }
+        const compactS = value.yParityAndS || value.vs;
+        if (value.r && compactS) {
+            return ethers.Signature.from({ r: value.r, yParityAndS: compactS });
+        }
+        if (value.r && value.s && value.v !== undefined) {
+            return ethers.Signature.from({ r: value.r, s: value.s, v: normalizeV(value.v) });
+        }
+        throw new Error('Signature object needs r, s and v (or r and yParityAndS)');
+    }
+
+    if (typeof value === 'string') {
+        const hex = value.trim();
+        if (ethers.isHexString(hex, 65)) {
+            // Accept v as 0/1 as well as 27/28
+            const bytes = ethers.getBytes(hex);
+            return ethers.Signature.from({
+                r: ethers.hexlify(bytes.slice(0, 32)),
+                s: ethers.hexlify(bytes.slice(32, 64)),
+                v: normalizeV(bytes[64])
+            });
+        }
+        if (ethers.isHexString(hex, 64)) {
+            return ethers.Signature.from(hex);
+        }
+    }
+
+    try {
+        return ethers.Signature.from(value);
+    } catch (error) {
+        throw new Error(`Unrecognized signature "${typeof input === 'string' ? input : JSON.stringify(input)}": expected 65-byte hex, 64-byte compact hex or { r, s, v }`);
+    }
+}
+
+/**
+ * Render a signature in the requested format
+ * @param {string|Object} signature - Signature in any form parseSignature accepts
+ * @param {string} format - hex, rsv, compact or json
+ * @param {Object} options - { vBase: 27 (default) or 0 }
+ * @returns {string|Object} Formatted signature
+ */
+function formatSignature(signature, format = 'hex', { vBase = 27 } = {}) {
+    if (!SIGNATURE_FORMATS.includes(format)) {
+        throw new Error(`Unknown signature format "${format}" (expected ${SIGNATURE_FORMATS.join(', ')})`);
+    }
+    if (Number(vBase) !== 27 && Number(vBase) !== 0) {
+        throw new Error(`Invalid v base "${vBase}" (expected 27 or 0)`);
+    }
+
+    const sig = parseSignature(signature);
+    const v = Number(vBase) === 0 ? sig.yParity : sig.v;
+    const hex = ethers.concat([sig.r, sig.s, ethers.toBeHex(v, 1)]);
+
+    if (format === 'hex') {
+        return hex;
+    }
+    if (format === 'compact') {
+        return sig.compactSerialized;
+    }
+    if (format === 'rsv') {
+        return { v, r: sig.r, s: sig.s };
+    }
+    return {
+        signature: hex,
+        r: sig.r,
+        s: sig.s,
+        v,
+        yParity: sig.yParity,
+        compact: sig.compactSerialized,
+        yParityAndS: sig.yParityAndS
+    };
+}
+
+module.exports = {
+    SIGNATURE_FORMATS,
+    normalizeV,
+    parseSignature,
+    formatSignature
+};
@@ -1,7 +1,50 @@
 #!/usr/bin/env node
 
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const { ethers } = require('ethers');
+const { breakdownTypedData, hashTypedData, hashStruct, getDomainFields, resolvePrimaryType, printBreakdown } = require('./eip712-breakdown.js');
+const { verify, verifySignature } = require('./eip712-verify.js');
+const { diagnoseHashMismatch, printDiagnosis } = require('./eip712-diagnose.js');
+const { readTypedDataFile, readTypedDataStdin } = require('./eip712-input.js');
+const { validateTypedData, formatValidationErrors } = require('./eip712-validate.js');
+const { buildDomain, fetchDomainFromContract } = require('./eip712-domain.js');
+const { createDefaultRegistry, buildPresetPayload, parseFieldAssignments } = require('./eip712-presets.js');
+const {
+    GPV2_ORDER_TYPES,
+    SIGNING_SCHEMES,
+    gpv2Domain,
+    normalizeCowOrder,
+    computeOrderUid,
+    buildOrderApiPayload
+} = require('./eip712-cow.js');
+const {
+    PERMIT2_ADDRESS,
+    fetchAllowanceNonce,
+    isUnorderedNonceUsed,
+    randomUnorderedNonce,
+    buildPermitSinglePayload,
+    buildPermitBatchPayload,
+    buildPermitTransferFromPayload,
+    buildPermitWitnessTransferFromPayload
+} = require('./eip712-permit2.js');
+const { getPermitStyle, findKnownPermitToken } = require('./eip712-permit-styles.js');
+const { keySourceFromOptions } = require('./eip712-keys.js');
+const { createSignerBackend, loadSignerBackend } = require('./eip712-backends.js');
+const { SIGNATURE_FORMATS, formatSignature } = require('./eip712-signature-format.js');
+const { readBatchFile, signBatch } = require('./eip712-batch.js');
+const { startSigningServer, terminalApprove } = require('./eip712-server.js');
+const { createDiagnosticCollector, createLogger } = require('./eip712-logger.js');
+const { parseDuration, parseDeadline, findDeadlineField, checkDeadlineRange } = require('./eip712-deadline.js');
+const { parseNonce, fetchDomainSeparator, NonceStore, claimNonce } = require('./eip712-nonces.js');
+const { DEFAULT_VECTORS_FILE, loadVectors, runVectors, printVectorReport } = require('./eip712-vectors.js');
+const { DEFAULT_PAYLOAD_FILE, createLinePrompter, runWizard } = require('./eip712-interactive.js');
+const { generateSolidity, readCodegenInput } = require('./eip712-codegen.js');
+const { parseTypeDefinition } = require('./eip712-type-parser.js');
+const { diffTypedData, printDiff } = require('./eip712-diff.js');
+const { createDefaultAddressBook } = require('./eip712-address-book.js');
+const { LINT_CODES, renderPreview, lintTypedData } = require('./eip712-preview.js');
 
 /**
  * EIP-712 Signature Generator
@@ -12,33 +55,94 @@ const { ethers } = require('ethers');
  */
 
 class EIP712Signer {
-    constructor(privateKey) {
-        this.wallet = new ethers.Wallet(privateKey);
+    /**
+     * @param {string|ethers.Wallet|ethers.HDNodeWallet|Object} key - Private key, an already loaded wallet, or a signer
+     *                                                              backend (see eip712-backends.js)
+     * @param {Object} options - { logger: object with debug/info/warn (default: none), onDiagnostic: (diagnostic) => void,
+     *                            addressBook: labels for the preview and risk lint (default: built-in entries),
+     *                            expectedChainId: chain the domain must name, blockOnRisk: true or lint codes that stop signing }
+     */
+    constructor(key, options = {}) {
+        this.backend = createSignerBackend(key);
+        // Only local backends hold a wallet
+        this.wallet = this.backend.wallet || null;
+        this.logger = options.logger || null;
+        this.onDiagnostic = options.onDiagnostic || null;
+        this.addressBook = options.addressBook || createDefaultAddressBook();
+        this.expectedChainId = options.expectedChainId ?? null;
+        this.blockOnRisk = options.blockOnRisk || false;
     }
 
     /**
-     * Generate a deadline timestamp (current time + duration in seconds)
-     * @param {number} durationSeconds - Duration in seconds from now (default: 1 hour)
+     * Create a signer from a keystore, mnemonic, environment variable, key file or hidden prompt,
+     * or a remote signer (JSON-RPC endpoint or external command)
+     * @param {Object} source - Key source (see loadWallet in eip712-keys.js and loadSignerBackend in eip712-backends.js)
+     * @param {Object} io - { prompt } override for the hidden prompt
+     * @param {Object} options - Signer options (logger, onDiagnostic)
+     * @returns {Promise<EIP712Signer>} Signer
+     */
+    static async fromKeySource(source, io = {}, options = {}) {
+        return new EIP712Signer(await loadSignerBackend(source, io), options);
+    }
+
+    /**
+     * Signing address (null while a remote backend has not reported it yet; see getAddress)
+     * @returns {string|null} Address
+     */
+    get address() {
+        return this.backend.address;
+    }
+
+    /**
+     * Resolve the signing address, asking a remote backend for its account if needed
+     * @returns {Promise<string>} Address
+     */
+    async getAddress() {
+        return this.backend.getAddress();
+    }
+
+    /**
+     * Sign an EIP-191 personal message with the backend and check the signature recovers to the signer
+     * @param {Uint8Array|string} message - Bytes or UTF-8 text
+     * @returns {Promise<string>} Signature
+     */
+    async signMessage(message) {
+        const address = await this.getAddress();
+        const signature = await this.backend.signMessage(message);
+        const recovered = ethers.verifyMessage(message, signature);
+        if (recovered !== address) {
+            throw new Error(`The ${this.backend.kind} signer returned a signature by ${recovered}, not ${address}`);
+        }
+        return signature;
+    }
+
+    /**
+     * Generate a deadline timestamp (current time + duration)
+     * @param {number|string} duration - Seconds, or a duration such as 15m, 2h or 2d (default: 1 hour)
      * @returns {number} Unix timestamp
      */
-    generateDeadline(durationSeconds = 3600) {
-        return Math.floor(Date.now() / 1000) + durationSeconds;
+    generateDeadline(duration = 3600) {
+        return Math.floor(Date.now() / 1000) + parseDuration(duration);
     }
 
     /**
      * Check if message fields are in the same order as type definition
      * @param {Object} types - Message types
      * @param {Object} message - Message data
+     * @param {string} primaryType - Optional explicit primary type (derived from the types otherwise)
+     * @param {Array} skipMissing - Fields left out of the comparison when the message lacks them (e.g. a deadline
+     *                              field that is filled in afterwards)
      * @returns {Object} { isOrdered, typeOrder, messageOrder, reorderedMessage }
      */
-    checkFieldOrder(types, message) {
-        // Get the primary type (usually the first non-EIP712Domain type)
-        const primaryType = Object.keys(types).find(key => key !== 'EIP712Domain');
-        if (!primaryType) {
+    checkFieldOrder(types, message, primaryType = null, skipMissing = []) {
+        if (!Object.keys(types).some(key => key !== 'EIP712Domain')) {
             return { isOrdered: true, typeOrder: [], messageOrder: [], reorderedMessage: message };
         }
+        primaryType = resolvePrimaryType(types, primaryType);
 
-        const typeOrder = types[primaryType].map(field => field.name);
+        const typeOrder = types[primaryType]
+            .map(field => field.name)
+            .filter(name => !(skipMissing.includes(name) && !message.hasOwnProperty(name)));
         const messageOrder = Object.keys(message);
         const isOrdered = JSON.stringify(typeOrder) === JSON.stringify(messageOrder);
 
@@ -60,65 +164,181 @@ class EIP712Signer {
     }
 
     /**
-     * Sign EIP-712 typed data
+     * Check a payload before it is signed: validate it against its types, render the signing preview
+     * and lint it. Invalid payloads and findings listed in `blockOnRisk` stop signing unless forced.
+     * @param {Object} typedData - { domain, types, primaryType, message } as it will be signed
+     * @param {Object} collector - Diagnostic collector for the preview, findings and forced overrides
+     * @param {Object} options - { force, validationMessage: message to validate instead of typedData.message,
+     *                            deadlineField: resolved deadline field, addressBook, expectedChainId, blockOnRisk }
+     * @returns {Promise<Object>} { validation, preview, risks, signer }
+     */
+    async reviewTypedData(typedData, collector, options = {}) {
+        const { force = false, validationMessage = typedData.message, deadlineField = null } = options;
+        const validation = validateTypedData({ ...typedData, message: validationMessage });
+        if (!validation.valid) {
+            if (!force) {
+                throw new Error(`typed data failed validation:\n${formatValidationErrors(validation.errors)}`);
+            }
+            collector.emit('warning', 'validation-forced', `⚠️  Signing despite validation errors (forced):\n${formatValidationErrors(validation.errors)}`, {
+                errors: validation.errors
+            });
+        }
+
+        // Show what the signature authorizes, then lint it (unlimited approvals, unknown spenders, ...)
+        const signer = await this.getAddress();
+        const addressBook = options.addressBook || this.addressBook;
+        const preview = renderPreview(typedData, { addressBook, signer, deadlineField });
+        collector.emit('info', 'signing-preview', preview.join('\n'), { lines: preview });
+        const risks = lintTypedData(typedData, {
+            addressBook,
+            deadlineField,
+            expectedChainId: options.expectedChainId !== undefined ? options.expectedChainId : this.expectedChainId
+        });
+        risks.forEach(risk => collector.emit('warning', risk.code, `⚠️  ${risk.message}`, { path: risk.path, ...risk.details }));
+
+        const blockOnRisk = options.blockOnRisk !== undefined ? options.blockOnRisk : this.blockOnRisk;
+        const blocking = risks.filter(risk => blockOnRisk === true || (Array.isArray(blockOnRisk) && blockOnRisk.includes(risk.code)));
+        if (blocking.length > 0) {
+            const list = blocking.map(risk => `  ${risk.message}`).join('\n');
+            if (!force) {
+                throw new Error(`signing blocked by risk lint:\n${list}`);
+            }
+            collector.emit('warning', 'risk-forced', `⚠️  Signing despite blocking risks (forced):\n${list}`, { risks: blocking });
+        }
+        return { validation, preview, risks, signer };
+    }
+
+    /**
+     * Sign EIP-712 typed data.
+     * `types` may declare EIP712Domain, in which case exactly those domain fields are hashed
+     * (eth_signTypedData_v4 semantics). Nothing is printed: field-order mismatches, reorderings,
+     * deadline injection, forced validation errors, the signing preview and risk-lint findings
+     * come back as `diagnostics` and are also sent to the logger / onDiagnostic hook (per call,
+     * or from the constructor). Findings listed in `blockOnRisk` stop signing unless forced.
      * @param {Object} domain - EIP-712 domain
      * @param {Object} types - Message types
      * @param {Object} value - Message data
-     * @param {number} deadline - Optional deadline (will generate if not provided)
-     * @returns {Object} { signature, deadline, recoveredAddress }
+     * @param {number|string} deadline - Optional deadline: Unix or ISO-8601 timestamp, or a duration such as 15m
+     *                                   (default: the message's own value, else 1 hour from now)
+     * @param {string} primaryType - Optional explicit primary type
+     * @param {Object} options - { force: sign even if schema validation fails, deadlineField: field that receives the deadline
+     *                            (default: detected by name, e.g. deadline, validTo, expiry, sigDeadline; null signs the
+     *                            message as given), logger, onDiagnostic, addressBook, expectedChainId, blockOnRisk }
+     * @returns {Object} { signature, deadline, recoveredAddress, digest, primaryType, validation, preview, risks, diagnostics }
      */
-    async signTypedData(domain, types, value, deadline = null) {
+    async signTypedData(domain, types, value, deadline = null, primaryType = null, options = {}) {
+        const { deadlineField } = options;
+        const collector = createDiagnosticCollector({
+            logger: options.logger !== undefined ? options.logger : this.logger,
+            onDiagnostic: options.onDiagnostic !== undefined ? options.onDiagnostic : this.onDiagnostic
+        });
         try {
-            // Check field ordering
-            const orderCheck = this.checkFieldOrder(types, value);
-            
-            console.log('\n🔍 Field Order Check:');
-            console.log('Primary Type:', orderCheck.primaryType);
-            console.log('Type Order  :', orderCheck.typeOrder.join(', '));
-            console.log('Message Order:', orderCheck.messageOrder.join(', '));
-            
+            const originalValue = value;
+
+            // Find the deadline field: explicit, or detected by name (deadline, validTo, expiry, sigDeadline, ...)
+            const hasMessageTypes = Object.keys(types).some(key => key !== 'EIP712Domain');
+            const resolvedPrimaryType = hasMessageTypes ? resolvePrimaryType(types, primaryType) : null;
+            const field = findDeadlineField(resolvedPrimaryType && types[resolvedPrimaryType], deadlineField);
+            if (deadlineField && !field) {
+                throw new Error(`deadline field "${deadlineField}" is not a field of ${resolvedPrimaryType}`);
+            }
+
+            // Check field ordering (a missing deadline field is filled in below, not a mismatch)
+            const orderCheck = this.checkFieldOrder(types, value, primaryType, field ? [field.name] : []);
+            collector.emit('debug', 'field-order', [
+                'Field Order Check:',
+                `Primary Type : ${orderCheck.primaryType}`,
+                `Type Order   : ${orderCheck.typeOrder.join(', ')}`,
+                `Message Order: ${orderCheck.messageOrder.join(', ')}`
+            ].join('\n'), {
+                primaryType: orderCheck.primaryType,
+                isOrdered: orderCheck.isOrdered,
+                typeOrder: orderCheck.typeOrder,
+                messageOrder: orderCheck.messageOrder
+            });
+
             if (!orderCheck.isOrdered) {
-                console.log('⚠️  Field order mismatch detected!');
-                console.log('\nField-by-field comparison:');
                 const maxLength = Math.max(orderCheck.typeOrder.length, orderCheck.messageOrder.length);
+                const comparison = [];
                 for (let i = 0; i < maxLength; i++) {
-                    const typeField = orderCheck.typeOrder[i] || 'MISSING';
-                    const msgField = orderCheck.messageOrder[i] || 'MISSING';
-                    const match = typeField === msgField ? '✅' : '❌';
-                    console.log(`  ${i + 1}. ${match} Type: ${typeField} | Message: ${msgField}`);
+                    const typeField = orderCheck.typeOrder[i] || null;
+                    const messageField = orderCheck.messageOrder[i] || null;
+                    comparison.push({ position: i + 1, typeField, messageField, matches: typeField === messageField });
                 }
-                console.log('\n📝 Using reordered message for signing...');
+                collector.emit('warning', 'field-order-mismatch', [
+                    '⚠️  Field order mismatch detected!',
+                    ...comparison.map(entry => `  ${entry.position}. ${entry.matches ? '✅' : '❌'} Type: ${entry.typeField || 'MISSING'} | Message: ${entry.messageField || 'MISSING'}`)
+                ].join('\n'), { comparison });
+
+                const dropped = orderCheck.messageOrder.filter(name => !orderCheck.typeOrder.includes(name));
+                collector.emit('info', 'fields-reordered', '📝 Using reordered message for signing', {
+                    from: orderCheck.messageOrder,
+                    to: Object.keys(orderCheck.reorderedMessage),
+                    dropped
+                });
                 value = orderCheck.reorderedMessage;
-            } else {
-                console.log('✅ Field order matches type definition');
             }
-            console.log('');
-            // Generate deadline if not provided
-            if (!deadline) {
+
+            // An explicit deadline wins, then the message's own value, then a generated one (1 hour)
+            const messageDeadline = field ? originalValue[field.name] : undefined;
+            let source = 'given';
+            if (deadline !== null && deadline !== undefined && deadline !== '') {
+                deadline = parseDeadline(deadline);
+            } else if (messageDeadline !== undefined && messageDeadline !== null && messageDeadline !== '') {
+                deadline = parseDeadline(messageDeadline);
+                source = 'message';
+            } else {
                 deadline = this.generateDeadline();
+                source = 'generated';
             }
 
             // Add deadline to the message if it has a deadline field
             const messageWithDeadline = { ...value };
-            if (types[Object.keys(types).find(key => key !== 'EIP712Domain')]) {
-                const messageType = types[Object.keys(types).find(key => key !== 'EIP712Domain')];
-                if (messageType.some(field => field.name === 'deadline')) {
-                    messageWithDeadline.deadline = deadline;
-                }
+            const injectDeadline = Boolean(field) && !(source === 'message' && String(messageDeadline) === String(deadline));
+            if (field) {
+                checkDeadlineRange(deadline, field);
+            }
+            if (injectDeadline) {
+                messageWithDeadline[field.name] = deadline;
+                collector.emit('info', 'deadline-injected', `⏰ ${field.name} set to ${deadline}${source === 'generated' ? ' (generated)' : ''}`, {
+                    field: field.name,
+                    deadline,
+                    generated: source === 'generated',
+                    replaced: messageDeadline !== undefined && String(messageDeadline) !== String(deadline)
+                });
             }
 
-            // Sign the typed data
-            const signature = await this.wallet.signTypedData(domain, types, messageWithDeadline);
+            // Validate the message as given (reordering drops missing and extra fields), then preview and lint it
+            const typedData = { domain, types, primaryType: orderCheck.primaryType, message: messageWithDeadline };
+            const { validation, preview, risks, signer: address } = await this.reviewTypedData(typedData, collector, {
+                ...options,
+                deadlineField: field ? field.name : null,
+                validationMessage: injectDeadline ? { ...originalValue, [field.name]: deadline } : originalValue
+            });
+
+            // The backend gets the whole payload; its signature must recover over our digest, which honors
+            // the declared primaryType and EIP712Domain (a remote signer hashing differently fails here)
+            const digest = hashTypedData(typedData);
+            const signature = await this.backend.signTypedData(typedData);
 
             // Verify signature by recovering address
-            const recoveredAddress = ethers.verifyTypedData(domain, types, messageWithDeadline, signature);
+            const recoveredAddress = ethers.recoverAddress(digest, signature);
+            if (recoveredAddress !== address) {
+                throw new Error(`the ${this.backend.kind} signer returned a signature by ${recoveredAddress}, not ${address}: it signed a different digest than ${digest}`);
+            }
 
             return {
                 signature,
                 deadline,
                 recoveredAddress,
                 messageWithDeadline,
-                signer: this.wallet.address
+                digest,
+                primaryType: orderCheck.primaryType,
+                validation,
+                preview,
+                risks,
+                diagnostics: collector.diagnostics,
+                signer: address
             };
         } catch (error) {
             throw new Error(`Failed to sign typed data: ${error.message}`);
@@ -126,82 +346,1290 @@ class EIP712Signer {
     }
 
     /**
-     * Create a permit signature (common EIP-712 use case)
+     * Resolve a nonce for signing: explicit nonces are validated, `auto` picks the next one for
+     * (chainId, verifyingContract, owner) from the nonce store and the contract's nonces()
+     * @param {*} nonce - Explicit nonce or 'auto'
+     * @param {Object} scope - { chainId, verifyingContract, owner, tokenId? }
+     * @param {Object} params - { nonceStore, rpcUrl }
+     * @param {Object} collector - Diagnostic collector for the nonce-resolved report
+     * @returns {Promise<Object>} { nonce, reserve(digest), release() } (an auto nonce is reserved right away, so
+     *                            concurrent runs skip it; reserve records the digest once signed, release gives it back)
+     */
+    async allocateNonce(nonce, scope, params, collector) {
+        if (nonce !== 'auto') {
+            return { nonce: parseNonce(nonce), reserve: () => {}, release: () => {} };
+        }
+        const store = params.nonceStore || new NonceStore();
+        const resolved = await claimNonce(store, scope, { rpcUrl: params.rpcUrl });
+        const sources = { chain: 'nonces() on-chain', store: `the nonce store (${store.filePath})`, default: 'no history; starting at 0' };
+        collector.emit(resolved.source === 'default' ? 'warning' : 'info', 'nonce-resolved', `🔢 nonce ${resolved.nonce} from ${sources[resolved.source]}`, {
+            ...resolved,
+            store: store.filePath
+        });
+        return {
+            nonce: resolved.nonce,
+            reserve: digest => store.reserve(scope, resolved.nonce, { digest }),
+            release: () => store.release(scope, resolved.nonce)
+        };
+    }
+
+    /**
+     * Compare the domain with the contract's DOMAIN_SEPARATOR(), which catches a wrong name, version or chainId
+     * before the signature is rejected on-chain
+     * @param {Object} domain - EIP-712 domain
+     * @param {Object} params - { rpcUrl, force }
+     * @param {Object} collector - Diagnostic collector
+     */
+    async checkDomainSeparator(domain, params, collector) {
+        let onChain;
+        try {
+            onChain = await fetchDomainSeparator({ rpcUrl: params.rpcUrl, verifyingContract: domain.verifyingContract });
+        } catch (error) {
+            collector.emit('info', 'domain-separator-unavailable', `ℹ️  ${error.message}`, { verifyingContract: domain.verifyingContract });
+            return;
+        }
+        const ours = hashStruct('EIP712Domain', domain, { EIP712Domain: getDomainFields(domain) });
+        if (onChain.toLowerCase() === ours.toLowerCase()) {
+            collector.emit('debug', 'domain-separator-matches', `✅ DOMAIN_SEPARATOR() matches ${ours}`, { domainSeparator: ours });
+            return;
+        }
+        const message = `DOMAIN_SEPARATOR() of ${domain.verifyingContract} is ${onChain}, but the domain ${JSON.stringify(domain)} hashes to ${ours}; check name, version and chainId`;
+        if (!params.force) {
+            throw new Error(message);
+        }
+        collector.emit('warning', 'domain-separator-mismatch', `⚠️  ${message} (signing anyway: forced)`, { onChain, computed: ours });
+    }
+
+    /**
+     * Create a permit signature (common EIP-712 use case).
+     * `style` selects eip2612 (default), dai or eip4494-nft; well-known tokens pick their style
+     * and domain name/version automatically (see eip712-permit-styles.js).
+     * `nonce: 'auto'` takes the next nonce from `nonceStore` (default: ~/.eip712-signer/nonces.json)
+     * and, with `rpcUrl`, the token's nonces(); with `rpcUrl` the domain is also checked against
+     * DOMAIN_SEPARATOR().
      * @param {Object} permitData - Permit parameters
      * @returns {Object} Signature result
      */
     async signPermit(permitData) {
         const {
             tokenName,
-            tokenVersion = '1',
             chainId,
             verifyingContract,
             owner,
             spender,
             value,
             nonce,
-            deadline = null
+            tokenId,
+            allowed,
+            deadline = null,
+            salt = null
         } = permitData;
 
-        const domain = {
-            name: tokenName,
-            version: tokenVersion,
+        const known = findKnownPermitToken(
+            chainId ?? (permitData.domain && permitData.domain.chainId),
+            verifyingContract || (permitData.domain && permitData.domain.verifyingContract)
+        );
+        const styleName = permitData.style || (known ? known.style : 'eip2612');
+        const style = getPermitStyle(styleName);
+
+        // An explicit domain (e.g. discovered through EIP-5267) wins over the token fields;
+        // tokenVersion: null leaves version out of the domain
+        const domain = permitData.domain || buildDomain({
+            name: tokenName ?? (known ? known.domain.name : undefined),
+            version: permitData.tokenVersion !== undefined ? permitData.tokenVersion : (known ? known.domain.version : '1'),
             chainId: chainId,
-            verifyingContract: ethers.getAddress(verifyingContract)
-        };
+            verifyingContract: verifyingContract,
+            salt: salt
+        });
+
+        const collector = createDiagnosticCollector({
+            logger: permitData.logger !== undefined ? permitData.logger : this.logger,
+            onDiagnostic: permitData.onDiagnostic !== undefined ? permitData.onDiagnostic : this.onDiagnostic
+        });
+        const permitOwner = owner ? ethers.getAddress(owner) : await this.getAddress();
+        const resolved = await this.allocateNonce(nonce, {
+            chainId: domain.chainId,
+            verifyingContract: domain.verifyingContract,
+            owner: permitOwner,
+            // EIP-4494 NFTs keep one nonce per token
+            tokenId: styleName === 'eip4494-nft' ? tokenId : undefined
+        }, permitData, collector);
+
+        let result;
+        try {
+            if (permitData.rpcUrl && domain.verifyingContract) {
+                await this.checkDomainSeparator(domain, permitData, collector);
+            }
+
+            const message = style.buildMessage({
+                owner: permitOwner,
+                spender: ethers.getAddress(spender),
+                value,
+                nonce: resolved.nonce,
+                tokenId,
+                allowed,
+                deadline: deadline ? parseDeadline(deadline) : this.generateDeadline()
+            });
+            const messageDeadline = message[style.deadlineField];
+
+            result = await this.signTypedData(domain, style.types, message, messageDeadline, 'Permit', {
+                force: permitData.force,
+                logger: permitData.logger,
+                onDiagnostic: permitData.onDiagnostic,
+                addressBook: permitData.addressBook,
+                expectedChainId: permitData.expectedChainId,
+                blockOnRisk: permitData.blockOnRisk,
+                deadlineField: style.deadlineField
+            });
+        } catch (error) {
+            resolved.release();
+            throw error;
+        }
+        resolved.reserve(result.digest);
+        return { ...result, diagnostics: [...collector.diagnostics, ...result.diagnostics] };
+    }
 
-        const types = {
-            Permit: [
-                { name: 'owner', type: 'address' },
-                { name: 'spender', type: 'address' },
-                { name: 'value', type: 'uint256' },
-                { name: 'nonce', type: 'uint256' },
-                { name: 'deadline', type: 'uint256' }
-            ]
+    /**
+     * Sign a CoW Protocol (GPv2) order
+     * @param {Object} order - Order fields; kind and balances as human values (sell/buy, erc20/external/internal)
+     * @param {Object} params - { chainId = 1, signingScheme = 'eip712' | 'ethsign', verifyingContract, force }
+     * @returns {Object} Signature result with orderUid and the orderbook API body (apiPayload)
+     */
+    async signCowOrder(order, params = {}) {
+        const { chainId = 1, signingScheme = 'eip712', verifyingContract } = params;
+        if (!SIGNING_SCHEMES.includes(signingScheme)) {
+            throw new Error(`Unsupported signing scheme "${signingScheme}" (expected ${SIGNING_SCHEMES.join(' or ')})`);
+        }
+
+        const owner = await this.getAddress();
+        const message = normalizeCowOrder({ ...order, validTo: order.validTo ? parseDeadline(order.validTo) : this.generateDeadline() });
+        const domain = gpv2Domain(chainId, verifyingContract);
+
+        let result;
+        if (signingScheme === 'eip712') {
+            result = await this.signTypedData(domain, GPV2_ORDER_TYPES, message, message.validTo, 'Order', params);
+        } else {
+            // ethsign: EIP-191 personal message over the EIP-712 order digest, checked like an eip712 order
+            const collector = createDiagnosticCollector({
+                logger: params.logger !== undefined ? params.logger : this.logger,
+                onDiagnostic: params.onDiagnostic !== undefined ? params.onDiagnostic : this.onDiagnostic
+            });
+            const typedData = { domain, types: GPV2_ORDER_TYPES, primaryType: 'Order', message };
+            const { validation, preview, risks } = await this.reviewTypedData(typedData, collector, params);
+            const digest = hashTypedData(typedData);
+            const signature = await this.signMessage(ethers.getBytes(digest));
+            result = {
+                signature,
+                deadline: message.validTo,
+                recoveredAddress: ethers.verifyMessage(ethers.getBytes(digest), signature),
+                messageWithDeadline: message,
+                digest,
+                primaryType: 'Order',
+                validation,
+                preview,
+                risks,
+                diagnostics: collector.diagnostics,
+                signer: owner
+            };
+        }
+
+        return {
+            ...result,
+            signingScheme,
+            orderUid: computeOrderUid(result.digest, owner, message.validTo),
+            apiPayload: buildOrderApiPayload(message, result.signature, signingScheme, owner)
         };
+    }
 
-        const message = {
-            owner: owner ? ethers.getAddress(owner) : this.wallet.address,
-            spender: ethers.getAddress(spender),
-            value,
+    /**
+     * Sign a payload built from a registered preset (see eip712-presets.js).
+     * `nonce: 'auto'` resolves the preset's nonce field as in signPermit (nonceStore, rpcUrl).
+     * @param {Object} preset - Preset definition
+     * @param {Object} params - { fields, domain, deadline, nonce, nonceStore, rpcUrl, force }
+     * @returns {Object} Signature result
+     */
+    async signPreset(preset, params = {}) {
+        const signer = await this.getAddress();
+        const build = nonce => buildPresetPayload(preset, {
+            ...params,
             nonce,
-            deadline: deadline || this.generateDeadline()
-        };
+            deadline: params.deadline || this.generateDeadline(),
+            signer
+        });
+        let payload = build(params.nonce === 'auto' ? null : params.nonce);
+        let resolved = null;
+        const collector = createDiagnosticCollector({
+            logger: params.logger !== undefined ? params.logger : this.logger,
+            onDiagnostic: params.onDiagnostic !== undefined ? params.onDiagnostic : this.onDiagnostic
+        });
+        if (params.nonce === 'auto' && preset.nonceField) {
+            resolved = await this.allocateNonce('auto', {
+                chainId: payload.domain.chainId,
+                verifyingContract: payload.domain.verifyingContract,
+                owner: preset.signerField && payload.message[preset.signerField] ? payload.message[preset.signerField] : signer
+            }, params, collector);
+        }
 
-        return await this.signTypedData(domain, types, message, message.deadline);
+        let result;
+        try {
+            if (resolved) {
+                payload = build(resolved.nonce);
+            }
+            result = await this.signTypedData(payload.domain, payload.types, payload.message, payload.deadline, payload.primaryType, {
+                ...params,
+                deadlineField: params.deadlineField !== undefined ? params.deadlineField : preset.deadlineField
+            });
+        } catch (error) {
+            if (resolved) {
+                resolved.release();
+            }
+            throw error;
+        }
+        if (resolved) {
+            resolved.reserve(result.digest);
+        }
+        return { ...result, diagnostics: [...collector.diagnostics, ...result.diagnostics] };
+    }
+
+    /**
+     * Resolve AllowanceTransfer details: default expiration (30 days) and, when missing, the nonce read from Permit2
+     * @param {Array} details - [{ token, amount, expiration?, nonce? }]
+     * @param {Object} params - { spender, rpcUrl, permit2Address }
+     * @returns {Promise<Array>} Details with expiration and nonce filled in
+     */
+    async resolvePermit2Details(details, params) {
+        const resolved = [];
+        for (const entry of details) {
+            let nonce = entry.nonce;
+            if ((nonce === undefined || nonce === null || nonce === 'auto') && params.rpcUrl) {
+                nonce = await fetchAllowanceNonce({
+                    owner: await this.getAddress(),
+                    token: entry.token,
+                    spender: params.spender,
+                    rpcUrl: params.rpcUrl,
+                    permit2Address: params.permit2Address
+                });
+            }
+            resolved.push({
+                ...entry,
+                expiration: entry.expiration ? parseDeadline(entry.expiration) : this.generateDeadline('30d'),
+                nonce
+            });
+        }
+        return resolved;
+    }
+
+    /**
+     * Resolve a SignatureTransfer nonce: random unless given, and checked against nonceBitmap when an RPC is available
+     * @param {*} nonce - Explicit nonce (optional)
+     * @param {Object} params - { rpcUrl, permit2Address }
+     * @returns {Promise<string>} Unordered nonce
+     */
+    async resolveUnorderedNonce(nonce, params) {
+        const value = nonce === undefined || nonce === null || nonce === 'auto' ? randomUnorderedNonce() : BigInt(nonce).toString();
+        const owner = await this.getAddress();
+        if (params.rpcUrl && await isUnorderedNonceUsed({ owner, nonce: value, rpcUrl: params.rpcUrl, permit2Address: params.permit2Address })) {
+            throw new Error(`Permit2 nonce ${value} has already been used by ${owner}`);
+        }
+        return value;
+    }
+
+    /**
+     * Sign a Permit2 PermitSingle (AllowanceTransfer)
+     * @param {Object} params - { chainId = 1, token, amount, expiration, nonce, spender, sigDeadline, rpcUrl, permit2Address, force }
+     * @returns {Object} Signature result
+     */
+    async signPermit2Single(params) {
+        const [details] = await this.resolvePermit2Details([params], params);
+        const payload = buildPermitSinglePayload({
+            ...details,
+            chainId: params.chainId || 1,
+            spender: params.spender,
+            sigDeadline: params.sigDeadline ? parseDeadline(params.sigDeadline) : this.generateDeadline(),
+            permit2Address: params.permit2Address
+        });
+        return await this.signTypedData(payload.domain, payload.types, payload.message, null, payload.primaryType, params);
+    }
+
+    /**
+     * Sign a Permit2 PermitBatch (AllowanceTransfer)
+     * @param {Object} params - { chainId = 1, details: [{ token, amount, expiration, nonce }], spender, sigDeadline, rpcUrl, permit2Address, force }
+     * @returns {Object} Signature result
+     */
+    async signPermit2Batch(params) {
+        const payload = buildPermitBatchPayload({
+            chainId: params.chainId || 1,
+            details: await this.resolvePermit2Details(params.details || [], params),
+            spender: params.spender,
+            sigDeadline: params.sigDeadline ? parseDeadline(params.sigDeadline) : this.generateDeadline(),
+            permit2Address: params.permit2Address
+        });
+        return await this.signTypedData(payload.domain, payload.types, payload.message, null, payload.primaryType, params);
+    }
+
+    /**
+     * Sign a Permit2 PermitTransferFrom, or PermitBatchTransferFrom when `permitted` is an array (SignatureTransfer)
+     * @param {Object} params - { chainId = 1, permitted, spender, nonce, deadline, rpcUrl, permit2Address, force }
+     * @returns {Object} Signature result
+     */
+    async signPermitTransferFrom(params) {
+        const payload = buildPermitTransferFromPayload({
+            ...params,
+            chainId: params.chainId || 1,
+            nonce: await this.resolveUnorderedNonce(params.nonce, params),
+            deadline: params.deadline ? parseDeadline(params.deadline) : this.generateDeadline()
+        });
+        return await this.signTypedData(payload.domain, payload.types, payload.message, null, payload.primaryType, params);
     }
+
+    /**
+     * Sign a Permit2 PermitWitnessTransferFrom (batch when `permitted` is an array).
+     * The witness is described either by witnessType + witnessTypes or by Permit2's witnessTypeString.
+     * @param {Object} params - { chainId = 1, permitted, spender, nonce, deadline, witness, witnessType, witnessTypes, witnessTypeString, rpcUrl, permit2Address, force }
+     * @returns {Object} Signature result with the canonical witnessTypeString
+     */
+    async signPermitWitnessTransferFrom(params) {
+        const payload = buildPermitWitnessTransferFromPayload({
+            ...params,
+            chainId: params.chainId || 1,
+            nonce: await this.resolveUnorderedNonce(params.nonce, params),
+            deadline: params.deadline ? parseDeadline(params.deadline) : this.generateDeadline()
+        });
+        const result = await this.signTypedData(payload.domain, payload.types, payload.message, null, payload.primaryType, params);
+        return { ...result, witnessTypeString: payload.witnessTypeString };
+    }
+}
+
+// Flags that may be given more than once (collected into an array)
+const REPEATABLE_OPTIONS = ['field', 'allow_origin'];
+
+/**
+ * Parse `--flag value` pairs into an options object (dashes become underscores)
+ * @param {Array} args - Command line arguments
+ * @param {number} start - Index of the first argument to parse
+ * @returns {Object} Parsed options
+ */
+function parseOptions(args, start = 0) {
+    const options = {};
+    for (let i = start; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const key = arg.replace('--', '').replace(/-/g, '_');
+            // Check if this is a boolean flag
+            if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+                options[key] = true;
+            } else if (REPEATABLE_OPTIONS.includes(key)) {
+                options[key] = [...(options[key] || []), args[i + 1]];
+                i++; // Skip the value
+            } else {
+                options[key] = args[i + 1];
+                i++; // Skip the value
+            }
+        }
+    }
+    return options;
+}
+
+/**
+ * Create the preset registry: built-ins plus --presets / EIP712_SIGNER_PRESETS (comma-separated files or directories)
+ * @param {Object} options - Parsed CLI options
+ * @returns {PresetRegistry} Registry
+ */
+function loadPresetRegistry(options) {
+    const registry = createDefaultRegistry();
+    [process.env.EIP712_SIGNER_PRESETS, options.presets]
+        .filter(location => typeof location === 'string' && location)
+        .flatMap(location => location.split(','))
+        .forEach(location => registry.load(location.trim()));
+    return registry;
 }
 
+/**
+ * Build a payload from --preset and --field key=value overrides
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} context - { signer, deadline } used for the preset's signer and deadline fields
+ * @returns {Promise<Object>} { domain, types, primaryType, message, deadline }
+ */
+async function loadPresetFromOptions(options, context = {}) {
+    const preset = loadPresetRegistry(options).get(options.preset);
+    return buildPresetPayload(preset, {
+        fields: parseFieldAssignments(options.field),
+        domain: await buildDomainFromOptions(options, preset.domain),
+        deadline: context.deadline || null,
+        nonce: options.nonce !== undefined && options.nonce !== 'auto' ? options.nonce : null,
+        signer: context.signer || null
+    });
+}
+
+/**
+ * Build an EIP-712 domain from the domain flags. Only the fields that were given are included;
+ * --domain-from-contract reads the domain through EIP-5267 first and the flags override it.
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} defaults - Field values used when neither the contract nor a flag sets them
+ * @returns {Promise<Object>} EIP-712 domain
+ */
+async function buildDomainFromOptions(options, defaults = {}) {
+    const discovered = options.domain_from_contract
+        ? await fetchDomainFromContract(options.domain_from_contract, options.rpc)
+        : {};
+
+    const pick = (flag, field) => (options[flag] !== undefined && options[flag] !== true ? options[flag] : discovered[field] ?? defaults[field]);
+    const domain = buildDomain({
+        name: pick('domain_name', 'name'),
+        version: pick('domain_version', 'version'),
+        chainId: pick('chain_id', 'chainId'),
+        verifyingContract: pick('verifying_contract', 'verifyingContract'),
+        salt: pick('domain_salt', 'salt')
+    });
+
+    if (options.omit_domain_fields) {
+        options.omit_domain_fields.split(',').forEach(field => delete domain[field.trim()]);
+    }
+    return domain;
+}
+
+/**
+ * Parse the types given with --type-string (an encodeType string such as a contract's TYPEHASH preimage,
+ * or Solidity structs) or --type-file (a file holding either)
+ * @param {Object} options - Parsed CLI options (--primary-type picks the root among several structs)
+ * @returns {Object|null} Parsed definition (see parseTypeDefinition), or null when neither option is given
+ */
+function typeDefinitionFromOptions(options) {
+    const text = typeof options.type_string === 'string' ? options.type_string
+        : typeof options.type_file === 'string' ? fs.readFileSync(options.type_file, 'utf8') : null;
+    return text === null ? null : parseTypeDefinition(text, { primaryType: options.primary_type || null });
+}
+
+/**
+ * Read the typed-data payload given with --preset, --file, --stdin or --custom-json.
+ * --file and --stdin take complete eth_signTypedData_v4 documents and ignore the domain flags;
+ * --custom-json may carry its own domain and primaryType, otherwise the domain flags are used,
+ * and its types may come from --type-string / --type-file instead.
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+async function loadTypedDataFromOptions(options) {
+    if (options.preset) {
+        return loadPresetFromOptions(options);
+    }
+    if (options.file) {
+        return readTypedDataFile(options.file);
+    }
+    if (options.stdin) {
+        return readTypedDataStdin();
+    }
+    if (!options.custom_json) {
+        throw new Error('Please provide the typed data with --file, --stdin or --custom-json');
+    }
+    const customData = JSON.parse(options.custom_json);
+    const definition = customData.types ? null : typeDefinitionFromOptions(options);
+    return {
+        domain: customData.domain || await buildDomainFromOptions(options),
+        types: customData.types || (definition && definition.types),
+        primaryType: customData.primaryType || (definition && definition.primaryType) || null,
+        message: customData.message
+    };
+}
+
+/**
+ * `breakdown` command: print every step of the digest computation
+ * @param {Object} options - Parsed CLI options
+ */
+async function breakdownCommand(options) {
+    const breakdown = breakdownTypedData(await loadTypedDataFromOptions(options));
+    if (options.json) {
+        console.log(JSON.stringify(breakdown, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    } else {
+        printBreakdown(breakdown);
+    }
+    if (breakdown.crossCheck.available && !breakdown.crossCheck.matches) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `verify` / `recover` command: recover the signer of a signature.
+ * Exits non-zero when --expected-address is given and does not match.
+ * @param {Object} options - Parsed CLI options
+ */
+async function verifyCommand(options) {
+    if (!options.signature) {
+        throw new Error('Please provide --signature');
+    }
+
+    const payload = options.digest ? {} : await loadTypedDataFromOptions(options);
+    const result = await verifySignature({
+        ...payload,
+        signature: options.signature,
+        digest: options.digest || null,
+        expectedAddress: options.expected_address || null,
+        rpcUrl: options.rpc || null
+    });
+
+    console.log(JSON.stringify(result, null, 2));
+    if (result.matches === false) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `convert-signature` command: translate a signature between hex, rsv, compact and json forms
+ * @param {Object} options - Parsed CLI options
+ */
+async function convertSignatureCommand(options) {
+    if (!options.signature) {
+        throw new Error('Please provide --signature (hex, compact hex or {"r","s","v"} JSON)');
+    }
+    const converted = formatSignature(options.signature, options.to || 'json', { vBase: options.v_base || 27 });
+    console.log(typeof converted === 'string' ? converted : JSON.stringify(converted, null, 2));
+}
+
+/**
+ * `batch` command: sign every row of a JSONL/CSV file and write one JSONL result per row.
+ * Exits non-zero when any row failed.
+ * @param {Object} options - Parsed CLI options
+ */
+async function batchCommand(options) {
+    if (!options.input) {
+        throw new Error('Please provide --input <rows.jsonl|rows.csv>');
+    }
+    const rows = readBatchFile(options.input, options.format || null);
+    const logger = cliLoggerFromOptions(options);
+    const signer = await EIP712Signer.fromKeySource(keySourceFromOptions(options), {}, { logger, ...riskOptionsFromOptions(options) });
+    const output = options.output ? fs.openSync(options.output, 'w') : null;
+    const write = line => (output === null ? console.log(line) : fs.writeSync(output, `${line}\n`));
+
+    try {
+        const { signed, failed } = await signBatch(signer, rows, {
+            defaults: options.chain_id ? { chainId: options.chain_id } : {},
+            deadline: deadlineFromOptions(options, signer) || signer.generateDeadline(),
+            deadlineField: deadlineFieldFromOptions(options),
+            startNonce: options.start_nonce || 0,
+            force: Boolean(options.force),
+            formatSignature: signature => formatSignature(signature, options.signature_format || 'hex', { vBase: options.v_base || 27 }),
+            onResult: result => {
+                write(JSON.stringify(result));
+                if (!result.ok) {
+                    logger.warn(`❌ Line ${result.line}: ${result.error}`);
+                }
+            }
+        });
+        logger.info(`✅ ${signed} signed, ${failed} failed${options.output ? ` (results in ${options.output})` : ''}`);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        if (output !== null) {
+            fs.closeSync(output);
+        }
+    }
+}
+
+/**
+ * `serve` command: run a local JSON-RPC signing endpoint until interrupted
+ * @param {Object} options - Parsed CLI options
+ */
+async function serveCommand(options) {
+    const logger = cliLoggerFromOptions(options);
+    const signer = await EIP712Signer.fromKeySource(keySourceFromOptions(options), {}, { logger, ...riskOptionsFromOptions(options) });
+    const logFile = options.log_file ? fs.openSync(options.log_file, 'a') : null;
+    const log = entry => {
+        const line = JSON.stringify(entry);
+        if (logFile === null) {
+            console.error(line);
+        } else {
+            fs.writeSync(logFile, `${line}\n`);
+        }
+    };
+
+    const { url, close } = await startSigningServer(signer, {
+        host: options.host || '127.0.0.1',
+        port: options.port ? parseInt(options.port) : 8550,
+        chainId: options.chain_id ? parseInt(options.chain_id) : 1,
+        approve: options.approve ? terminalApprove : null,
+        allowedOrigins: options.allow_origin ? options.allow_origin : [],
+        log
+    });
+
+    console.log(`🔌 Signing endpoint for ${signer.address} at ${url}${options.approve ? ' (approval required)' : ''}`);
+    process.once('SIGINT', async () => {
+        await close();
+        if (logFile !== null) {
+            fs.closeSync(logFile);
+        }
+        process.exit(0);
+    });
+}
+
+/**
+ * `diagnose` command: search encoding variants that reproduce a third-party digest.
+ * Exits non-zero when no variant matches.
+ * @param {Object} options - Parsed CLI options
+ */
+async function diagnoseCommand(options) {
+    if (!options.target_digest) {
+        throw new Error('Please provide --target-digest (the digest reported by the other party)');
+    }
+
+    const diagnosis = diagnoseHashMismatch(await loadTypedDataFromOptions(options), options.target_digest, {
+        maxChanges: options.max_changes ? parseInt(options.max_changes) : undefined,
+        chainIds: options.chain_ids ? options.chain_ids.split(',').map(id => parseInt(id)) : undefined
+    });
+    if (options.json) {
+        console.log(JSON.stringify(diagnosis, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    } else {
+        printDiagnosis(diagnosis);
+    }
+    if (!diagnosis.matched) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `validate` command: check a payload against its types without signing.
+ * Exits non-zero when any problem is found.
+ * @param {Object} options - Parsed CLI options
+ */
+async function validateCommand(options) {
+    const validation = validateTypedData(await loadTypedDataFromOptions(options));
+    if (options.json) {
+        console.log(JSON.stringify({ valid: validation.valid, errors: validation.errors }, null, 2));
+    } else if (validation.valid) {
+        console.log('✅ Typed data is valid');
+    } else {
+        console.log(`❌ ${validation.errors.length} problem(s) found:`);
+        console.log(formatValidationErrors(validation.errors));
+    }
+    if (!validation.valid) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `preview` command: show what a payload authorizes and lint it, without signing.
+ * Exits non-zero when --block-on-risk matches a finding.
+ * @param {Object} options - Parsed CLI options
+ */
+async function previewCommand(options) {
+    const typedData = await loadTypedDataFromOptions(options);
+    const { addressBook, expectedChainId, blockOnRisk } = riskOptionsFromOptions(options);
+    const preview = renderPreview(typedData, { addressBook, signer: options.owner || null });
+    const risks = lintTypedData(typedData, { addressBook, expectedChainId });
+    const blocking = risks.filter(risk => blockOnRisk === true || (Array.isArray(blockOnRisk) && blockOnRisk.includes(risk.code)));
+
+    if (options.json) {
+        console.log(JSON.stringify({ preview, risks, blocked: blocking.length > 0 }, null, 2));
+    } else {
+        console.log(preview.join('\n'));
+        console.log('');
+        console.log(risks.length === 0 ? '✅ No risks found' : `⚠️  ${risks.length} risk(s) found:`);
+        risks.forEach(risk => console.log(`  ${blocking.includes(risk) ? '⛔' : '⚠️ '} [${risk.code}] ${risk.message}`));
+    }
+    if (blocking.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `test-vectors` command: check the hashing and signing code against conformance vectors.
+ * Exits non-zero when any vector fails.
+ * @param {Object} options - Parsed CLI options
+ */
+async function testVectorsCommand(options) {
+    const locations = options.vectors ? options.vectors.split(',') : [DEFAULT_VECTORS_FILE];
+    const report = await runVectors(loadVectors(locations), { createSigner: key => new EIP712Signer(key) });
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printVectorReport(report);
+    }
+    if (report.failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `nonces` command: list (default) or reset the nonces reserved by `--nonce auto`,
+ * optionally filtered by --chain-id, --verifying-contract and --owner
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} args - Positional arguments after the command name
+ */
+async function noncesCommand(options, args = []) {
+    const action = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+    const store = new NonceStore(options.nonce_store || undefined);
+    const filter = {
+        chainId: options.chain_id !== undefined ? options.chain_id : null,
+        verifyingContract: options.verifying_contract,
+        owner: options.owner
+    };
+
+    if (action === 'reset') {
+        const removed = store.reset(filter);
+        if (options.json) {
+            console.log(JSON.stringify({ store: store.filePath, removed }, null, 2));
+        } else {
+            console.log(`🗑️  Removed ${removed} nonce ${removed === 1 ? 'entry' : 'entries'} from ${store.filePath}`);
+        }
+        return;
+    }
+    if (action !== 'list') {
+        throw new Error(`Unknown nonces action "${action}" (expected list or reset)`);
+    }
+
+    const entries = store.list(filter);
+    if (options.json) {
+        console.log(JSON.stringify({ store: store.filePath, entries }, null, 2));
+        return;
+    }
+    console.log(`🔢 Nonce store: ${store.filePath}`);
+    if (entries.length === 0) {
+        console.log('   (no reserved nonces)');
+    }
+    entries.forEach(entry => {
+        const tokenId = entry.tokenId !== undefined ? ` token ${entry.tokenId}` : '';
+        console.log(`\n   chain ${entry.chainId} ${entry.verifyingContract}${tokenId}`);
+        console.log(`   owner ${entry.owner}: next nonce ${entry.next}`);
+        entry.reservations.forEach(reservation => {
+            console.log(`     ${reservation.nonce} reserved ${reservation.reservedAt}${reservation.digest ? ` (${reservation.digest})` : ''}`);
+        });
+    });
+}
+
+/**
+ * `interactive` command: build a payload with prompts, preview its hashes, save it and optionally sign it
+ * @param {Object} options - Parsed CLI options
+ */
+async function interactiveCommand(options) {
+    const keySource = keySourceFromOptions(options);
+    const hasKeySource = Object.values(keySource).some(value => value !== undefined && value !== false);
+    // The wizard's own preview already shows the rendered message and risks, so the signer stays quiet unless --verbose
+    const logger = options.verbose ? cliLoggerFromOptions(options) : createLogger({ level: 'silent' });
+    const signerOptions = { logger, ...riskOptionsFromOptions(options) };
+    // With a key source the signer's address is the default owner; otherwise the key is asked for at signing time
+    let signer = hasKeySource ? await EIP712Signer.fromKeySource(keySource, {}, signerOptions) : null;
+
+    const io = createLinePrompter();
+    try {
+        const { result } = await runWizard(io, {
+            registry: loadPresetRegistry(options),
+            addressBook: signerOptions.addressBook,
+            expectedChainId: signerOptions.expectedChainId,
+            signerAddress: signer ? signer.address : null,
+            outputFile: options.output || DEFAULT_PAYLOAD_FILE,
+            sign: async ({ domain, types, primaryType, message }) => {
+                io.close();
+                signer = signer || await EIP712Signer.fromKeySource(keySource, {}, signerOptions);
+                // Every field already has its value, so the message's own deadline is kept and the digest matches the preview
+                return signer.signTypedData(domain, types, message, null, primaryType, { force: Boolean(options.force) });
+            }
+        });
+        if (result) {
+            printSignatureResult(result, options);
+        }
+    } finally {
+        io.close();
+    }
+}
+
+/**
+ * `diff` command: compare two eth_signTypedData_v4 documents (domain, types, encoded words, hash layers)
+ * and name the first diverging layer. Exits non-zero when they do not hash identically.
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} args - Arguments after the command name (the two files come first)
+ */
+async function diffCommand(options, args = []) {
+    const files = args.slice(0, 2).filter(arg => !arg.startsWith('--'));
+    if (files.length < 2) {
+        throw new Error('Usage: diff <a.json> <b.json>');
+    }
+
+    const diff = diffTypedData(readTypedDataFile(files[0]), readTypedDataFile(files[1]));
+    if (options.json) {
+        console.log(JSON.stringify(diff, (key, value) => (typeof value === 'bigint' ? value.toString() : value), 2));
+    } else {
+        printDiff(diff, { a: files[0], b: files[1] });
+    }
+    if (!diff.identical) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `parse-types` command: turn an encodeType string (e.g. a contract's TYPEHASH preimage) or Solidity structs
+ * into a types object, and check that the string re-encodes identically and, with --expected-typehash,
+ * that its hash matches. Exits non-zero on either mismatch.
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} args - Positional arguments after the command name
+ */
+async function parseTypesCommand(options, args = []) {
+    const text = args[0] && !args[0].startsWith('--') ? args[0] : null;
+    const definition = text !== null
+        ? parseTypeDefinition(text, { primaryType: options.primary_type || null })
+        : typeDefinitionFromOptions(options);
+    if (!definition) {
+        throw new Error('Usage: parse-types "<encodeType string>" (or --type-string <string>, --type-file <path>)');
+    }
+
+    const expectedTypeHash = typeof options.expected_typehash === 'string' ? options.expected_typehash.toLowerCase() : null;
+    const typeHashMatches = expectedTypeHash ? definition.typeHash === expectedTypeHash : null;
+    console.log(JSON.stringify({
+        ...definition,
+        ...(expectedTypeHash ? { expectedTypeHash, typeHashMatches } : {})
+    }, null, 2));
+    if ((definition.roundTrip && !definition.roundTrip.matches) || typeHashMatches === false) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * `codegen solidity` command: generate a Solidity library (structs, type hashes, hashStruct, domain separator)
+ * and a Foundry test pinned to the digest computed here, from --file (types JSON or document), --preset,
+ * or --type-string / --type-file (encodeType string or Solidity structs).
+ * Writes <Library>.sol and <Library>.t.sol into --output, or prints both.
+ * @param {Object} options - Parsed CLI options
+ * @param {Array} args - Positional arguments after the command name
+ */
+async function codegenCommand(options, args = []) {
+    const target = args[0] && !args[0].startsWith('--') ? args[0] : null;
+    if (target !== 'solidity') {
+        throw new Error(target ? `Unknown codegen target "${target}" (expected solidity)` : 'Usage: codegen solidity (--file <types.json> | --preset <name>)');
+    }
+
+    let input;
+    const definition = typeDefinitionFromOptions(options);
+    if (options.preset) {
+        input = await loadPresetFromOptions(options);
+    } else if (definition) {
+        input = { types: definition.types, primaryType: definition.primaryType, domain: await buildDomainFromOptions(options), message: {} };
+    } else if (options.file) {
+        input = readCodegenInput(options.file);
+        if (Object.keys(input.domain).length === 0) {
+            input.domain = await buildDomainFromOptions(options);
+        }
+    } else {
+        throw new Error('Please provide the types with --file, --type-string, --type-file or --preset');
+    }
+
+    const generated = generateSolidity(
+        { ...input, primaryType: options.primary_type || input.primaryType },
+        { libraryName: options.library || null, importPath: options.import_path || null }
+    );
+
+    if (options.output) {
+        fs.mkdirSync(options.output, { recursive: true });
+        fs.writeFileSync(path.join(options.output, generated.libraryFile), generated.library);
+        fs.writeFileSync(path.join(options.output, generated.testFile), generated.test);
+    }
+    if (options.json) {
+        const { typedData, digest, domainSeparator, structHash, typeHash, generated: samples } = generated;
+        console.log(JSON.stringify({
+            libraryName: generated.libraryName,
+            files: options.output ? [generated.libraryFile, generated.testFile].map(file => path.join(options.output, file)) : null,
+            library: generated.library,
+            test: generated.test,
+            typeHash,
+            domainSeparator,
+            structHash,
+            digest,
+            samples,
+            typedData
+        }, null, 2));
+        return;
+    }
+    if (!options.output) {
+        console.log(`// ==== ${generated.libraryFile} ====\n${generated.library}`);
+        console.log(`// ==== ${generated.testFile} ====\n${generated.test}`);
+        return;
+    }
+    console.log(`📝 ${path.join(options.output, generated.libraryFile)}`);
+    console.log(`🧪 ${path.join(options.output, generated.testFile)} (expects digest ${generated.digest})`);
+    if (generated.generated.length > 0) {
+        console.log(`ℹ️  Sample values used for: ${generated.generated.join(', ')}`);
+    }
+}
+
+/**
+ * Print a signature result as JSON on stdout
+ * @param {Object} result - Signature result
+ * @param {Object} options - Parsed CLI options (--signature-format, --v-base, --json)
+ */
+function printSignatureResult(result, options) {
+    console.log(JSON.stringify({
+        signature: formatSignature(result.signature, options.signature_format || 'hex', { vBase: options.v_base || 27 }),
+        deadline: result.deadline,
+        signer: result.signer,
+        recoveredAddress: result.recoveredAddress,
+        primaryType: result.primaryType,
+        digest: result.digest,
+        messageWithDeadline: result.messageWithDeadline,
+        ...(result.witnessTypeString ? { witnessTypeString: result.witnessTypeString } : {}),
+        ...(options.json ? { validation: result.validation, diagnostics: result.diagnostics } : {}),
+        timestamp: new Date().toISOString()
+    }, null, 2));
+}
+
+/**
+ * Preview and risk-lint settings from --address-book (plus EIP712_SIGNER_ADDRESS_BOOK),
+ * --expected-chain-id and --block-on-risk (all findings, or a comma-separated list of codes)
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} { addressBook, expectedChainId, blockOnRisk }
+ */
+function riskOptionsFromOptions(options) {
+    const addressBook = createDefaultAddressBook();
+    [process.env.EIP712_SIGNER_ADDRESS_BOOK, options.address_book]
+        .filter(location => typeof location === 'string' && location)
+        .flatMap(location => location.split(','))
+        .forEach(location => addressBook.loadFile(location.trim()));
+
+    let blockOnRisk = false;
+    if (options.block_on_risk === true) {
+        blockOnRisk = true;
+    } else if (typeof options.block_on_risk === 'string') {
+        blockOnRisk = options.block_on_risk.split(',').map(code => code.trim());
+        const unknown = blockOnRisk.find(code => !LINT_CODES.includes(code));
+        if (unknown) {
+            throw new Error(`Unknown risk code "${unknown}" for --block-on-risk (expected ${LINT_CODES.join(', ')})`);
+        }
+    }
+
+    return {
+        addressBook,
+        expectedChainId: options.expected_chain_id !== undefined ? parseInt(options.expected_chain_id) : null,
+        blockOnRisk
+    };
+}
+
+/**
+ * Deadline from --deadline (Unix timestamp, ISO-8601 or duration such as 15m) or --deadline-duration
+ * @param {Object} options - Parsed CLI options
+ * @param {EIP712Signer} signer - Signer (generates relative deadlines)
+ * @returns {number|string|null} Deadline, or null when neither option is given
+ */
+function deadlineFromOptions(options, signer) {
+    if (options.deadline) {
+        return parseDeadline(options.deadline);
+    }
+    if (options.deadline_duration) {
+        return signer.generateDeadline(options.deadline_duration);
+    }
+    return null;
+}
+
+/**
+ * Deadline field from --deadline-field: a field name, "none" to sign the message as given,
+ * or undefined to detect it by name
+ * @param {Object} options - Parsed CLI options
+ * @returns {string|null|undefined} Deadline field
+ */
+function deadlineFieldFromOptions(options) {
+    if (options.deadline_field === undefined) {
+        return undefined;
+    }
+    return options.deadline_field === 'none' ? null : options.deadline_field;
+}
+
+/**
+ * Logger for the CLI's stderr: --quiet silences it, --verbose adds the field-order report,
+ * and --json keeps it silent unless --verbose is given (diagnostics are part of the JSON then)
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Logger with debug/info/warn
+ */
+function cliLoggerFromOptions(options) {
+    if (options.quiet) {
+        return createLogger({ level: 'silent' });
+    }
+    if (options.verbose) {
+        return createLogger({ level: 'debug' });
+    }
+    return createLogger({ level: options.json ? 'silent' : 'info' });
+}
+
+/**
+ * Report a CLI error: as { "error": ... } JSON on stdout with --json, otherwise on stderr
+ * @param {Error} error - Error
+ * @param {Object} options - Parsed CLI options
+ */
+function reportCliError(error, options) {
+    if (options.json) {
+        console.log(JSON.stringify({ error: { message: error.message } }, null, 2));
+    } else {
+        console.error('Error:', error.message);
+    }
+}
+
+/**
+ * Parse a JSON-valued CLI option
+ * @param {string} value - Raw option value
+ * @param {string} flag - Flag name (for error messages)
+ * @returns {*} Parsed value (undefined when the option is absent)
+ */
+function parseJsonOption(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`--${flag} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Collect Permit2 parameters from CLI options
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Parameters for the signPermit2* / signPermit*TransferFrom methods
+ */
+function permit2ParamsFromOptions(options) {
+    if (!options.spender) {
+        throw new Error('Permit2 signatures require --spender');
+    }
+    const permitted = parseJsonOption(options.permitted, 'permitted')
+        || (options.token ? { token: options.token, amount: options.amount } : undefined);
+    if ((options.permit2_single || options.permit_transfer_from || options.permit_witness_transfer_from) && !permitted) {
+        throw new Error('Permit2 signatures require --token and --amount (or --permitted JSON)');
+    }
+
+    return {
+        chainId: options.chain_id ? parseInt(options.chain_id) : 1,
+        permit2Address: options.permit2_address,
+        rpcUrl: options.rpc,
+        spender: options.spender,
+        token: options.token,
+        amount: options.amount,
+        expiration: options.expiration ? parseDeadline(options.expiration) : undefined,
+        nonce: options.nonce,
+        details: parseJsonOption(options.details, 'details'),
+        permitted,
+        sigDeadline: options.sig_deadline ? parseDeadline(options.sig_deadline) : undefined,
+        deadline: options.deadline ? parseDeadline(options.deadline) : undefined,
+        witness: parseJsonOption(options.witness, 'witness'),
+        witnessType: options.witness_type,
+        witnessTypes: parseJsonOption(options.witness_types, 'witness-types'),
+        witnessTypeString: options.witness_type_string,
+        force: Boolean(options.force)
+    };
+}
+
+const COMMANDS = {
+    breakdown: breakdownCommand,
+    verify: verifyCommand,
+    recover: verifyCommand,
+    'convert-signature': convertSignatureCommand,
+    batch: batchCommand,
+    serve: serveCommand,
+    diagnose: diagnoseCommand,
+    validate: validateCommand,
+    'test-vectors': testVectorsCommand,
+    preview: previewCommand,
+    nonces: noncesCommand,
+    interactive: interactiveCommand,
+    'parse-types': parseTypesCommand,
+    diff: diffCommand,
+    codegen: codegenCommand
+};
+
 /**
  * Command line interface
  */
 async function main() {
     const args = process.argv.slice(2);
+
+    if (COMMANDS[args[0]] && !args.includes('--help') && !args.includes('-h')) {
+        const options = parseOptions(args, 1);
+        try {
+            await COMMANDS[args[0]](options, args.slice(1));
+        } catch (error) {
+            reportCliError(error, options);
+            process.exit(1);
+        }
+        return;
+    }
     
+    if (args.includes('--list-presets')) {
+        try {
+            loadPresetRegistry(parseOptions(args)).list().forEach(preset => {
+                console.log(`${preset.name.padEnd(24)} ${preset.primaryType.padEnd(20)} ${preset.description || ''} (${preset.source})`);
+            });
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
     if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
         console.log(`
 EIP-712 Signature Generator
 
 Usage:
-  node eip712-signer.js <private_key> [options]
+  node eip712-signer.js [key source] [options]
+  node eip712-signer.js <command> [options]
+
+Key sources (without one, the private key is read from a hidden prompt):
+  --keystore <path>            Encrypted JSON keystore
+  --password-file <path>       Keystore password file (default: hidden prompt)
+  --mnemonic                   Read a BIP-39 mnemonic from a hidden prompt
+  --mnemonic-file <path>       Read the mnemonic from a file
+  --mnemonic-env <VAR>         Read the mnemonic from an environment variable
+  --hd-path <path>             HD path (full path, or base path with --account-index; default: m/44'/60'/0'/0/0)
+  --account-index <n>          Account index appended to the HD path
+  --key-env <VAR>              Read the private key from an environment variable
+  --key-file <path>            Read the private key from a file
+  --signer-rpc <url>           Remote signer answering eth_signTypedData_v4 / personal_sign (signing service, Clef)
+  --signer-rpc-method <name>   Typed-data method of --signer-rpc (default: eth_signTypedData_v4;
+                               Clef: account_signTypedData)
+  --signer-command <cmd>       External signer: gets {"method","params"} JSON-RPC style requests on stdin
+                               and prints the result (signature, or accounts for eth_accounts) on stdout
+  --signer-address <0x...>     Account of the remote signer (default: its only account)
+  <0x private key>             Still accepted as the first argument, but visible in shell history and ps
+
+Commands:
+  breakdown                    Print every step of the EIP-712 digest computation
+                               (encodeType, typeHash, encodeData, hashStruct, domain separator)
+  verify | recover             Recover the signer of --signature from a payload or --digest
+                               and compare it with --expected-address (exit 1 on mismatch);
+                               with --rpc, smart-contract wallets are checked via ERC-1271 / ERC-6492
+  convert-signature            Convert --signature (any form) to --to hex|rsv|compact|json
+  batch                        Sign every row of --input (JSONL documents/permit rows or CSV permit rows)
+                               and write JSONL results (signature, digest, deadline, nonce) per row
+  serve                        Local JSON-RPC signing endpoint (eth_accounts, eth_chainId,
+                               eth_signTypedData_v4/v3, personal_sign) on 127.0.0.1
+  diagnose                     Search encoding variants until one reproduces --target-digest
+  validate                     Check a payload against its types (paths, ranges, bytes lengths)
+  test-vectors                 Check hashing and signing against conformance vectors (exit 1 on mismatch);
+                               --vectors <paths> runs your own files or directories (comma-separated)
+  preview                      Show what a payload authorizes (amounts with decimals, address labels,
+                               deadlines as dates) and lint it for risks without signing
+  interactive                  Guided signing: prompts for the domain, a preset or your own types and each
+                               value, previews type string, domain separator and digest, saves the payload
+                               (--output, default: eip712-payload.json) and offers to sign it
+  nonces [list|reset]          List or reset nonces reserved by --nonce auto (filter with --chain-id,
+                               --verifying-contract, --owner)
+  diff <a.json> <b.json>       Compare two documents: domain fields, type strings (types, names, order,
+                               missing types), each field's encoded word and the first diverging layer
+                               (domain separator, typeHash, struct hash, digest); exit 1 when they differ
+  parse-types "<type string>"  Turn an encodeType string (e.g. a contract's TYPEHASH preimage) or Solidity
+                               structs (--type-file) into types JSON; exit 1 when the string does not
+                               re-encode identically or its hash differs from --expected-typehash
+  codegen solidity             Generate a Solidity library (structs, TYPEHASH constants, hashStruct, domain
+                               separator) and a Foundry test pinned to this tool's digest, from --file
+                               (types JSON or document), --type-string/--type-file or --preset;
+                               --output <dir> writes the .sol files
 
 Options:
   --domain-name <name>          Domain name
-  --domain-version <version>    Domain version (default: "1")
-  --chain-id <id>              Chain ID (default: 1)
+  --domain-version <version>    Domain version (permit default: "1")
+  --chain-id <id>              Chain ID (permit default: 1)
   --verifying-contract <addr>   Contract address
+  --domain-salt <bytes32>       Domain salt
+  --omit-domain-fields <list>   Comma-separated domain fields to leave out (e.g. version,verifyingContract)
+  --domain-from-contract <addr> Read the domain from the contract's EIP-5267 eip712Domain()
+  --rpc <url>                  JSON-RPC endpoint for --domain-from-contract and contract-wallet verification
   --permit                     Generate a permit signature
   --owner <address>            Owner address (default: derived from private key)
   --spender <address>          Spender address (required for permit)
   --value <amount>             Amount to approve (required for permit)
-  --nonce <nonce>              Nonce (required for permit)
-  --deadline <timestamp>       Custom deadline (default: 1 hour from now)
-  --deadline-duration <seconds> Deadline duration in seconds (default: 3600)
+  --nonce <nonce|auto>         Nonce (required for permit); auto takes the next one from the nonce store
+                               and, with --rpc, the contract's nonces(owner) (checks DOMAIN_SEPARATOR() too)
+  --nonce-store <path>         Nonce store file (default: ~/.eip712-signer/nonces.json or
+                               EIP712_SIGNER_NONCE_STORE)
+  --permit-style <style>       eip2612 (default), dai or eip4494-nft; known tokens (DAI, USDC, UNI,
+                               Uniswap V3 positions) are detected from --chain-id/--verifying-contract
+  --holder <address>           DAI permit holder (alias of --owner)
+  --allowed <true|false>       DAI permit: approve unlimited (true, default) or revoke (false)
+  --token-id <id>              EIP-4494 NFT permit token ID
+  --deadline <deadline>        Custom deadline: Unix timestamp, ISO-8601 time or duration such as 15m or 2d
+                               (default: the message's own value, else 1 hour from now)
+  --deadline-duration <dur>    Deadline duration: seconds or 90s, 15m, 2h, 2d, 1w (default: 1h)
+  --deadline-field <name>      Field that receives the deadline (default: detected among deadline,
+                               sigDeadline, validTo, expiry, expiration, expiresAt, validUntil; none to disable)
   --custom-json <json>         Custom EIP-712 message as JSON
+  --file <path>                Full eth_signTypedData_v4 document (types, primaryType, domain, message)
+  --type-string <string>       Types as an encodeType string or Solidity structs (for --custom-json without
+                               "types", codegen and parse-types)
+  --type-file <path>           Like --type-string, read from a file (e.g. a .sol file with the structs)
+  --expected-typehash <hash>   parse-types: type hash the contract uses (exit 1 on mismatch)
+  --stdin                      Read a full eth_signTypedData_v4 document from stdin
+  --signature-format <fmt>     Signature output: ${SIGNATURE_FORMATS.join(', ')} (default: hex)
+  --v-base <27|0>              Render v as 27/28 (default) or 0/1
+  --force                      Sign even if the message fails schema validation
+  --address-book <path>        Extra address labels for the preview and risk lint (JSON; comma-separated;
+                               EIP712_SIGNER_ADDRESS_BOOK works too)
+  --expected-chain-id <id>     Flag domains whose chainId differs from this chain (chain-mismatch)
+  --block-on-risk [codes]      Refuse to sign when the risk lint finds anything, or only the given
+                               comma-separated codes (e.g. unlimited-approval,chain-mismatch); --force overrides
+  --json                       Machine-readable mode: diagnostics and validation in the JSON output,
+                               errors as {"error":{...}} on stdout, nothing on stderr; breakdown,
+                               diagnose, validate, preview and diff print their result as JSON
+  --quiet                      No diagnostics on stderr (stdout only carries the result)
+  --verbose                    Also print the field-order report and other debug diagnostics on stderr
+  --preset <name>              Sign a named preset schema (see --list-presets)
+  --field <key=value>          Set a preset message field (repeatable)
+  --presets <path>             Load extra presets from a JSON file or directory (comma-separated;
+                               EIP712_SIGNER_PRESETS works too)
+  --list-presets               List the available presets
+
+CoW Protocol orders (--cow-order):
+  --sell-token <addr>          Token to sell
+  --buy-token <addr>           Token to buy
+  --sell-amount <amount>       Sell amount (atoms)
+  --buy-amount <amount>        Buy amount (atoms)
+  --receiver <addr>            Receiver (default: owner)
+  --valid-to <timestamp>       Expiry (default: now + --deadline-duration)
+  --app-data <bytes32>         appData hash (default: zero)
+  --fee-amount <amount>        Fee amount (default: 0)
+  --kind <sell|buy>            Order kind (default: sell)
+  --partially-fillable         Allow partial fills
+  --sell-token-balance <b>     erc20, external or internal (default: erc20)
+  --buy-token-balance <b>      erc20 or internal (default: erc20)
+  --signing-scheme <scheme>    eip712 or ethsign (default: eip712)
+
+Uniswap Permit2:
+  --permit2-single             Sign a PermitSingle (AllowanceTransfer)
+  --permit2-batch              Sign a PermitBatch (AllowanceTransfer; use --details)
+  --permit-transfer-from       Sign a PermitTransferFrom (SignatureTransfer; batch with --permitted '[...]')
+  --permit-witness-transfer-from Sign a PermitWitnessTransferFrom (SignatureTransfer with witness)
+  --token <addr>               Token
+  --amount <amount>            Amount (uint160 for allowances)
+  --expiration <timestamp>     Allowance expiration (default: 30 days from now)
+  --nonce <nonce>              Allowance nonce (uint48; read from Permit2 with --rpc) or unordered
+                               SignatureTransfer nonce (default: random)
+  --sig-deadline <timestamp>   AllowanceTransfer signature deadline (default: 1 hour from now)
+  --details <json>             PermitBatch details: [{"token","amount","expiration","nonce"}, ...]
+  --permitted <json>           SignatureTransfer permissions: {"token","amount"} or an array
+  --witness <json>             Witness value
+  --witness-type <name>        Witness struct name (with --witness-types)
+  --witness-types <json>       Witness struct definitions, e.g. {"ExampleWitness":[{"name":"user","type":"address"}]}
+  --witness-type-string <str>  Permit2 witnessTypeString instead of --witness-type/--witness-types
+  --permit2-address <addr>     Permit2 deployment (default: ${PERMIT2_ADDRESS})
+
+Verification and diagnosis:
+  --input <path>               Rows to sign (batch; .jsonl or .csv)
+  --format <jsonl|csv>         Input format (batch; default: from the file extension)
+  --output <path>              Write batch results here instead of stdout (interactive: payload file;
+                               codegen: directory for <Library>.sol and <Library>.t.sol)
+  --library <name>             codegen: library name (default: <PrimaryType>EIP712)
+  --import-path <path>         codegen: import path of the library in the test (default: ./<Library>.sol)
+  --primary-type <type>        Primary type when the types file or Solidity source has several roots
+                               (codegen, parse-types, --type-string, --type-file)
+  --start-nonce <n>            First nonce for rows with a blank nonce (batch, default: 0)
+  --port <port>                serve: port (default: 8550)
+  --host <host>                serve: loopback address to bind (127.0.0.1, localhost or ::1)
+  --approve                    serve: ask for approval on the terminal before each signature
+  --allow-origin <origin>      serve: browser origin allowed to call the endpoint (repeatable)
+  --log-file <path>            serve: append request/response log lines here (default: stderr)
+  --signature <sig>            Signature to verify or convert: 65-byte hex (v 27/28 or 0/1),
+                               EIP-2098 compact hex or {"r","s","v"} JSON
+  --to <format>                Target format for convert-signature (default: json)
+  --digest <hex>               Raw 32-byte digest to recover from (verify)
+  --expected-address <addr>    Address the signature should recover to (verify)
+  --target-digest <hex>        Digest reported by a third party (diagnose)
+  --max-changes <n>            Maximum combined changes to try (diagnose, default: 2)
+  --chain-ids <ids>            Comma-separated chainIds to try (diagnose)
 
 Examples:
   # Generate a permit signature
-  node eip712-signer.js 0x1234... --permit \\
+  node eip712-signer.js --key-env PRIVATE_KEY --permit \\
     --domain-name "USD Coin" \\
     --chain-id 1 \\
     --verifying-contract 0xA0b86a33E6441e3a8b06dd2BC5BF6ef5C0aA2CB0 \\
@@ -209,100 +1637,225 @@ Examples:
     --value 1000000000000000000 \\
     --nonce 0
 
+  # Sign with an encrypted keystore or a mnemonic account
+  node eip712-signer.js --keystore ./keystore.json --password-file ./password.txt --file payload.json
+  node eip712-signer.js --mnemonic-file ./mnemonic.txt --account-index 2 --file payload.json
+
+  # DAI permit (style and domain detected from the token address; the deadline goes into expiry)
+  node eip712-signer.js --key-env PRIVATE_KEY --permit --chain-id 1 \\
+    --verifying-contract 0x6B175474E89094C44Da98b954EedeAC495271d0F \\
+    --spender 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D --nonce 0
+
+  # Permit with the next free nonce (nonces(owner) on-chain, then the local nonce store)
+  node eip712-signer.js --key-env PRIVATE_KEY --permit --chain-id 1 \\
+    --verifying-contract 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48 \\
+    --spender 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D --value 1000000 \\
+    --nonce auto --rpc https://eth.llamarpc.com
+  node eip712-signer.js nonces list --owner 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266
+
   # Custom EIP-712 signature
-  node eip712-signer.js 0x1234... \\
+  node eip712-signer.js --key-env PRIVATE_KEY \\
     --domain-name "MyApp" \\
     --chain-id 1 \\
     --verifying-contract 0x... \\
     --custom-json '{"types":{"Message":[{"name":"content","type":"string"}]},"message":{"content":"Hello"}}'
+
+  # Custom signature with the domain discovered through EIP-5267
+  node eip712-signer.js --key-env PRIVATE_KEY \\
+    --domain-from-contract 0x... --rpc http://127.0.0.1:8545 \\
+    --custom-json '{"types":{"Message":[{"name":"content","type":"string"}]},"message":{"content":"Hello"}}'
+
+  # Sign a CoW Protocol order
+  node eip712-signer.js --key-env PRIVATE_KEY --cow-order --chain-id 1 \\
+    --sell-token 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48 --buy-token 0xdAC17F958D2ee523a2206206994597C13D831ec7 \\
+    --sell-amount 9077413 --buy-amount 9061733 --kind sell
+
+  # Sign a Permit2 allowance and a witness transfer
+  node eip712-signer.js --key-env PRIVATE_KEY --permit2-single --chain-id 1 \\
+    --token 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48 --amount 1000000 --nonce 0 \\
+    --spender 0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD
+  node eip712-signer.js --key-env PRIVATE_KEY --permit-witness-transfer-from \\
+    --token 0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48 --amount 1000000 \\
+    --spender 0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD \\
+    --witness '{"user":"0x..."}' \\
+    --witness-type-string 'ExampleWitness witness)ExampleWitness(address user)TokenPermissions(address token,uint256 amount)'
+
+  # Sign a preset with field overrides
+  node eip712-signer.js --key-env PRIVATE_KEY --preset erc20-permit \\
+    --domain-name "USD Coin" --chain-id 1 --verifying-contract 0xA0b86a33E6441e3a8b06dd2BC5BF6ef5C0aA2CB0 \\
+    --field spender=0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D --field value=1000000 --nonce 0
+
+  # Sign a full eth_signTypedData_v4 document
+  node eip712-signer.js --key-env PRIVATE_KEY --file payload.json
+  cat payload.json | node eip712-signer.js --key-env PRIVATE_KEY --stdin
+
+  # Sign through a remote signer; the returned signature is checked against the local digest
+  node eip712-signer.js --signer-rpc http://127.0.0.1:8550 --signer-address 0x... --file payload.json
+  node eip712-signer.js --signer-command './hsm-sign.sh' --preset erc20-permit --field spender=0x... --field value=1
+
+  # Where our payload and a partner's stop hashing the same
+  node eip712-signer.js diff ours.json theirs.json
+
+  # Types JSON from a contract's TYPEHASH preimage, checked against the hash it uses
+  node eip712-signer.js parse-types 'Mail(Person from,Person to,string contents)Person(string name,address wallet)' \\
+    --expected-typehash 0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2
+
+  # Solidity library and Foundry test for a types file or preset
+  node eip712-signer.js codegen solidity --file mail-types.json --output src/
+  node eip712-signer.js codegen solidity --preset cow-order --library GPv2OrderEIP712 --output src/
+
+  # Hash breakdown of a payload
+  node eip712-signer.js breakdown \\
+    --domain-name "MyApp" \\
+    --custom-json '{"types":{"Message":[{"name":"content","type":"string"}]},"message":{"content":"Hello"}}'
+
+  # Verify a signature against a raw digest
+  node eip712-signer.js verify \\
+    --signature 0x... \\
+    --digest 0x... \\
+    --expected-address 0x...
         `);
         process.exit(0);
     }
 
-    const privateKey = args[0];
-    if (!privateKey || !privateKey.startsWith('0x')) {
-        console.error('Error: Please provide a valid private key starting with 0x');
-        process.exit(1);
-    }
+    // A leading 0x... argument is still accepted, but it ends up in shell history and ps output
+    const keyArg = args[0] && !args[0].startsWith('--') ? args[0] : null;
+    // Parse command line arguments
+    const options = parseOptions(args, keyArg ? 1 : 0);
+    const logger = cliLoggerFromOptions(options);
 
     try {
-        const signer = new EIP712Signer(privateKey);
-        
-        // Parse command line arguments
-        const options = {};
-        for (let i = 1; i < args.length; i++) {
-            const arg = args[i];
-            if (arg.startsWith('--')) {
-                const key = arg.replace('--', '').replace(/-/g, '_');
-                // Check if this is a boolean flag
-                if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
-                    options[key] = true;
-                } else {
-                    options[key] = args[i + 1];
-                    i++; // Skip the value
-                }
-            }
+        if (keyArg && !keyArg.startsWith('0x')) {
+            throw new Error('Please provide a valid private key starting with 0x, or use a key source option');
         }
+        if (keyArg) {
+            logger.warn('⚠️  Private key given on the command line; prefer --keystore, --mnemonic-file, --key-env, --key-file, the hidden prompt or a remote signer');
+        }
+        const signerOptions = { logger, ...riskOptionsFromOptions(options) };
+        const signer = keyArg
+            ? new EIP712Signer(keyArg, signerOptions)
+            : await EIP712Signer.fromKeySource(keySourceFromOptions(options), {}, signerOptions);
 
         let result;
 
         if (options.permit) {
-            // Generate permit signature
+            // Generate permit signature; known tokens supply their style and domain name/version
+            const known = findKnownPermitToken(options.chain_id || 1, options.verifying_contract || options.domain_from_contract);
+            const style = options.permit_style || (known ? known.style : 'eip2612');
+            getPermitStyle(style);
+            const domain = await buildDomainFromOptions(options, {
+                name: 'Token',
+                version: '1',
+                chainId: 1,
+                verifyingContract: options.domain_from_contract,
+                ...(known ? known.domain : {})
+            });
+            if (known) {
+                logger.info(`ℹ️  Known token ${known.symbol}: using ${style} permit`);
+            }
             const permitData = {
-                tokenName: options.domain_name || 'Token',
-                tokenVersion: options.domain_version || '1',
-                chainId: parseInt(options.chain_id) || 1,
-                verifyingContract: options.verifying_contract,
-                owner: options.owner,
+                domain,
+                style,
+                owner: options.owner || options.holder,
                 spender: options.spender,
                 value: options.value,
-                nonce: parseInt(options.nonce) || 0,
-                deadline: options.deadline ? parseInt(options.deadline) : null
+                tokenId: options.token_id,
+                allowed: options.allowed === undefined ? true : options.allowed === true || options.allowed === 'true',
+                nonce: options.nonce === 'auto' ? 'auto' : parseNonce(options.nonce),
+                nonceStore: new NonceStore(options.nonce_store || undefined),
+                rpcUrl: options.rpc,
+                deadline: deadlineFromOptions(options, signer),
+                force: Boolean(options.force)
             };
 
-            if (!permitData.verifyingContract || !permitData.spender || !permitData.value) {
-                console.error('Error: For permit signatures, --verifying-contract, --spender, and --value are required');
-                process.exit(1);
+            const needs = { eip2612: 'value', dai: null, 'eip4494-nft': 'tokenId' }[style];
+            if (!domain.verifyingContract || !permitData.spender || (needs && permitData[needs] === undefined)) {
+                throw new Error(`For ${style} permits, --verifying-contract (or --domain-from-contract), --spender${needs ? `, and --${needs === 'tokenId' ? 'token-id' : needs}` : ''} are required`);
             }
 
             result = await signer.signPermit(permitData);
-        } else if (options.custom_json) {
-            // Custom EIP-712 signature
-            const customData = JSON.parse(options.custom_json);
-            const domain = {
-                name: options.domain_name || 'Custom',
-                version: options.domain_version || '1',
+        } else if (options.cow_order) {
+            // CoW Protocol order: print the orderUid and the orderbook API body
+            const cowResult = await signer.signCowOrder({
+                sellToken: options.sell_token,
+                buyToken: options.buy_token,
+                receiver: options.receiver,
+                sellAmount: options.sell_amount,
+                buyAmount: options.buy_amount,
+                validTo: options.valid_to ? parseDeadline(options.valid_to) : (deadlineFromOptions(options, signer) || signer.generateDeadline()),
+                appData: options.app_data,
+                feeAmount: options.fee_amount,
+                kind: options.kind,
+                partiallyFillable: Boolean(options.partially_fillable),
+                sellTokenBalance: options.sell_token_balance,
+                buyTokenBalance: options.buy_token_balance
+            }, {
                 chainId: parseInt(options.chain_id) || 1,
-                verifyingContract: options.verifying_contract ? ethers.getAddress(options.verifying_contract) : ethers.ZeroAddress
-            };
+                signingScheme: options.signing_scheme || 'eip712',
+                verifyingContract: options.verifying_contract,
+                force: Boolean(options.force)
+            });
 
-            const deadlineDuration = options.deadline_duration ? parseInt(options.deadline_duration) : 3600;
-            const deadline = options.deadline ? parseInt(options.deadline) : signer.generateDeadline(deadlineDuration);
+            console.log(JSON.stringify({
+                orderUid: cowResult.orderUid,
+                digest: cowResult.digest,
+                signingScheme: cowResult.signingScheme,
+                signer: cowResult.signer,
+                recoveredAddress: cowResult.recoveredAddress,
+                apiPayload: cowResult.apiPayload,
+                ...(options.json ? { diagnostics: cowResult.diagnostics } : {}),
+                timestamp: new Date().toISOString()
+            }, null, 2));
+            return;
+        } else if (options.permit2_single || options.permit2_batch || options.permit_transfer_from || options.permit_witness_transfer_from) {
+            // Uniswap Permit2 (AllowanceTransfer / SignatureTransfer)
+            const params = permit2ParamsFromOptions(options);
+            if (options.permit2_single) {
+                result = await signer.signPermit2Single(params);
+            } else if (options.permit2_batch) {
+                result = await signer.signPermit2Batch(params);
+            } else if (options.permit_transfer_from) {
+                result = await signer.signPermitTransferFrom(params);
+            } else {
+                result = await signer.signPermitWitnessTransferFrom(params);
+            }
+        } else if (options.preset) {
+            // Named preset with --field overrides
+            const preset = loadPresetRegistry(options).get(options.preset);
+            result = await signer.signPreset(preset, {
+                fields: parseFieldAssignments(options.field),
+                domain: await buildDomainFromOptions(options, preset.domain),
+                deadline: deadlineFromOptions(options, signer),
+                nonce: options.nonce !== undefined ? options.nonce : null,
+                nonceStore: new NonceStore(options.nonce_store || undefined),
+                rpcUrl: options.rpc,
+                force: Boolean(options.force),
+                deadlineField: deadlineFieldFromOptions(options)
+            });
+        } else if (options.file || options.stdin || options.custom_json) {
+            // Full eth_signTypedData_v4 document or custom EIP-712 signature
+            const { domain, types, primaryType, message } = await loadTypedDataFromOptions(options);
 
-            result = await signer.signTypedData(domain, customData.types, customData.message, deadline);
+            // Without --deadline / --deadline-duration the message's own deadline is kept (or one is generated)
+            result = await signer.signTypedData(domain, types, message, deadlineFromOptions(options, signer), primaryType, {
+                force: Boolean(options.force),
+                deadlineField: deadlineFieldFromOptions(options)
+            });
         } else {
-            console.error('Error: Please specify either --permit or --custom-json');
-            process.exit(1);
+            throw new Error('Please specify --permit, --permit2-single, --permit2-batch, --permit-transfer-from, --permit-witness-transfer-from, --cow-order, --preset, --file, --stdin or --custom-json');
         }
 
         // Output result
-        console.log(JSON.stringify({
-            signature: result.signature,
-            deadline: result.deadline,
-            signer: result.signer,
-            recoveredAddress: result.recoveredAddress,
-            messageWithDeadline: result.messageWithDeadline,
-            timestamp: new Date().toISOString()
-        }, null, 2));
+        printSignatureResult(result, options);
 
     } catch (error) {
-        console.error('Error:', error.message);
+        reportCliError(error, options);
         process.exit(1);
     }
 }
 
 // Export for use as a module
-module.exports = { EIP712Signer };
+module.exports = { EIP712Signer, verify };
 
 // Run CLI if this file is executed directly
 if (require.main === module) {
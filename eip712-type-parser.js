@@ -0,0 +1,178 @@
+const { ethers } = require('ethers');
+const { encodeType, findTypeDependencies } = require('./eip712-breakdown.js');
+const { isPrimitiveType } = require('./eip712-validate.js');
+
+/**
+ * EIP-712 Type String Parser
+ *
+ * Turns an encodeType string such as
+ * `Mail(Person from,Person to,string contents)Person(string name,address wallet)`
+ * or Solidity `struct` blocks back into the `types` object used by the signer.
+ * Parsed type strings are re-encoded to check that they round-trip: a stray
+ * space or unsorted referenced types give a different type hash.
+ */
+
+const STRUCT_PATTERN = /([A-Za-z_$][A-Za-z0-9_$]*)\(([^()]*)\)/g;
+const SOLIDITY_STRUCT_PATTERN = /\bstruct\s+([A-Za-z_$][A-Za-z0-9_$]*)\s*\{([^{}]*)\}/g;
+const SOLIDITY_MEMBER_PATTERN = /^([A-Za-z_$][A-Za-z0-9_$.]*)((?:\s*\[\s*\d*\s*\])*)\s+([A-Za-z_$][A-Za-z0-9_$]*)$/;
+
+// Solidity shorthands and their canonical EIP-712 names (the type hash must use the canonical one)
+const SOLIDITY_TYPE_ALIASES = { uint: 'uint256', int: 'int256', byte: 'bytes1' };
+
+/**
+ * Parse an encodeType string (primary type first, referenced types appended)
+ * @param {string} typeString - Encoded type string
+ * @returns {Object} { primaryType, types }
+ */
+function parseEncodeType(typeString) {
+    const text = String(typeString).trim();
+    const types = {};
+    let primaryType = null;
+    let consumed = '';
+
+    for (const match of text.matchAll(STRUCT_PATTERN)) {
+        const [whole, name, body] = match;
+        if (types[name]) {
+            throw new Error(`Type "${name}" is defined twice in "${text}"`);
+        }
+        types[name] = body === '' ? [] : body.split(',').map(member => {
+            const parts = member.trim().split(/\s+/);
+            if (parts.length !== 2) {
+                throw new Error(`Invalid member "${member}" in type "${name}": expected "<type> <name>"`);
+            }
+            return { name: parts[1], type: parts[0] };
+        });
+        primaryType = primaryType || name;
+        consumed += whole;
+    }
+
+    if (!primaryType || consumed !== text) {
+        throw new Error(`Invalid encodeType string "${text}"`);
+    }
+    return { primaryType, types };
+}
+
+/**
+ * Parse Solidity struct definitions (comments, other declarations and data locations are ignored)
+ * @param {string} source - Solidity source holding one or more `struct Name { ... }` blocks
+ * @param {string} primaryType - Primary type (default: the one struct no other struct references)
+ * @returns {Object} { primaryType, types }
+ */
+function parseSolidityStructs(source, primaryType = null) {
+    const text = String(source).replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/[^\n]*/g, ' ');
+    const types = {};
+
+    for (const [, name, body] of text.matchAll(SOLIDITY_STRUCT_PATTERN)) {
+        if (types[name]) {
+            throw new Error(`struct ${name} is defined twice`);
+        }
+        types[name] = body.split(';').map(member => member.trim().replace(/\s+/g, ' ')).filter(Boolean).map(member => {
+            const match = member.replace(/\baddress payable\b/, 'address').match(SOLIDITY_MEMBER_PATTERN);
+            if (!match) {
+                throw new Error(`struct ${name}: cannot use member "${member}" in EIP-712 (expected "<type> <name>")`);
+            }
+            // Qualified names (IOrders.Order) refer to the struct itself
+            const base = match[1].split('.').pop();
+            return { name: match[3], type: `${SOLIDITY_TYPE_ALIASES[base] || base}${match[2].replace(/\s/g, '')}` };
+        });
+    }
+
+    const names = Object.keys(types);
+    if (names.length === 0) {
+        throw new Error('No struct definitions found');
+    }
+    if (primaryType) {
+        if (!types[primaryType]) {
+            throw new Error(`Primary type "${primaryType}" is not one of the structs (${names.join(', ')})`);
+        }
+        return { primaryType, types };
+    }
+    const referenced = new Set(names.flatMap(name => types[name].map(field => field.type.replace(/(\[\d*\])+$/, ''))));
+    const roots = names.filter(name => !referenced.has(name));
+    if (roots.length !== 1) {
+        throw new Error(`Cannot tell the primary type: ${roots.length === 0 ? 'the structs reference each other' : `${roots.join(', ')} are all unreferenced`} (give the primary type)`);
+    }
+    return { primaryType: roots[0], types };
+}
+
+/**
+ * Check that every member type is an EIP-712 primitive or one of the parsed structs
+ * @param {Object} types - Parsed types
+ */
+function checkParsedTypes(types) {
+    Object.entries(types).forEach(([name, fields]) => {
+        const seen = new Set();
+        fields.forEach(field => {
+            if (seen.has(field.name)) {
+                throw new Error(`${name}: member "${field.name}" is defined twice`);
+            }
+            seen.add(field.name);
+            const base = field.type.replace(/(\[\d*\])+$/, '');
+            if (!types[base] && !isPrimitiveType(base)) {
+                throw new Error(`${name}.${field.name}: unknown type "${field.type}" (define the struct, or use the ABI type of enums and contracts: uint8, address)`);
+            }
+        });
+    });
+}
+
+/**
+ * Re-encode parsed types and compare with the original encodeType string
+ * @param {string} typeString - Original encodeType string
+ * @param {Object} parsed - { primaryType, types } from parseEncodeType
+ * @returns {Object} { matches, encoded, reason }
+ */
+function checkRoundTrip(typeString, { primaryType, types }) {
+    const text = String(typeString).trim();
+    const encoded = encodeType(primaryType, types);
+    if (encoded === text) {
+        return { matches: true, encoded, reason: null };
+    }
+    const used = findTypeDependencies(primaryType, types);
+    const unused = Object.keys(types).filter(name => !used.has(name));
+    let reason;
+    if (unused.length > 0) {
+        reason = `${unused.join(', ')} ${unused.length === 1 ? 'is' : 'are'} not referenced by ${primaryType} and must not be appended`;
+    } else if (encoded.length === text.length) {
+        reason = 'referenced types must be appended sorted by name';
+    } else {
+        reason = 'whitespace differs: members are "<type> <name>" separated by "," without spaces';
+    }
+    return { matches: false, encoded, reason };
+}
+
+/**
+ * Parse a type definition: an encodeType string or Solidity struct source (detected by the `struct` keyword)
+ * @param {string} text - Type string or Solidity source
+ * @param {Object} options - { primaryType } (Solidity sources with several root structs)
+ * @returns {Object} { format: 'encodeType' | 'solidity', primaryType, types, encodeType, typeHash, roundTrip }
+ *                   (roundTrip is { matches, encoded, reason } for encodeType strings, null for Solidity)
+ */
+function parseTypeDefinition(text, { primaryType = null } = {}) {
+    const solidity = /\bstruct\s+[A-Za-z_$]/.test(String(text));
+    const parsed = solidity ? parseSolidityStructs(text, primaryType) : parseEncodeType(text);
+    if (!solidity && primaryType && primaryType !== parsed.primaryType) {
+        throw new Error(`The type string's primary type is "${parsed.primaryType}", not "${primaryType}" (the primary type comes first)`);
+    }
+    checkParsedTypes(parsed.types);
+
+    // Only the primary type and what it references belong in the payload, primary type first
+    const used = findTypeDependencies(parsed.primaryType, parsed.types);
+    const names = [parsed.primaryType, ...Object.keys(parsed.types).filter(name => name !== parsed.primaryType && used.has(name))];
+    const types = Object.fromEntries(names.map(name => [name, parsed.types[name]]));
+    const encoded = encodeType(parsed.primaryType, types);
+    return {
+        format: solidity ? 'solidity' : 'encodeType',
+        primaryType: parsed.primaryType,
+        types,
+        encodeType: encoded,
+        typeHash: ethers.keccak256(ethers.toUtf8Bytes(encoded)),
+        roundTrip: solidity ? null : checkRoundTrip(text, parsed)
+    };
+}
+
+module.exports = {
+    parseEncodeType,
+    parseSolidityStructs,
+    checkRoundTrip,
+    parseTypeDefinition
+};
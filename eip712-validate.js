@@ -0,0 +1,286 @@
+const { ethers } = require('ethers');
+const { getDomainFields, withoutDomainType } = require('./eip712-breakdown.js');
+
+/**
+ * EIP-712 Schema Validation
+ *
+ * Walks a typed-data payload against its types (nested structs and arrays
+ * included) and reports every problem with its path, e.g.
+ * `message.orders[2].validTo`.
+ */
+
+const UINT_PATTERN = /^(u?)int(\d+)$/;
+const BYTES_PATTERN = /^bytes(\d+)$/;
+const ARRAY_PATTERN = /^(.*)\[(\d*)\]$/;
+
+/**
+ * Check whether an atomic or dynamic (non-struct, non-array) type name is valid
+ * @param {string} type - Type name
+ * @returns {boolean} True if the type is a valid EIP-712 primitive
+ */
+function isPrimitiveType(type) {
+    if (['address', 'bool', 'string', 'bytes'].includes(type)) {
+        return true;
+    }
+    const intMatch = type.match(UINT_PATTERN);
+    if (intMatch) {
+        const bits = parseInt(intMatch[2]);
+        return bits >= 8 && bits <= 256 && bits % 8 === 0;
+    }
+    const bytesMatch = type.match(BYTES_PATTERN);
+    if (bytesMatch) {
+        const length = parseInt(bytesMatch[1]);
+        return length >= 1 && length <= 32;
+    }
+    return false;
+}
+
+/**
+ * Validate the type definitions: undefined referenced types and circular references
+ * @param {Object} types - Message types (without EIP712Domain)
+ * @param {Array} errors - Accumulator of { path, message }
+ */
+function validateTypes(types, errors) {
+    Object.entries(types).forEach(([name, fields]) => {
+        if (!Array.isArray(fields)) {
+            errors.push({ path: `types.${name}`, message: 'type definition must be an array of { name, type }' });
+            return;
+        }
+        const seen = new Set();
+        fields.forEach((field, index) => {
+            const path = `types.${name}[${index}]`;
+            if (!field || typeof field.name !== 'string' || typeof field.type !== 'string') {
+                errors.push({ path, message: 'field must have string "name" and "type"' });
+                return;
+            }
+            if (seen.has(field.name)) {
+                errors.push({ path, message: `duplicate field name "${field.name}"` });
+            }
+            seen.add(field.name);
+
+            const base = field.type.replace(/(\[\d*\])+$/, '');
+            if (!types[base] && !isPrimitiveType(base)) {
+                const hint = base === 'uint' || base === 'int' ? ` (use ${base}256)` : '';
+                errors.push({ path, message: `field "${field.name}" references undefined type "${base}"${hint}` });
+            }
+        });
+    });
+
+    // Circular references make encodeType undefined
+    const visiting = new Set();
+    const done = new Set();
+    const visit = (name, trail) => {
+        if (done.has(name) || !Array.isArray(types[name])) {
+            return;
+        }
+        if (visiting.has(name)) {
+            errors.push({ path: `types.${name}`, message: `circular type reference: ${[...trail, name].join(' → ')}` });
+            return;
+        }
+        visiting.add(name);
+        types[name].forEach(field => {
+            const base = typeof field.type === 'string' ? field.type.replace(/(\[\d*\])+$/, '') : null;
+            if (base && types[base]) {
+                visit(base, [...trail, name]);
+            }
+        });
+        visiting.delete(name);
+        done.add(name);
+    };
+    Object.keys(types).forEach(name => visit(name, []));
+}
+
+/**
+ * Validate a value against a type, recursing into structs and arrays
+ * @param {string} type - Field type
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value (e.g. message.orders[2])
+ * @param {Object} types - Message types
+ * @param {Array} errors - Accumulator of { path, message }
+ */
+function validateValue(type, value, path, types, errors) {
+    if (value === undefined || value === null) {
+        errors.push({ path, message: `missing value for ${type}` });
+        return;
+    }
+
+    const arrayMatch = type.match(ARRAY_PATTERN);
+    if (arrayMatch) {
+        if (!Array.isArray(value)) {
+            errors.push({ path, message: `expected an array for ${type}` });
+            return;
+        }
+        if (arrayMatch[2] !== '' && value.length !== parseInt(arrayMatch[2])) {
+            errors.push({ path, message: `expected ${arrayMatch[2]} elements for ${type}, got ${value.length}` });
+        }
+        value.forEach((item, index) => validateValue(arrayMatch[1], item, `${path}[${index}]`, types, errors));
+        return;
+    }
+
+    if (Array.isArray(types[type])) {
+        validateStruct(type, value, path, types, errors);
+        return;
+    }
+
+    const intMatch = type.match(UINT_PATTERN);
+    if (intMatch) {
+        let number;
+        try {
+            if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+                throw new Error('unsafe');
+            }
+            if (typeof value === 'string' && !/^-?(0x[0-9a-fA-F]+|\d+)$/.test(value.trim())) {
+                throw new Error('not numeric');
+            }
+            number = BigInt(value);
+        } catch (error) {
+            errors.push({ path, message: `expected an integer for ${type}, got ${JSON.stringify(value)}` });
+            return;
+        }
+        const bits = BigInt(intMatch[2]);
+        const min = intMatch[1] ? 0n : -(1n << (bits - 1n));
+        const max = intMatch[1] ? (1n << bits) - 1n : (1n << (bits - 1n)) - 1n;
+        if (number < min || number > max) {
+            errors.push({ path, message: `${number} is out of range for ${type} (${min} to ${max})` });
+        }
+        return;
+    }
+
+    const bytesMatch = type.match(BYTES_PATTERN);
+    if (bytesMatch) {
+        const length = parseInt(bytesMatch[1]);
+        if (typeof value === 'string' && !ethers.isHexString(value)) {
+            errors.push({ path, message: `string ${JSON.stringify(value)} given for ${type}; expected ${length} bytes of hex (hash strings with keccak256 first)` });
+        } else if (!ethers.isBytesLike(value)) {
+            errors.push({ path, message: `expected ${length} bytes of hex for ${type}` });
+        } else if (ethers.getBytes(value).length !== length) {
+            errors.push({ path, message: `expected ${length} bytes for ${type}, got ${ethers.getBytes(value).length}` });
+        }
+        return;
+    }
+
+    switch (type) {
+        case 'address':
+            if (typeof value !== 'string' || !ethers.isAddress(value)) {
+                errors.push({ path, message: `invalid address ${JSON.stringify(value)} (bad format or checksum)` });
+            }
+            break;
+        case 'bool':
+            if (typeof value !== 'boolean') {
+                errors.push({ path, message: `expected true or false for bool, got ${JSON.stringify(value)}` });
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push({ path, message: `expected a string, got ${JSON.stringify(value)}` });
+            }
+            break;
+        case 'bytes':
+            if (!ethers.isBytesLike(value)) {
+                errors.push({ path, message: `expected hex bytes, got ${JSON.stringify(value)}` });
+            }
+            break;
+        default:
+            // Undefined types are reported by validateTypes
+            break;
+    }
+}
+
+/**
+ * Validate a struct value: missing fields, extra fields and every field value
+ * @param {string} structType - Struct type name
+ * @param {Object} data - Struct value
+ * @param {string} path - Path of the struct
+ * @param {Object} types - Message types
+ * @param {Array} errors - Accumulator of { path, message }
+ */
+function validateStruct(structType, data, path, types, errors) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        errors.push({ path, message: `expected an object for ${structType}` });
+        return;
+    }
+
+    const fields = types[structType];
+    const fieldNames = fields.map(field => field.name);
+
+    Object.keys(data).filter(key => !fieldNames.includes(key)).forEach(key => {
+        errors.push({ path: `${path}.${key}`, message: `extra field not declared in ${structType}` });
+    });
+
+    fields.forEach(field => {
+        if (!field || typeof field.name !== 'string' || typeof field.type !== 'string') {
+            return;
+        }
+        const fieldPath = `${path}.${field.name}`;
+        if (data[field.name] === undefined) {
+            errors.push({ path: fieldPath, message: `missing field "${field.name}" (${field.type})` });
+            return;
+        }
+        validateValue(field.type, data[field.name], fieldPath, types, errors);
+    });
+}
+
+/**
+ * Validate a typed-data payload against its types
+ * @param {Object} payload - { domain, types, message, primaryType? }
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+function validateTypedData({ domain, types, message, primaryType = null }) {
+    const errors = [];
+
+    if (!types || typeof types !== 'object') {
+        return { valid: false, errors: [{ path: 'types', message: 'types must be an object' }] };
+    }
+
+    const messageTypes = withoutDomainType(types);
+    validateTypes(types, errors);
+
+    const circular = errors.some(error => error.message.startsWith('circular'));
+
+    if (domain) {
+        // Keys outside a declared EIP712Domain are ignored (eth_signTypedData_v4); without one they are unknown
+        const domainFields = getDomainFields(domain, types);
+        if (!types.EIP712Domain) {
+            Object.keys(domain).filter(key => !domainFields.some(field => field.name === key)).forEach(key => {
+                errors.push({ path: `domain.${key}`, message: 'unknown EIP712Domain field' });
+            });
+        }
+        domainFields.forEach(field => {
+            validateValue(field.type, domain[field.name], `domain.${field.name}`, {}, errors);
+        });
+    }
+
+    if (!primaryType) {
+        try {
+            primaryType = ethers.TypedDataEncoder.getPrimaryType(messageTypes);
+        } catch (error) {
+            errors.push({ path: 'primaryType', message: `cannot derive primary type: ${error.shortMessage || error.message}` });
+        }
+    } else if (!Array.isArray(messageTypes[primaryType])) {
+        errors.push({ path: 'primaryType', message: `primary type "${primaryType}" is not defined in types` });
+        primaryType = null;
+    }
+
+    // Walking a circular schema would never end
+    if (primaryType && !circular) {
+        validateStruct(primaryType, message, 'message', messageTypes, errors);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as one line per problem
+ * @param {Array} errors - Validation errors
+ * @returns {string} Formatted errors
+ */
+function formatValidationErrors(errors) {
+    return errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+}
+
+module.exports = {
+    isPrimitiveType,
+    validateValue,
+    validateTypedData,
+    formatValidationErrors
+};
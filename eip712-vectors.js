@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { breakdownTypedData, hashTypedData } = require('./eip712-breakdown.js');
+const { parseTypedDataDocument } = require('./eip712-input.js');
+
+/**
+ * Conformance Vectors
+ *
+ * Runs the hashing and signing code against EIP-712 vectors with known
+ * results. A vector file holds an array of vectors or { vectors: [...] }:
+ *
+ * {
+ *   "name": "eip712-mail",
+ *   "description": "Mail example from the EIP-712 specification",
+ *   "source": "https://eips.ethereum.org/EIPS/eip-712",
+ *   "typedData": { "types": {...}, "primaryType": "Mail", "domain": {...}, "message": {...} },
+ *   "privateKey": "0x...",            (optional: also sign and compare the signature)
+ *   "expected": { "encodeType", "typeHash", "domainSeparator", "structHash", "digest", "signature", "signer" }
+ * }
+ *
+ * Every expected field is optional; only the given ones are checked.
+ * The bundled corpus (eip712-vectors.json) was computed with independent
+ * implementations (the EIP itself, ethers, eth-sig-util, permit2-sdk).
+ */
+
+const DEFAULT_VECTORS_FILE = path.join(__dirname, 'eip712-vectors.json');
+
+const HASH_FIELDS = ['encodeType', 'typeHash', 'domainSeparator', 'structHash', 'digest'];
+
+/**
+ * Read vectors from a JSON file holding an array or { vectors: [...] }
+ * @param {string} filePath - JSON file path
+ * @returns {Array} Vectors (each with its `file`)
+ */
+function loadVectorFile(filePath) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: cannot read vectors (${error.message})`);
+    }
+    const vectors = Array.isArray(content) ? content : content.vectors;
+    if (!Array.isArray(vectors)) {
+        throw new Error(`${filePath}: expected an array of vectors or { "vectors": [...] }`);
+    }
+    return vectors.map((vector, index) => {
+        const label = `${filePath}: vector ${vector && vector.name ? `"${vector.name}"` : index}`;
+        if (!vector || typeof vector.name !== 'string' || !vector.expected || typeof vector.expected !== 'object') {
+            throw new Error(`${label} needs a name and an expected object`);
+        }
+        return { ...vector, typedData: parseTypedDataDocument(vector.typedData, label), file: filePath };
+    });
+}
+
+/**
+ * Load vectors from files and directories (every *.json file in a directory)
+ * @param {Array} locations - File or directory paths (default: the bundled corpus)
+ * @returns {Array} Vectors
+ */
+function loadVectors(locations = [DEFAULT_VECTORS_FILE]) {
+    return locations.flatMap(location => {
+        if (!fs.statSync(location).isDirectory()) {
+            return loadVectorFile(location);
+        }
+        return fs.readdirSync(location)
+            .filter(file => file.endsWith('.json'))
+            .sort()
+            .flatMap(file => loadVectorFile(path.join(location, file)));
+    });
+}
+
+/**
+ * Compare two values, ignoring hex and address case
+ * @param {string} expected - Expected value
+ * @param {string} actual - Actual value
+ * @returns {boolean} True when equal
+ */
+function sameValue(expected, actual) {
+    if (typeof expected === 'string' && typeof actual === 'string' && ethers.isHexString(expected) && ethers.isHexString(actual)) {
+        return expected.toLowerCase() === actual.toLowerCase();
+    }
+    return expected === actual;
+}
+
+/**
+ * Check one vector
+ * @param {Object} vector - Vector (see loadVectors)
+ * @param {Object} options - { createSigner: (privateKey) => EIP712Signer } (signature checks are skipped without it)
+ * @returns {Promise<Object>} { name, passed, checks: [{ field, expected, actual, ok }], error? }
+ */
+async function checkVector(vector, { createSigner = null } = {}) {
+    const { expected } = vector;
+    const checks = [];
+    const check = (field, expectedValue, actual) => {
+        if (expectedValue !== undefined) {
+            checks.push({ field, expected: expectedValue, actual, ok: sameValue(expectedValue, actual) });
+        }
+    };
+
+    try {
+        const breakdown = breakdownTypedData(vector.typedData);
+        const actual = {
+            encodeType: breakdown.message.encodeType,
+            typeHash: breakdown.message.typeHash,
+            domainSeparator: breakdown.domainSeparator,
+            structHash: breakdown.structHash,
+            digest: breakdown.digest
+        };
+        HASH_FIELDS.forEach(field => check(field, expected[field], actual[field]));
+        check('digest (hashTypedData)', expected.digest, hashTypedData(vector.typedData));
+
+        if (vector.privateKey && createSigner) {
+            const { domain, types, primaryType, message } = vector.typedData;
+            // Sign exactly the vector's message: no deadline injection
+            const result = await createSigner(vector.privateKey).signTypedData(domain, types, message, null, primaryType, { deadlineField: null });
+            check('digest (signer)', expected.digest, result.digest);
+            check('signature', expected.signature, result.signature);
+            check('signer', expected.signer, result.recoveredAddress);
+        }
+    } catch (error) {
+        return { name: vector.name, file: vector.file, passed: false, checks, error: error.message };
+    }
+
+    return { name: vector.name, file: vector.file, passed: checks.every(entry => entry.ok), checks };
+}
+
+/**
+ * Check every vector
+ * @param {Array} vectors - Vectors (see loadVectors)
+ * @param {Object} options - { createSigner }
+ * @returns {Promise<Object>} { results, passed, failed }
+ */
+async function runVectors(vectors, options = {}) {
+    const results = [];
+    for (const vector of vectors) {
+        results.push(await checkVector(vector, options));
+    }
+    return {
+        results,
+        passed: results.filter(result => result.passed).length,
+        failed: results.filter(result => !result.passed).length
+    };
+}
+
+/**
+ * Print a report produced by runVectors
+ * @param {Object} report - { results, passed, failed }
+ */
+function printVectorReport(report) {
+    console.log('🧪 EIP-712 Conformance Vectors');
+    console.log('==============================\n');
+    report.results.forEach(result => {
+        console.log(`${result.passed ? '✅' : '❌'} ${result.name} (${result.checks.length} checks)`);
+        if (result.error) {
+            console.log(`   Error: ${result.error}`);
+        }
+        result.checks.filter(entry => !entry.ok).forEach(entry => {
+            console.log(`   ${entry.field}:`);
+            console.log(`     expected ${entry.expected}`);
+            console.log(`     actual   ${entry.actual}`);
+        });
+    });
+    console.log(`\n${report.passed} passed, ${report.failed} failed`);
+}
+
+module.exports = {
+    DEFAULT_VECTORS_FILE,
+    loadVectorFile,
+    loadVectors,
+    checkVector,
+    runVectors,
+    printVectorReport
+};
@@ -0,0 +1,182 @@
+const { ethers } = require('ethers');
+const { hashTypedData } = require('./eip712-breakdown.js');
+const { parseSignature } = require('./eip712-signature-format.js');
+const { withProvider, callContract } = require('./eip712-rpc.js');
+
+/**
+ * EIP-712 Signature Verification
+ *
+ * Recovers the signer of an EIP-712 signature, either from a typed-data
+ * payload or from a raw 32-byte digest, and compares it with an optional
+ * expected address.
+ *
+ * Smart-contract wallets (Safe and other smart accounts) are verified over
+ * JSON-RPC: ERC-1271 `isValidSignature(bytes32,bytes)` on deployed accounts,
+ * and ERC-6492 wrapped signatures for counterfactual accounts through a
+ * deployless eth_call of SignatureMethodValidator.sol.
+ */
+
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+const ERC6492_SUFFIX = '0x6492649264926492649264926492649264926492649264926492649264926492';
+
+// Init code of SignatureMethodValidator.sol (solc 0.8.24, optimizer 200 runs, evmVersion paris).
+// constructor(address signer, bytes32 hash, bytes signature) returns one word indexing VALIDATOR_METHODS.
+const SIGNATURE_VALIDATOR_BYTECODE = '0x608060405234801561001057600080fd5b5060405161054738038061054783398101604081905261002f916103d4565b600061003c848484610048565b90508060005260206000f35b8051600090816020821061005c5750828101515b7f9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6d9b6e810161016857601f19820184526000808061009d8786016020890161042d565b925092509250886001600160a01b03163b600003610140576000836001600160a01b0316836040516100cf9190610499565b6000604051808303816000865af19150503d806000811461010c576040519150601f19603f3d011682016040523d82523d6000602084013e610111565b606091505b5050905080158061012a57506001600160a01b038a163b155b1561013e5760009650505050505050610264565b505b61014b89898361026b565b610156576000610159565b60035b60ff1695505050505050610264565b6001600160a01b0386163b1561019d5761018386868661026b565b61018e576000610191565b60025b60ff1692505050610264565b816041146101b057600092505050610264565b60208401516040850151606086015160001a601b8110156101d9576101d6601b826104b5565b90505b6040805160008152602081018083528a905260ff83169181019190915260608101849052608081018390526001600160a01b038a169060019060a0016020604051602081039080840390855afa158015610237573d6000803e3d6000fd5b505050602060405103516001600160a01b031614610256576000610259565b60015b60ff16955050505050505b9392505050565b604051630b135d3f60e11b81526000906001600160a01b03851690631626ba7e9061029c90869086906004016104e2565b602060405180830381865afa9250505080156102d5575060408051601f3d908101601f191682019092526102d29181019061051c565b60015b6102e157506000610264565b6001600160e01b031916630b135d3f60e11b149050610264565b6001600160a01b038116811461031057600080fd5b50565b634e487b7160e01b600052604160045260246000fd5b60005b8381101561034457818101518382015260200161032c565b50506000910152565b600082601f83011261035e57600080fd5b81516001600160401b038082111561037857610378610313565b604051601f8301601f19908116603f011681019082821181831017156103a0576103a0610313565b816040528381528660208588010111156103b957600080fd5b6103ca846020830160208901610329565b9695505050505050565b6000806000606084860312156103e957600080fd5b83516103f4816102fb565b6020850151604086015191945092506001600160401b0381111561041757600080fd5b6104238682870161034d565b9150509250925092565b60008060006060848603121561044257600080fd5b835161044d816102fb565b60208501519093506001600160401b038082111561046a57600080fd5b6104768783880161034d565b9350604086015191508082111561048c57600080fd5b506104238682870161034d565b600082516104ab818460208701610329565b9190910192915050565b60ff81811683821601908111156104dc57634e487b7160e01b600052601160045260246000fd5b92915050565b8281526040602082015260008251806040840152610507816060850160208701610329565b601f01601f1916919091016060019392505050565b60006020828403121561052e57600080fd5b81516001600160e01b03198116811461026457600080fdfe';
+const VALIDATOR_METHODS = [null, 'ecrecover', 'erc1271', 'erc6492'];
+
+/**
+ * The digest to verify: the given raw digest, or the EIP-712 hash of the payload
+ * @param {Object} params - { digest } or { domain, types, primaryType, message }
+ * @returns {string} 32-byte digest
+ */
+function resolveDigest({ digest = null, domain, types, primaryType = null, message }) {
+    if (digest) {
+        if (!ethers.isHexString(digest, 32)) {
+            throw new Error(`Invalid digest "${digest}": expected 32 bytes of hex`);
+        }
+        return ethers.hexlify(digest);
+    }
+    if (!domain || !types || !message) {
+        throw new Error('Either a digest or a typed-data payload (domain, types, message) is required');
+    }
+    return hashTypedData({ domain, types, primaryType, message });
+}
+
+/**
+ * Recover the signer of a signature and compare it with the expected address
+ * @param {Object} params - Verification parameters
+ * @param {string|Object} params.signature - Signature in any form parseSignature accepts (hex, compact, { r, s, v })
+ * @param {string} params.digest - Raw digest to recover from (skips typed-data hashing)
+ * @param {Object} params.domain - EIP-712 domain (when no digest is given)
+ * @param {Object} params.types - Message types (when no digest is given)
+ * @param {string} params.primaryType - Optional explicit primary type
+ * @param {Object} params.message - Message data (when no digest is given)
+ * @param {string} params.expectedAddress - Optional address the signature should recover to
+ * @returns {Object} { recoveredAddress, digest, expectedAddress, matches }
+ */
+function verify({ signature, digest = null, domain, types, primaryType = null, message, expectedAddress = null }) {
+    if (!signature) {
+        throw new Error('A signature is required');
+    }
+
+    const usedDigest = resolveDigest({ digest, domain, types, primaryType, message });
+    const recoveredAddress = ethers.recoverAddress(usedDigest, parseSignature(signature));
+    const normalizedExpected = expectedAddress ? ethers.getAddress(expectedAddress) : null;
+
+    return {
+        recoveredAddress,
+        digest: usedDigest,
+        expectedAddress: normalizedExpected,
+        matches: normalizedExpected ? recoveredAddress === normalizedExpected : null
+    };
+}
+
+/**
+ * Whether a signature carries the ERC-6492 magic suffix
+ * @param {string} signature - Hex signature
+ * @returns {boolean} True for ERC-6492 wrapped signatures
+ */
+function isErc6492Signature(signature) {
+    return typeof signature === 'string'
+        && ethers.isHexString(signature)
+        && signature.length >= 66
+        && signature.slice(-64).toLowerCase() === ERC6492_SUFFIX.slice(2);
+}
+
+/**
+ * Wrap a signature for a counterfactual account: abi.encode(factory, factoryCalldata, signature) ++ magic suffix
+ * @param {string} factory - Account factory
+ * @param {string} factoryCalldata - Calldata that deploys the account
+ * @param {string} signature - Signature the deployed account validates
+ * @returns {string} ERC-6492 signature
+ */
+function wrapErc6492Signature(factory, factoryCalldata, signature) {
+    const encoded = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes', 'bytes'], [factory, factoryCalldata, signature]);
+    return ethers.concat([encoded, ERC6492_SUFFIX]);
+}
+
+/**
+ * Split an ERC-6492 signature into its parts
+ * @param {string} signature - ERC-6492 signature
+ * @returns {Object} { factory, factoryCalldata, signature }
+ */
+function unwrapErc6492Signature(signature) {
+    if (!isErc6492Signature(signature)) {
+        throw new Error('Not an ERC-6492 signature (missing magic suffix)');
+    }
+    const [factory, factoryCalldata, inner] = ethers.AbiCoder.defaultAbiCoder().decode(['address', 'bytes', 'bytes'], signature.slice(0, -64));
+    return { factory, factoryCalldata, signature: inner };
+}
+
+/**
+ * Verify a signature for an EOA or a smart-contract wallet.
+ * EOA recovery is tried first; otherwise, with an RPC endpoint, the expected address is
+ * checked through ERC-1271 (deployed contract) or ERC-6492 (counterfactual account).
+ * @param {Object} params - verify() parameters plus rpcUrl
+ * @param {string} params.rpcUrl - JSON-RPC endpoint for contract signatures
+ * @returns {Promise<Object>} { recoveredAddress, digest, expectedAddress, matches, method }
+ *                            where method is ecrecover, erc1271, erc6492 or null
+ */
+async function verifySignature({ signature, rpcUrl = null, expectedAddress = null, ...payload }) {
+    if (!signature) {
+        throw new Error('A signature is required');
+    }
+    const digest = resolveDigest(payload);
+    const wrapped = isErc6492Signature(signature);
+
+    let recoveredAddress = null;
+    if (!wrapped) {
+        try {
+            recoveredAddress = ethers.recoverAddress(digest, parseSignature(signature));
+        } catch (error) {
+            // Not an ECDSA signature (e.g. a Safe multi-owner signature)
+        }
+    }
+
+    const expected = expectedAddress ? ethers.getAddress(expectedAddress) : null;
+    const result = { recoveredAddress, digest, expectedAddress: expected, matches: null, method: recoveredAddress ? 'ecrecover' : null };
+    if (!expected) {
+        return result;
+    }
+    if (recoveredAddress === expected) {
+        return { ...result, matches: true, method: 'ecrecover' };
+    }
+    if (!rpcUrl) {
+        return { ...result, matches: false, method: null };
+    }
+
+    const signatureBytes = typeof signature === 'string' && ethers.isHexString(signature)
+        ? signature
+        : parseSignature(signature).serialized;
+
+    if (wrapped) {
+        const args = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32', 'bytes'], [expected, digest, signatureBytes]);
+        const output = await withProvider(rpcUrl, provider => provider.call({ data: ethers.concat([SIGNATURE_VALIDATOR_BYTECODE, args]) }));
+        const method = VALIDATOR_METHODS[Number(BigInt(output))] || null;
+        return { ...result, matches: method !== null, method };
+    }
+
+    const code = await withProvider(rpcUrl, provider => provider.getCode(expected));
+    if (code === '0x') {
+        return { ...result, matches: false, method: null };
+    }
+    let magic = null;
+    try {
+        magic = await callContract(rpcUrl, expected, 'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)', [digest, signatureBytes]);
+    } catch (error) {
+        // Reverting wallets reject the signature
+    }
+    const valid = magic !== null && magic.toLowerCase() === ERC1271_MAGIC_VALUE;
+    return { ...result, matches: valid, method: valid ? 'erc1271' : null };
+}
+
+module.exports = {
+    ERC1271_MAGIC_VALUE,
+    ERC6492_SUFFIX,
+    SIGNATURE_VALIDATOR_BYTECODE,
+    verify,
+    verifySignature,
+    isErc6492Signature,
+    wrapErc6492Signature,
+    unwrapErc6492Signature
+};
@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { ethers } = require('ethers');
+const { breakdownTypedData, printBreakdown } = require('./eip712-breakdown.js');
 
 /**
  * Detailed breakdown of OUR EIP-712 computation
@@ -37,21 +37,6 @@ async function showOurEIP712Breakdown() {
     });
     console.log('');
 
-    // ===========================================
-    // 2. TYPE ENCODING 
-    // ===========================================
-    console.log('2️⃣ **TYPE ENCODING** - Order type hash:');
-    const orderTypeString = 'Order(address sellToken,address buyToken,address receiver,uint256 sellAmount,uint256 buyAmount,uint32 validTo,bytes32 appData,uint256 feeAmount,bytes32 kind,bytes1 partiallyFillable,bytes32 sellTokenBalance,bytes32 buyTokenBalance)';
-    const orderTypeHash = ethers.keccak256(ethers.toUtf8Bytes(orderTypeString));
-    
-    console.log('Type string:', orderTypeString);
-    console.log('Type hash:', orderTypeHash);
-    console.log('');
-
-    // ===========================================
-    // 3. DOMAIN SEPARATOR CONSTRUCTION
-    // ===========================================
-    console.log('3️⃣ **DOMAIN SEPARATOR** construction:');
     const domain = {
         name: "Gnosis Protocol",
         version: "v2",
@@ -59,29 +44,6 @@ async function showOurEIP712Breakdown() {
         verifyingContract: "0x9008D19f58AAbD9eD0D60971565AA8510560ab41"
     };
 
-    const domainTypeString = 'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)';
-    const domainTypeHash = ethers.keccak256(ethers.toUtf8Bytes(domainTypeString));
-    const nameHash = ethers.keccak256(ethers.toUtf8Bytes(domain.name));
-    const versionHash = ethers.keccak256(ethers.toUtf8Bytes(domain.version));
-    
-    console.log('Domain type string:', domainTypeString);
-    console.log('Domain type hash:', domainTypeHash);
-    console.log('Name hash:', nameHash, `(from: "${domain.name}")`);
-    console.log('Version hash:', versionHash, `(from: "${domain.version}")`);
-    console.log('Chain ID:', domain.chainId);
-    console.log('Verifying Contract:', domain.verifyingContract);
-    
-    const domainSeparator = ethers.keccak256(ethers.solidityPacked(
-        ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
-        [domainTypeHash, nameHash, versionHash, domain.chainId, domain.verifyingContract]
-    ));
-    console.log('Domain Separator:', domainSeparator);
-    console.log('');
-
-    // ===========================================
-    // 4. MESSAGE ENCODING FOR BYTES FIELDS
-    // ===========================================
-    console.log('4️⃣ **MESSAGE ENCODING** for bytes fields:');
     const message = {
         sellToken: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
         buyToken: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
@@ -97,65 +59,19 @@ async function showOurEIP712Breakdown() {
         buyTokenBalance: "0x5a28e9363bb942b639270062aa6bb295f434bcdfc42c97267bf003f272060dc9"
     };
 
-    console.log('Message field encoding:');
-    console.log('  sellToken (address):', message.sellToken);
-    console.log('  buyToken (address):', message.buyToken);
-    console.log('  receiver (address):', message.receiver);
-    console.log('  sellAmount (uint256):', message.sellAmount);
-    console.log('  buyAmount (uint256):', message.buyAmount);
-    console.log('  validTo (uint32):', message.validTo);
-    console.log('  appData (bytes32):', message.appData);
-    console.log('  feeAmount (uint256):', message.feeAmount);
-    console.log('  kind (bytes32):', message.kind);
-    console.log('  partiallyFillable (bytes1):', message.partiallyFillable);
-    console.log('  sellTokenBalance (bytes32):', message.sellTokenBalance);
-    console.log('  buyTokenBalance (bytes32):', message.buyTokenBalance);
-    console.log('');
-
     // ===========================================
-    // STRUCT HASH CALCULATION
+    // 2. TYPE ENCODING, DOMAIN SEPARATOR, STRUCT HASH, FINAL HASH
     // ===========================================
-    console.log('📊 **STRUCT HASH** calculation:');
-    console.log('solidityPacked array types:');
-    const packTypes = ['bytes32', 'address', 'address', 'address', 'uint256', 'uint256', 'uint32', 'bytes32', 'uint256', 'bytes32', 'bytes1', 'bytes32', 'bytes32'];
-    const packValues = [
-        orderTypeHash,
-        message.sellToken,
-        message.buyToken,
-        message.receiver,
-        message.sellAmount,
-        message.buyAmount,
-        message.validTo,
-        message.appData,
-        message.feeAmount,
-        message.kind,
-        message.partiallyFillable,
-        message.sellTokenBalance,
-        message.buyTokenBalance
-    ];
-
-    packTypes.forEach((type, index) => {
-        console.log(`  ${index + 1}. ${type}: ${packValues[index]}`);
-    });
-
-    const structHash = ethers.keccak256(ethers.solidityPacked(packTypes, packValues));
-    console.log('Struct Hash:', structHash);
+    console.log('2️⃣ **SPEC BREAKDOWN** (abi.encode words):\n');
+    const breakdown = breakdownTypedData({ domain, types, message, primaryType: 'Order' });
+    printBreakdown(breakdown);
     console.log('');
 
-    // ===========================================
-    // FINAL EIP-712 HASH
-    // ===========================================
-    console.log('🎯 **FINAL EIP-712 HASH**:');
-    const finalHash = ethers.keccak256(ethers.solidityPacked(
-        ['string', 'bytes32', 'bytes32'],
-        ['\x19\x01', domainSeparator, structHash]
-    ));
-    console.log('Final pack: solidityPacked([string, bytes32, bytes32], ["\\x19\\x01", domainSeparator, structHash])');
-    console.log('  "\\x19\\x01"');
-    console.log('  domainSeparator:', domainSeparator);
-    console.log('  structHash:', structHash);
-    console.log('**OUR FINAL HASH:**', finalHash);
-    console.log('');
+    const orderTypeString = breakdown.message.encodeType;
+    const orderTypeHash = breakdown.message.typeHash;
+    const domainSeparator = breakdown.domainSeparator;
+    const structHash = breakdown.structHash;
+    const finalHash = breakdown.digest;
 
     console.log('🆚 **COMPARISON**:');
     console.log('Our Hash:     ', finalHash);
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 
 const { ethers } = require('ethers');
+const { breakdownTypedData } = require('./eip712-breakdown.js');
+const { diagnoseHashMismatch, printDiagnosis } = require('./eip712-diagnose.js');
+const { verifySignature } = require('./eip712-verify.js');
 
 /**
  * Test to recover address from signature and debug mismatch
@@ -62,11 +65,14 @@ async function recoverAddressTest() {
         buyTokenBalance: "0x5a28e9363bb942b639270062aa6bb295f434bcdfc42c97267bf003f272060dc9"
     };
 
+    // Set RPC_URL to also check smart-contract wallets (ERC-1271 / ERC-6492)
     console.log('🔨 Testing Our EIP-712 Recovery:');
     try {
-        const recoveredAddress = ethers.verifyTypedData(domain, types, message, signature);
-        console.log('Our Recovered Address:', recoveredAddress);
-        console.log('Matches Expected:', recoveredAddress.toLowerCase() === expectedAddress.toLowerCase());
+        const verification = await verifySignature({
+            domain, types, message, primaryType: 'Order', signature, expectedAddress, rpcUrl: process.env.RPC_URL || null
+        });
+        console.log('Our Recovered Address:', verification.recoveredAddress);
+        console.log('Matches Expected:', verification.matches, verification.method ? `(${verification.method})` : '');
         console.log('');
     } catch (error) {
         console.log('❌ EIP-712 Recovery Failed:', error.message);
@@ -86,44 +92,7 @@ async function recoverAddressTest() {
     }
 
     console.log('🔨 Computing Our EIP-712 Hash:');
-    // Calculate our EIP-712 hash
-    const domainTypeHash = ethers.keccak256(ethers.toUtf8Bytes(
-        'EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)'
-    ));
-    const nameHash = ethers.keccak256(ethers.toUtf8Bytes(domain.name));
-    const versionHash = ethers.keccak256(ethers.toUtf8Bytes(domain.version));
-    const domainSeparator = ethers.keccak256(ethers.solidityPacked(
-        ['bytes32', 'bytes32', 'bytes32', 'uint256', 'address'],
-        [domainTypeHash, nameHash, versionHash, domain.chainId, domain.verifyingContract]
-    ));
-
-    const orderTypeHash = ethers.keccak256(ethers.toUtf8Bytes(
-        'Order(address sellToken,address buyToken,address receiver,uint256 sellAmount,uint256 buyAmount,uint32 validTo,bytes32 appData,uint256 feeAmount,bytes32 kind,bytes1 partiallyFillable,bytes32 sellTokenBalance,bytes32 buyTokenBalance)'
-    ));
-
-    const structHash = ethers.keccak256(ethers.solidityPacked(
-        ['bytes32', 'address', 'address', 'address', 'uint256', 'uint256', 'uint32', 'bytes32', 'uint256', 'bytes32', 'bytes1', 'bytes32', 'bytes32'],
-        [
-            orderTypeHash,
-            message.sellToken,
-            message.buyToken,
-            message.receiver,
-            message.sellAmount,
-            message.buyAmount,
-            message.validTo,
-            message.appData,
-            message.feeAmount,
-            message.kind,
-            message.partiallyFillable,
-            message.sellTokenBalance,
-            message.buyTokenBalance
-        ]
-    ));
-
-    const ourEIP712Hash = ethers.keccak256(ethers.solidityPacked(
-        ['string', 'bytes32', 'bytes32'],
-        ['\x19\x01', domainSeparator, structHash]
-    ));
+    const ourEIP712Hash = breakdownTypedData({ domain, types, message, primaryType: 'Order' }).digest;
 
     console.log('Our EIP-712 Hash:', ourEIP712Hash);
     console.log('Reported Hash:   ', reportedSigningHash);
@@ -143,11 +112,8 @@ async function recoverAddressTest() {
     console.log('🔍 Analysis:');
     if (ourEIP712Hash.toLowerCase() !== reportedSigningHash.toLowerCase()) {
         console.log('❌ Hash mismatch detected! The CoW Protocol API is computing a different hash than ours.');
-        console.log('   This suggests differences in:');
-        console.log('   - Domain separator construction');
-        console.log('   - Message type encoding');
-        console.log('   - Field ordering or types');
-        console.log('   - Message values encoding');
+        console.log('   Searching encoding variants...\n');
+        printDiagnosis(diagnoseHashMismatch({ domain, types, message, primaryType: 'Order' }, reportedSigningHash));
     } else {
         console.log('✅ Hashes match - the issue might be in signature format or recovery method');
     }
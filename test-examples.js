@@ -7,7 +7,41 @@
  * of the EIP-712 signature generator.
  */
 
-const { EIP712Signer } = require('./eip712-signer.js');
+const { EIP712Signer, verify } = require('./eip712-signer.js');
+const { breakdownTypedData, hashTypedData, typeHash } = require('./eip712-breakdown.js');
+const { diagnoseHashMismatch } = require('./eip712-diagnose.js');
+const { parseTypedDataDocument } = require('./eip712-input.js');
+const { validateTypedData } = require('./eip712-validate.js');
+const { buildDomain, fetchDomainFromContract } = require('./eip712-domain.js');
+const { PresetRegistry, createDefaultRegistry } = require('./eip712-presets.js');
+const { GPV2_ORDER_TYPES, ORDER_KIND } = require('./eip712-cow.js');
+const { unorderedNonce, splitUnorderedNonce } = require('./eip712-permit2.js');
+const { PERMIT_STYLES } = require('./eip712-permit-styles.js');
+const { formatSignature, parseSignature } = require('./eip712-signature-format.js');
+const { parseBatchRows, signBatch } = require('./eip712-batch.js');
+const { startSigningServer } = require('./eip712-server.js');
+const { loadVectors, checkVector, runVectors } = require('./eip712-vectors.js');
+const { parseDuration, parseDeadline } = require('./eip712-deadline.js');
+const { NonceStore, parseNonce, resolveNonce, claimNonce } = require('./eip712-nonces.js');
+const { runWizard } = require('./eip712-interactive.js');
+const { AddressBook, createDefaultAddressBook } = require('./eip712-address-book.js');
+const { renderPreview, lintTypedData } = require('./eip712-preview.js');
+const { generateSolidity, readCodegenInput } = require('./eip712-codegen.js');
+const { parseTypeDefinition } = require('./eip712-type-parser.js');
+const { diffTypedData } = require('./eip712-diff.js');
+const { MOCK_PRIVATE_KEY, JsonRpcBackend, CommandBackend, MockBackend } = require('./eip712-backends.js');
+const {
+    ERC1271_MAGIC_VALUE,
+    SIGNATURE_VALIDATOR_BYTECODE,
+    verifySignature,
+    wrapErc6492Signature,
+    unwrapErc6492Signature
+} = require('./eip712-verify.js');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
 const { ethers } = require('ethers');
 
 // Generate a test private key (DO NOT use in production)
@@ -16,9 +50,44 @@ const TEST_PRIVATE_KEY = testWallet.privateKey;
 
 console.log('🧪 Testing EIP-712 Signer');
 console.log('📝 Test wallet address:', testWallet.address);
-console.log('🔑 Test private key:', TEST_PRIVATE_KEY);
 console.log('');
 
+/**
+ * Start a local JSON-RPC server that answers eth_chainId and eth_getCode and routes eth_call by selector
+ * @param {Object} calls - Map of 4-byte selector => (data) => hex result
+ * @param {Object} code - Map of lowercase address => deployed code (default: none)
+ * @returns {Promise<Object>} { url, close }
+ */
+function startMockRpc(calls, code = {}) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            const answer = ({ id, method, params }) => {
+                if (method === 'eth_chainId') {
+                    return { jsonrpc: '2.0', id, result: '0x1' };
+                }
+                if (method === 'eth_getCode') {
+                    return { jsonrpc: '2.0', id, result: code[params[0].toLowerCase()] || '0x' };
+                }
+                const handler = method === 'eth_call' && calls[params[0].data.slice(0, 10)];
+                return handler
+                    ? { jsonrpc: '2.0', id, result: handler(params[0].data) }
+                    : { jsonrpc: '2.0', id, error: { code: -32000, message: 'execution reverted' } };
+            };
+            res.setHeader('content-type', 'application/json');
+            res.end(JSON.stringify(Array.isArray(request) ? request.map(answer) : answer(request)));
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => server.close()
+        }));
+    });
+}
+
 async function runTests() {
     const signer = new EIP712Signer(TEST_PRIVATE_KEY);
 
@@ -34,7 +103,7 @@ async function runTests() {
         const permitResult = await signer.signPermit({
             tokenName: 'Test Token',
             chainId: 1,
-            verifyingContract: ethers.getAddress('0xA0b86a33E6441e3a8b06dd2BC5BF6ef5C0aA2CB0'),
+            verifyingContract: ethers.getAddress('0xa0B86A33E6441e3a8B06DD2BC5BF6ef5c0AA2CB0'),
             spender: ethers.getAddress('0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D'),
             value: '1000000000000000000', // 1 ETH
             nonce: 0
@@ -54,7 +123,7 @@ async function runTests() {
             name: 'TestDApp',
             version: '1',
             chainId: 1,
-            verifyingContract: ethers.getAddress('0x742d35Cc6634C0532925a3b8D3Ac6532495dCe66')
+            verifyingContract: ethers.getAddress('0x742d35cc6634c0532925A3b8D3Ac6532495dCe66')
         };
 
         const types = {
@@ -108,6 +177,7 @@ async function runTests() {
         console.log('   📝 Message includes deadline:', deadlineResult.messageWithDeadline.deadline === deadlineResult.deadline);
         console.log('   ⏰ Generated deadline:', new Date(deadlineResult.deadline * 1000).toISOString());
         console.log('   🔍 Recovered address matches:', deadlineResult.recoveredAddress === testWallet.address);
+        console.log('   🔍 Deadline injection reported:', deadlineResult.diagnostics.some(d => d.code === 'deadline-injected' && d.details.generated));
     } catch (error) {
         console.log('   ❌ Deadline message test failed:', error.message);
     }
@@ -153,17 +223,1231 @@ async function runTests() {
     }
     console.log('');
 
+    console.log('6️⃣ Testing hash breakdown against the EIP-712 Mail example...');
+    try {
+        const breakdown = breakdownTypedData({
+            domain: {
+                name: 'Ether Mail',
+                version: '1',
+                chainId: 1,
+                verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+            },
+            types: {
+                Person: [
+                    { name: 'name', type: 'string' },
+                    { name: 'wallet', type: 'address' }
+                ],
+                Mail: [
+                    { name: 'from', type: 'Person' },
+                    { name: 'to', type: 'Person' },
+                    { name: 'contents', type: 'string' }
+                ]
+            },
+            message: {
+                from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+                to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+                contents: 'Hello, Bob!'
+            }
+        });
+        console.log('   🔍 encodeType matches:', breakdown.message.encodeType === 'Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+        console.log('   🔍 Domain separator matches:', breakdown.domainSeparator === '0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f');
+        console.log('   🔍 Struct hash matches:', breakdown.structHash === '0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+        console.log('   🔍 Digest matches:', breakdown.digest === '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+        console.log('   🔍 ethers cross-check matches:', breakdown.crossCheck.matches);
+    } catch (error) {
+        console.log('   ❌ Breakdown test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('7️⃣ Testing verify() API...');
+    try {
+        const domain = { name: 'VerifyTest', version: '1', chainId: 1 };
+        const types = { Ping: [{ name: 'id', type: 'uint256' }] };
+        const result = await signer.signTypedData(domain, types, { id: 7 });
+
+        const fromPayload = verify({ signature: result.signature, domain, types, message: result.messageWithDeadline, expectedAddress: testWallet.address });
+        const fromDigest = verify({ signature: result.signature, digest: fromPayload.digest });
+        const wrongSigner = verify({ signature: result.signature, digest: fromPayload.digest, expectedAddress: ethers.ZeroAddress });
+
+        console.log('   🔍 Payload verification matches:', fromPayload.matches === true);
+        console.log('   🔍 Digest recovery matches:', fromDigest.recoveredAddress === testWallet.address);
+        console.log('   🔍 Wrong expected address rejected:', wrongSigner.matches === false);
+    } catch (error) {
+        console.log('   ❌ Verify test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('8️⃣ Testing hash-mismatch diagnoser...');
+    try {
+        const domain = { name: 'DiagnoseTest', version: '1', chainId: 1 };
+        const types = {
+            Order: [
+                { name: 'amount', type: 'uint256' },
+                { name: 'kind', type: 'bytes32' },
+                { name: 'partiallyFillable', type: 'bytes1' }
+            ]
+        };
+        const message = { amount: '100', kind: ethers.id('sell'), partiallyFillable: '0x00' };
+
+        // The "external" side uses string/bool and another chain
+        const externalDigest = hashTypedData({
+            domain: { ...domain, chainId: 100 },
+            types: { Order: [types.Order[0], { name: 'kind', type: 'string' }, types.Order[2]] },
+            message: { ...message, kind: 'sell' }
+        });
+
+        const diagnosis = diagnoseHashMismatch({ domain, types, message }, externalDigest);
+        const changes = diagnosis.matched ? diagnosis.matches[0].changes : [];
+        console.log('   🔍 Variant found:', diagnosis.matched);
+        console.log('   🔍 Names chainId change:', changes.includes('domain chainId 1 → 100'));
+        console.log('   🔍 Names kind change:', changes.includes('Order.kind: bytes32 → string "sell"'));
+
+        const bigintPayload = { domain: { name: 'DiagnoseTest', chainId: 1n }, types: { Vote: [{ name: 'proposal', type: 'uint256' }] }, message: { proposal: 7n } };
+        const bigintDiagnosis = diagnoseHashMismatch(bigintPayload, hashTypedData({ ...bigintPayload, domain: { name: 'DiagnoseTest', chainId: 5n } }));
+        console.log('   🔍 Bigint values diagnosed:', bigintDiagnosis.matched && bigintDiagnosis.matches[0].changes.includes('domain chainId 1 → 5'));
+        try {
+            diagnoseHashMismatch({ ...bigintPayload, message: { proposal: 'notanumber' } }, externalDigest);
+            console.log('   🔍 Unencodable payload names the field:', false);
+        } catch (error) {
+            console.log('   🔍 Unencodable payload names the field:', error.message.includes('message.proposal'));
+        }
+    } catch (error) {
+        console.log('   ❌ Diagnoser test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('9️⃣ Testing eth_signTypedData_v4 document signing...');
+    try {
+        // Declared EIP712Domain omits "version" and an unused type is present, as MetaMask allows
+        const document = parseTypedDataDocument({
+            types: {
+                EIP712Domain: [
+                    { name: 'name', type: 'string' },
+                    { name: 'chainId', type: 'uint256' }
+                ],
+                Unused: [{ name: 'x', type: 'uint8' }],
+                Person: [
+                    { name: 'name', type: 'string' },
+                    { name: 'wallet', type: 'address' }
+                ],
+                Mail: [
+                    { name: 'from', type: 'Person' },
+                    { name: 'to', type: 'Person' },
+                    { name: 'contents', type: 'string' }
+                ]
+            },
+            primaryType: 'Mail',
+            domain: { name: 'Ether Mail', version: '1', chainId: 1 },
+            message: {
+                from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+                to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+                contents: 'Hello, Bob!'
+            }
+        });
+
+        // Signature produced by @metamask/eth-sig-util signTypedData V4 for the same key and document
+        const fixedSigner = new EIP712Signer('0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318');
+        const result = await fixedSigner.signTypedData(document.domain, document.types, document.message, null, document.primaryType);
+        console.log('   🔍 Primary type kept:', result.primaryType === 'Mail');
+        console.log('   🔍 Signature matches MetaMask:', result.signature === '0xc877f78dc254e1c69a1d67b8a6c4fa1f98c75d009cd5f294ba3fe3e627304f5300865827bba2e709ca2376da1e7ddbdb925c63c2a27f2a8be0dac61250cfb91a1b');
+    } catch (error) {
+        console.log('   ❌ v4 document test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('🔟 Testing recursive schema validation...');
+    try {
+        const domain = { name: 'ValidateTest', version: '1', chainId: 1 };
+        const types = {
+            Batch: [{ name: 'orders', type: 'Order[]' }],
+            Order: [
+                { name: 'validTo', type: 'uint32' },
+                { name: 'kind', type: 'bytes32' }
+            ]
+        };
+        const message = {
+            orders: [
+                { validTo: 1, kind: ethers.id('sell') },
+                { validTo: 4294967296, kind: 'sell', extra: true },
+                { kind: ethers.id('buy') }
+            ]
+        };
+
+        const validation = validateTypedData({ domain, types, message });
+        const paths = validation.errors.map(error => error.path);
+        console.log('   🔍 uint32 overflow reported:', paths.includes('message.orders[1].validTo'));
+        console.log('   🔍 String for bytes32 reported:', paths.includes('message.orders[1].kind'));
+        console.log('   🔍 Extra field reported:', paths.includes('message.orders[1].extra'));
+        console.log('   🔍 Missing field reported:', paths.includes('message.orders[2].validTo'));
+
+        let refused = false;
+        try {
+            await signer.signTypedData(domain, types, message);
+        } catch (error) {
+            refused = error.message.includes('failed validation');
+        }
+        console.log('   🔍 Signing refused on errors:', refused);
+    } catch (error) {
+        console.log('   ❌ Validation test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣1️⃣ Testing EIP712Domain subsets, salt and EIP-5267 discovery...');
+    try {
+        const salt = ethers.id('salt');
+        const partial = buildDomain({ name: 'NoVersion', chainId: '137', salt });
+        console.log('   🔍 Only given fields kept:', JSON.stringify(Object.keys(partial)) === '["name","chainId","salt"]');
+
+        const eip5267 = new ethers.Interface(['function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)']);
+        const rpc = await startMockRpc({
+            [eip5267.getFunction('eip712Domain').selector]: () => eip5267.encodeFunctionResult('eip712Domain', [
+                '0x1d', 'Salty', 'unused', 1, '0x9008D19f58AAbD9eD0D60971565AA8510560ab41', salt, []
+            ])
+        });
+        try {
+            const domain = await fetchDomainFromContract('0x9008D19f58AAbD9eD0D60971565AA8510560ab41', rpc.url);
+            console.log('   🔍 Version left out per fields bitmap:', domain.version === undefined);
+            console.log('   🔍 Salt discovered:', domain.salt === salt);
+
+            const result = await signer.signTypedData(domain, { Ping: [{ name: 'id', type: 'uint256' }] }, { id: 1 });
+            const expected = ethers.TypedDataEncoder.hash(domain, { Ping: [{ name: 'id', type: 'uint256' }] }, { id: 1 });
+            console.log('   🔍 Salted digest matches ethers:', result.digest === expected);
+        } finally {
+            rpc.close();
+        }
+    } catch (error) {
+        console.log('   ❌ Domain test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣2️⃣ Testing preset registry...');
+    try {
+        const presetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eip712-presets-'));
+        fs.writeFileSync(path.join(presetDir, 'team.json'), JSON.stringify({
+            name: 'team-order',
+            description: 'Team order',
+            primaryType: 'Order',
+            types: {
+                Order: [
+                    { name: 'maker', type: 'address' },
+                    { name: 'side', type: 'bytes32' },
+                    { name: 'amount', type: 'uint256' },
+                    { name: 'expiry', type: 'uint32' }
+                ]
+            },
+            domain: { name: 'Team', version: '1', chainId: 1 },
+            coercions: { side: 'keccak256' },
+            deadlineField: 'expiry',
+            signerField: 'maker'
+        }));
+
+        const registry = createDefaultRegistry().load(presetDir);
+        fs.rmSync(presetDir, { recursive: true });
+        console.log('   🔍 Built-in and user presets listed:', registry.list().map(preset => preset.name).join(',') === 'erc20-permit,aave-delegation,cow-order,team-order');
+
+        const result = await signer.signPreset(registry.get('team-order'), { fields: { side: 'sell', amount: '5' } });
+        console.log('   🔍 Coercion applied:', result.messageWithDeadline.side === ethers.id('sell'));
+        console.log('   🔍 Deadline mapped to expiry:', result.messageWithDeadline.expiry === result.deadline);
+        console.log('   🔍 Signer field filled:', result.messageWithDeadline.maker === testWallet.address);
+
+        let rejected = false;
+        try {
+            new PresetRegistry().register({ name: 'broken', types: {} });
+        } catch (error) {
+            rejected = true;
+        }
+        console.log('   🔍 Invalid preset rejected:', rejected);
+    } catch (error) {
+        console.log('   ❌ Preset test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣3️⃣ Testing CoW Protocol order signing...');
+    try {
+        const order = {
+            sellToken: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+            buyToken: '0xdAC17F958D2ee523a2206206994597C13D831ec7',
+            sellAmount: '9077413',
+            buyAmount: '9061733',
+            validTo: 1758213165,
+            kind: 'Sell'
+        };
+        const eip712Result = await signer.signCowOrder(order, { chainId: 1 });
+        const ethsignResult = await signer.signCowOrder(order, { chainId: 1, signingScheme: 'ethsign' });
+        const kindWord = breakdownTypedData({
+            domain: { chainId: 1 },
+            types: GPV2_ORDER_TYPES,
+            primaryType: 'Order',
+            message: eip712Result.messageWithDeadline
+        }).message.fields.find(field => field.name === 'kind').encoded;
+
+        // GPv2Order.TYPE_HASH from the settlement contract
+        console.log('   🔍 Canonical Order typeHash:', typeHash('Order', GPV2_ORDER_TYPES) === '0xd5a25ba2e97094ad7d83dc28a6572da797d6b3e7fc6663bd93efb789fc17e489');
+        console.log('   🔍 kind word equals KIND_SELL:', kindWord === ORDER_KIND.sell);
+        console.log('   🔍 orderUid is digest + owner + validTo:', eip712Result.orderUid === ethers.solidityPacked(['bytes32', 'address', 'uint32'], [eip712Result.digest, testWallet.address, 1758213165]));
+        console.log('   🔍 ethsign recovers owner:', ethsignResult.recoveredAddress === testWallet.address && ethsignResult.apiPayload.signingScheme === 'ethsign');
+    } catch (error) {
+        console.log('   ❌ CoW order test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣4️⃣ Testing Permit2 signatures...');
+    try {
+        const usdc = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const router = '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD';
+        const witnessParams = {
+            permitted: { token: usdc, amount: '1000000' },
+            spender: router,
+            nonce: '5',
+            deadline: 1800000000,
+            witness: { user: router }
+        };
+
+        // Expected digests computed with @uniswap/permit2-sdk
+        const single = await signer.signPermit2Single({
+            token: usdc, amount: '1000000', expiration: 1900000000, nonce: 0, spender: router, sigDeadline: 1800000000
+        });
+        const byTypes = await signer.signPermitWitnessTransferFrom({
+            ...witnessParams,
+            witnessType: 'ExampleWitness',
+            witnessTypes: { ExampleWitness: [{ name: 'user', type: 'address' }] }
+        });
+        const byString = await signer.signPermitWitnessTransferFrom({
+            ...witnessParams,
+            witnessTypeString: 'ExampleWitness witness)ExampleWitness(address user)TokenPermissions(address token,uint256 amount)'
+        });
+        console.log('   🔍 PermitSingle digest matches permit2-sdk:', single.digest === '0x4260c6fe5d0aef5b6895d89ad9528855e4198e0153ee9f7960cf0db5d5054882');
+        console.log('   🔍 Witness digest matches permit2-sdk:', byTypes.digest === '0x2110679ac1edfaff4f26755a476b59aa18ef6b718e718c52eb5fca4dc2a650b2');
+        console.log('   🔍 witnessTypeString gives the same digest:', byString.digest === byTypes.digest);
+
+        const nonce = unorderedNonce(3, 7);
+        console.log('   🔍 Unordered nonce round-trips:', nonce === '775' && splitUnorderedNonce(nonce).bitPos === 7);
+
+        const batch = await signer.signPermitTransferFrom({
+            permitted: [{ token: usdc, amount: '1' }, { token: router, amount: '2' }],
+            spender: router
+        });
+        console.log('   🔍 Array permissions sign a PermitBatchTransferFrom:', batch.primaryType === 'PermitBatchTransferFrom');
+
+        const rpc = await startMockRpc({
+            [ethers.id('allowance(address,address,address)').slice(0, 10)]: () =>
+                ethers.AbiCoder.defaultAbiCoder().encode(['uint160', 'uint48', 'uint48'], [0, 0, 4])
+        });
+        try {
+            const fetched = await signer.signPermit2Single({ token: usdc, amount: '1', spender: router, rpcUrl: rpc.url });
+            console.log('   🔍 Allowance nonce read from Permit2:', fetched.messageWithDeadline.details.nonce === '4');
+        } finally {
+            rpc.close();
+        }
+
+        try {
+            await signer.signPermit2Single({ token: usdc, amount: '1', nonce: 2n ** 48n, spender: router });
+            console.log('   ❌ uint48 nonce overflow was accepted');
+        } catch (error) {
+            console.log('   ✅ uint48 nonce overflow rejected');
+        }
+        try {
+            await signer.signPermitWitnessTransferFrom({
+                ...witnessParams,
+                witnessTypeString: 'ExampleWitness witness)TokenPermissions(address token,uint256 amount)ExampleWitness(address user)'
+            });
+            console.log('   ❌ Non-canonical witnessTypeString was accepted');
+        } catch (error) {
+            console.log('   ✅ Non-canonical witnessTypeString rejected');
+        }
+    } catch (error) {
+        console.log('   ❌ Permit2 test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣5️⃣ Testing permit styles...');
+    try {
+        const dai = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+        const daiResult = await signer.signPermit({
+            chainId: 1,
+            verifyingContract: dai,
+            spender: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+            nonce: 0,
+            deadline: 1800000000
+        });
+        const daiBreakdown = breakdownTypedData({
+            domain: { name: 'Dai Stablecoin', version: '1', chainId: 1, verifyingContract: dai },
+            types: PERMIT_STYLES.dai.types,
+            primaryType: 'Permit',
+            message: daiResult.messageWithDeadline
+        });
+
+        // PERMIT_TYPEHASH and DOMAIN_SEPARATOR of the mainnet DAI contract
+        console.log('   🔍 DAI typeHash matches contract:', typeHash('Permit', PERMIT_STYLES.dai.types) === '0xea2aa0a1be11a07ed86d755c93467f4f82362b452371d1ba94d1715123511acb');
+        console.log('   🔍 DAI auto-detected (domain separator):', daiBreakdown.domainSeparator === '0xdbb8cf42e1ecb028be3f3dbc922e1d878b963f411dc388ced501601c60f7c6f7' && daiBreakdown.digest === daiResult.digest);
+        console.log('   🔍 Deadline injected into expiry:', daiResult.messageWithDeadline.expiry === 1800000000 && daiResult.messageWithDeadline.allowed === true);
+
+        const nftResult = await signer.signPermit({
+            style: 'eip4494-nft',
+            tokenName: 'Test NFT',
+            chainId: 1,
+            verifyingContract: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+            spender: testWallet.address,
+            tokenId: 42,
+            nonce: 0
+        });
+        console.log('   🔍 EIP-4494 permit has tokenId and no owner:', nftResult.messageWithDeadline.tokenId === '42' && !('owner' in nftResult.messageWithDeadline));
+    } catch (error) {
+        console.log('   ❌ Permit style test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣6️⃣ Testing key sources...');
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'eip712-keys-'));
+    try {
+        const keystorePath = path.join(keyDir, 'keystore.json');
+        const passwordPath = path.join(keyDir, 'password.txt');
+        const keyPath = path.join(keyDir, 'key.txt');
+        const mnemonicPath = path.join(keyDir, 'mnemonic.txt');
+        // Cheap scrypt parameters keep the test fast; real keystores use the defaults
+        fs.writeFileSync(keystorePath, ethers.encryptKeystoreJsonSync(
+            { address: testWallet.address, privateKey: TEST_PRIVATE_KEY },
+            'correct horse',
+            { scrypt: { N: 1024 } }
+        ));
+        fs.writeFileSync(passwordPath, 'correct horse\n');
+        fs.writeFileSync(keyPath, `${TEST_PRIVATE_KEY}\n`);
+        fs.writeFileSync(mnemonicPath, 'test test test test test test test test test test test junk\n');
+
+        const fromKeystore = await EIP712Signer.fromKeySource({ keystore: keystorePath, passwordFile: passwordPath });
+        const fromPrompt = await EIP712Signer.fromKeySource({ keystore: keystorePath }, { prompt: async () => 'correct horse' });
+        const fromMnemonic = await EIP712Signer.fromKeySource({ mnemonicFile: mnemonicPath, accountIndex: 1 });
+        process.env.EIP712_TEST_KEY = TEST_PRIVATE_KEY;
+        const fromEnv = await EIP712Signer.fromKeySource({ keyEnv: 'EIP712_TEST_KEY' });
+        delete process.env.EIP712_TEST_KEY;
+        const fromFile = await EIP712Signer.fromKeySource({ keyFile: keyPath });
+
+        console.log('   🔍 Keystore with password file:', fromKeystore.wallet.address === testWallet.address);
+        console.log('   🔍 Keystore with prompted password:', fromPrompt.wallet.address === testWallet.address);
+        // Well-known Hardhat/Anvil mnemonic, account 1
+        console.log('   🔍 Mnemonic account index 1:', fromMnemonic.wallet.address === '0x70997970C51812dc3A010C7d01b50e0d17dc79C8');
+        console.log('   🔍 Env var and key file:', fromEnv.wallet.address === testWallet.address && fromFile.wallet.address === testWallet.address);
+
+        try {
+            await EIP712Signer.fromKeySource({ keystore: keystorePath }, { prompt: async () => 'wrong' });
+            console.log('   ❌ Wrong keystore password was accepted');
+        } catch (error) {
+            console.log('   ✅ Wrong keystore password rejected');
+        }
+    } catch (error) {
+        console.log('   ❌ Key source test failed:', error.message);
+    } finally {
+        fs.rmSync(keyDir, { recursive: true, force: true });
+    }
+    console.log('');
+
+    console.log('1️⃣7️⃣ Testing signature formats...');
+    try {
+        // EIP-2098 test vector with v = 28
+        const r = '0x9328da16089fcba9bececa81663203989f2df5fe1faa6291a45381c81bd17f76';
+        const sVal = '0x139c6d6b623b42da56557e5e734a43dc83345ddfadec52cbe24d0cc64f550793';
+        const hex = ethers.concat([r, sVal, '0x1c']);
+        const compact = formatSignature(hex, 'compact');
+        console.log('   🔍 EIP-2098 compact form:', compact === ethers.concat([r, '0x939c6d6b623b42da56557e5e734a43dc83345ddfadec52cbe24d0cc64f550793']));
+        console.log('   🔍 v as 0/1:', formatSignature(hex, 'rsv', { vBase: 0 }).v === 1 && formatSignature(hex, 'hex', { vBase: 0 }).endsWith('01'));
+        console.log('   🔍 Every form parses back to the same signature:', [compact, formatSignature(hex, 'hex', { vBase: 0 }), formatSignature(hex, 'rsv'), JSON.stringify(formatSignature(hex, 'json'))]
+            .every(form => parseSignature(form).serialized === hex));
+
+        const signed = await signer.signTypedData({ name: 'Formats' }, { Message: [{ name: 'content', type: 'string' }] }, { content: 'Hi' });
+        const recovered = verify({ signature: formatSignature(signed.signature, 'rsv', { vBase: 0 }), digest: signed.digest });
+        console.log('   🔍 verify() accepts { r, s, v } with v = 0/1:', recovered.recoveredAddress === testWallet.address);
+    } catch (error) {
+        console.log('   ❌ Signature format test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣8️⃣ Testing batch signing...');
+    try {
+        const token = '0x1111111111111111111111111111111111111111';
+        const spender = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+        const mailDocument = {
+            types: { Mail: [{ name: 'contents', type: 'string' }] },
+            primaryType: 'Mail',
+            domain: { name: 'Batch', chainId: 1 },
+            message: { contents: 'hello' }
+        };
+        const rows = parseBatchRows([
+            JSON.stringify({ token, name: 'Token', spender, value: '1', deadline: 1800000000 }),
+            '{ not json',
+            JSON.stringify({ token, name: 'Token', spender, deadline: 1800000000 }),
+            JSON.stringify({ token, name: 'Token', spender, value: '2', deadline: 1800000000 }),
+            JSON.stringify(mailDocument)
+        ].join('\n'));
+        const csvRows = parseBatchRows('token,spender,value,name\n0x1111111111111111111111111111111111111111,' + spender + ',5,"Token, Inc"\n', 'csv');
+
+        const batch = await signBatch(signer, rows);
+        const [first, badJson, missingValue, second, mail] = batch.results;
+        console.log('   🔍 Bad rows reported, others signed:', batch.signed === 3 && !badJson.ok && badJson.line === 2 && !missingValue.ok);
+        console.log('   🔍 Blank nonces auto-increment per token/owner:', first.nonce === '0' && second.nonce === '1');
+        console.log('   🔍 Document row digest:', mail.ok && mail.digest === hashTypedData(mailDocument));
+        console.log('   🔍 Quoted CSV cells:', csvRows[0].data.name === 'Token, Inc' && csvRows[0].line === 2);
+        const multiline = parseBatchRows('a,b,c\na,"x\ny",b\nd,e\n', 'csv');
+        console.log('   🔍 CSV rows after multi-line cells keep their line:', multiline[0].line === 2 && multiline[1].line === 4 && multiline[1].error === 'expected 3 columns, got 2');
+    } catch (error) {
+        console.log('   ❌ Batch signing test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('1️⃣9️⃣ Testing local JSON-RPC signing endpoint...');
+    try {
+        const entries = [];
+        const endpoint = await startSigningServer(signer, {
+            port: 0,
+            approve: async preview => !preview.summary.includes('reject me'),
+            log: entry => entries.push(entry)
+        });
+        const rpc = async (method, params) => {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+            });
+            return response.json();
+        };
+        try {
+            const document = {
+                types: {
+                    EIP712Domain: [{ name: 'name', type: 'string' }],
+                    Mail: [{ name: 'contents', type: 'string' }, { name: 'tags', type: 'string[]' }]
+                },
+                primaryType: 'Mail',
+                domain: { name: 'Server' },
+                message: { contents: 'hello', tags: ['a'] }
+            };
+            const accounts = await rpc('eth_accounts');
+            const v4 = await rpc('eth_signTypedData_v4', [testWallet.address, JSON.stringify(document)]);
+            const v3 = await rpc('eth_signTypedData_v3', [testWallet.address, document]);
+            const personal = await rpc('personal_sign', ['0x68656c6c6f', testWallet.address]);
+            const rejected = await rpc('personal_sign', ['reject me', testWallet.address]);
+            const wrongAccount = await rpc('eth_signTypedData_v4', [ethers.ZeroAddress, document]);
+            const extraField = await rpc('eth_signTypedData_v4', [testWallet.address, { ...document, message: { ...document.message, note: 'ignored' } }]);
+            const invalid = await rpc('eth_signTypedData_v4', [testWallet.address, { ...document, message: { ...document.message, tags: 'a' } }]);
+
+            console.log('   🔍 eth_accounts:', accounts.result[0] === testWallet.address);
+            console.log('   🔍 eth_signTypedData_v4 recovers signer:', ethers.recoverAddress(hashTypedData(document), v4.result) === testWallet.address);
+            console.log('   🔍 personal_sign recovers signer:', ethers.verifyMessage('hello', personal.result) === testWallet.address);
+            console.log('   🔍 v3 rejects arrays, wrong account and rejection codes:', v3.error.code === -32602 && wrongAccount.error.code === 4100 && rejected.error.code === 4001);
+            console.log('   🔍 Undeclared fields ignored like wallets do:', extraField.result === v4.result);
+            console.log('   🔍 Invalid typed data is invalid params:', invalid.error.code === -32602 && invalid.error.message.includes('failed validation'));
+            console.log('   🔍 Requests and responses logged:', entries.filter(entry => entry.direction === 'request').length === 8 && entries.filter(entry => entry.direction === 'response').length === 8);
+        } finally {
+            await endpoint.close();
+        }
+
+        try {
+            await startSigningServer(signer, { host: '0.0.0.0', port: 0 });
+            console.log('   ❌ Non-loopback host was accepted');
+        } catch (error) {
+            console.log('   ✅ Non-loopback host refused');
+        }
+    } catch (error) {
+        console.log('   ❌ Signing endpoint test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣0️⃣ Testing smart-contract wallet verification...');
+    try {
+        const walletAddress = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+        const factory = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+        const digest = ethers.id('smart account order');
+        const ownerSignature = testWallet.signingKey.sign(digest).serialized;
+        const abi = ethers.AbiCoder.defaultAbiCoder();
+        const rpc = await startMockRpc({
+            // isValidSignature: the mock wallet accepts only signatures over `digest`
+            '0x1626ba7e': data => abi.encode(['bytes4'], [data.includes(digest.slice(2)) ? ERC1271_MAGIC_VALUE : '0xffffffff']),
+            // Deployless ERC-6492 validator: answer "valid via ERC-6492"
+            [SIGNATURE_VALIDATOR_BYTECODE.slice(0, 10)]: () => abi.encode(['uint256'], [3])
+        }, { [walletAddress.toLowerCase()]: '0x6080' });
+        try {
+            const eoa = await verifySignature({ signature: ownerSignature, digest, expectedAddress: testWallet.address });
+            const erc1271 = await verifySignature({ signature: ownerSignature, digest, expectedAddress: walletAddress, rpcUrl: rpc.url });
+            const rejected = await verifySignature({ signature: ownerSignature, digest: ethers.id('other'), expectedAddress: walletAddress, rpcUrl: rpc.url });
+            const wrapped = wrapErc6492Signature(factory, '0x1234', ownerSignature);
+            const erc6492 = await verifySignature({ signature: wrapped, digest, expectedAddress: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0', rpcUrl: rpc.url });
+
+            console.log('   🔍 EOA signature via ecrecover:', eoa.matches && eoa.method === 'ecrecover');
+            console.log('   🔍 Deployed wallet via ERC-1271:', erc1271.matches && erc1271.method === 'erc1271');
+            console.log('   🔍 ERC-1271 rejection reported:', rejected.matches === false && rejected.method === null);
+            console.log('   🔍 Counterfactual wallet via ERC-6492:', erc6492.matches && erc6492.method === 'erc6492');
+            console.log('   🔍 ERC-6492 unwraps:', unwrapErc6492Signature(wrapped).signature === ownerSignature && unwrapErc6492Signature(wrapped).factoryCalldata === '0x1234');
+        } finally {
+            rpc.close();
+        }
+
+        // Run the deployless validator itself rather than a canned answer
+        const { EVM } = require('@ethereumjs/evm');
+        const evm = await EVM.create();
+        const runValidator = async (signerAddress, signature) => {
+            const args = abi.encode(['address', 'bytes32', 'bytes'], [signerAddress, digest, signature]);
+            const { execResult } = await evm.runCall({ data: ethers.getBytes(ethers.concat([SIGNATURE_VALIDATOR_BYTECODE, args])), gasLimit: 10000000n });
+            return execResult.exceptionError ? null : BigInt(ethers.hexlify(execResult.returnValue));
+        };
+        console.log('   🔍 Validator bytecode accepts the signer:', await runValidator(testWallet.address, ownerSignature) === 1n);
+        console.log('   🔍 Validator bytecode rejects another signer:', await runValidator(factory, ownerSignature) === 0n);
+    } catch (error) {
+        console.log('   ❌ Contract wallet verification test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣1️⃣ Testing structured diagnostics and machine-readable CLI output...');
+    try {
+        const types = { Transfer: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+        const unordered = { amount: '5', to: testWallet.address };
+
+        // Signing must not write to stdout on its own
+        const writes = [];
+        const originalWrite = process.stdout.write;
+        process.stdout.write = chunk => writes.push(String(chunk));
+        let silent;
+        try {
+            silent = await signer.signTypedData({ name: 'Diag' }, types, unordered);
+        } finally {
+            process.stdout.write = originalWrite;
+        }
+        const codes = silent.diagnostics.map(d => d.code);
+        console.log('   🔍 Nothing written to stdout:', writes.length === 0);
+        console.log('   🔍 Diagnostics returned:', JSON.stringify(codes) === JSON.stringify(['field-order', 'field-order-mismatch', 'fields-reordered', 'signing-preview']));
+        const mismatch = silent.diagnostics.find(d => d.code === 'field-order-mismatch');
+        console.log('   🔍 Mismatch details structured:', mismatch.level === 'warning' && mismatch.details.comparison[0].typeField === 'to' && mismatch.details.comparison[0].messageField === 'amount');
+        const injected = await signer.signTypedData({ name: 'Diag' }, { Vote: [{ name: 'proposal', type: 'uint256' }, { name: 'deadline', type: 'uint256' }] }, { proposal: '1' });
+        console.log('   🔍 Injected deadline is not a field-order mismatch:', JSON.stringify(injected.diagnostics.map(d => d.code)) === JSON.stringify(['field-order', 'deadline-injected', 'signing-preview']));
+
+        const hooked = [];
+        const warnings = [];
+        const observed = new EIP712Signer(TEST_PRIVATE_KEY, {
+            logger: { debug() {}, info() {}, warn: message => warnings.push(message) },
+            onDiagnostic: diagnostic => hooked.push(diagnostic.code)
+        });
+        await observed.signTypedData({ name: 'Diag' }, types, unordered);
+        console.log('   🔍 Event hook receives every diagnostic:', hooked.length === 4);
+        console.log('   🔍 Logger receives warnings:', warnings.length === 1 && warnings[0].includes('Field order mismatch'));
+
+        const cli = args => spawnSync(process.execPath, [path.join(__dirname, 'eip712-signer.js'), '--key-env', 'EIP712_TEST_KEY', ...args], {
+            env: { ...process.env, EIP712_TEST_KEY: TEST_PRIVATE_KEY },
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        const document = JSON.stringify({ types, message: unordered });
+        const jsonRun = cli(['--domain-name', 'Diag', '--custom-json', document, '--json']);
+        const jsonOutput = JSON.parse(jsonRun.stdout);
+        console.log('   🔍 --json output parses with diagnostics:', jsonOutput.diagnostics.some(d => d.code === 'field-order-mismatch') && jsonRun.stderr === '');
+        const defaultRun = cli(['--domain-name', 'Diag', '--custom-json', document]);
+        console.log('   🔍 Default stdout is pure JSON:', JSON.parse(defaultRun.stdout).signature === jsonOutput.signature && defaultRun.stderr.includes('Field order mismatch'));
+        const quietRun = cli(['--domain-name', 'Diag', '--custom-json', document, '--quiet']);
+        console.log('   🔍 --quiet keeps stderr empty:', quietRun.stderr === '');
+        const verboseRun = cli(['--domain-name', 'Diag', '--custom-json', document, '--verbose']);
+        console.log('   🔍 --verbose prints the field-order report:', verboseRun.stderr.includes('Field Order Check'));
+        const errorRun = cli(['--json']);
+        console.log('   🔍 --json errors are JSON:', errorRun.status === 1 && typeof JSON.parse(errorRun.stdout).error.message === 'string');
+        const command = args => spawnSync(process.execPath, [path.join(__dirname, 'eip712-signer.js'), ...args], { encoding: 'utf8', timeout: 30000 });
+        const breakdownRun = command(['breakdown', '--domain-name', 'Diag', '--custom-json', document, '--json']);
+        const diagnoseRun = command(['diagnose', '--domain-name', 'Diag', '--custom-json', document, '--target-digest', ethers.ZeroHash, '--json']);
+        console.log('   🔍 breakdown and diagnose --json print JSON:', ethers.isHexString(JSON.parse(breakdownRun.stdout).digest, 32)
+            && JSON.parse(diagnoseRun.stdout).matched === false && diagnoseRun.status === 1);
+    } catch (error) {
+        console.log('   ❌ Diagnostics test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣2️⃣ Testing the conformance vector runner...');
+    try {
+        const vectors = loadVectors();
+        const report = await runVectors(vectors, { createSigner: key => new EIP712Signer(key) });
+        console.log('   🔍 Bundled corpus passes:', report.failed === 0 && report.passed === vectors.length);
+        console.log('   🔍 Mail vector is the EIP example:', vectors[0].expected.digest === '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+
+        const tampered = { ...vectors[0], expected: { ...vectors[0].expected, structHash: ethers.ZeroHash } };
+        const result = await checkVector(tampered);
+        const failing = result.checks.filter(entry => !entry.ok).map(entry => entry.field);
+        console.log('   🔍 Tampered vector fails on structHash only:', !result.passed && JSON.stringify(failing) === JSON.stringify(['structHash']));
+
+        const vectorFile = path.join(os.tmpdir(), `eip712-vectors-${process.pid}.json`);
+        fs.writeFileSync(vectorFile, JSON.stringify([tampered]));
+        try {
+            const run = spawnSync(process.execPath, [path.join(__dirname, 'eip712-signer.js'), 'test-vectors', '--vectors', vectorFile], { encoding: 'utf8', timeout: 30000 });
+            console.log('   🔍 test-vectors exits non-zero on mismatch:', run.status === 1 && run.stdout.includes('❌ eip712-mail'));
+        } finally {
+            fs.unlinkSync(vectorFile);
+        }
+    } catch (error) {
+        console.log('   ❌ Conformance vector test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣3️⃣ Testing deadline parsing and deadline-field detection...');
+    try {
+        console.log('   🔍 Durations parse:', parseDuration('1h30m') === 5400 && parseDuration('2d') === 172800 && parseDuration(90) === 90);
+        console.log('   🔍 ISO-8601 and relative deadlines parse:', parseDeadline('2030-01-01T00:00:00Z') === 1893456000 && parseDeadline('15m', { now: 1000 }) === 1900);
+
+        const orderTypes = { Order: [{ name: 'amount', type: 'uint256' }, { name: 'validTo', type: 'uint32' }] };
+        const order = await signer.signTypedData({ name: 'Deadlines' }, orderTypes, { amount: '1' }, '2h');
+        console.log('   🔍 validTo detected and filled:', order.messageWithDeadline.validTo === order.deadline && order.deadline > Date.now() / 1000);
+
+        const kept = await signer.signTypedData({ name: 'Deadlines' }, orderTypes, { amount: '1', validTo: '1900000000' });
+        console.log('   🔍 Message deadline kept without --deadline:', kept.deadline === 1900000000 && kept.messageWithDeadline.validTo === '1900000000');
+
+        let rangeError = null;
+        try {
+            await signer.signTypedData({ name: 'Deadlines' }, orderTypes, { amount: '1' }, 2 ** 32);
+        } catch (error) {
+            rangeError = error.message;
+        }
+        console.log('   🔍 uint32 overflow rejected:', Boolean(rangeError && rangeError.includes('does not fit validTo (uint32')));
+
+        const permitTypes = { Permit: [{ name: 'spender', type: 'address' }, { name: 'expiry', type: 'uint256' }] };
+        const past = await signer.signTypedData({ name: 'Deadlines' }, permitTypes, { spender: testWallet.address }, 1000);
+        const forever = await signer.signTypedData({ name: 'Deadlines' }, permitTypes, { spender: testWallet.address }, ethers.MaxUint256.toString());
+        console.log('   🔍 Past deadline warned:', past.messageWithDeadline.expiry === 1000 && past.diagnostics.some(d => d.code === 'deadline-in-past'));
+        console.log('   🔍 Far-future deadline warned:', forever.messageWithDeadline.expiry === ethers.MaxUint256.toString() && forever.diagnostics.some(d => d.code === 'deadline-far-future'));
+
+        const custom = await signer.signTypedData({ name: 'Deadlines' }, { Auction: [{ name: 'endTime', type: 'uint64' }] }, {}, '1d', null, { deadlineField: 'endTime' });
+        console.log('   🔍 Explicit deadline field used:', custom.messageWithDeadline.endTime === custom.deadline);
+    } catch (error) {
+        console.log('   ❌ Deadline test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣4️⃣ Testing the nonce manager (--nonce auto)...');
+    const nonceStorePath = path.join(os.tmpdir(), `eip712-nonces-${process.pid}.json`);
+    try {
+        const invalid = [undefined, '', 'abc', '-1'].filter(value => {
+            try {
+                parseNonce(value);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        });
+        console.log('   🔍 Missing and invalid nonces rejected:', invalid.length === 4 && parseNonce('0x10') === '16');
+
+        const token = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const store = new NonceStore(nonceStorePath);
+        const permitParams = {
+            tokenName: 'USD Coin',
+            tokenVersion: '2',
+            chainId: 1,
+            verifyingContract: token,
+            spender: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+            value: '1000000',
+            nonce: 'auto',
+            nonceStore: store
+        };
+        const first = await signer.signPermit(permitParams);
+        const second = await signer.signPermit(permitParams);
+        console.log('   🔍 Consecutive auto nonces:', first.messageWithDeadline.nonce === '0' && second.messageWithDeadline.nonce === '1');
+        console.log('   🔍 Reservations persisted:', store.list({ owner: testWallet.address })[0].reservations.length === 2 && store.next({ chainId: 1, verifyingContract: token, owner: testWallet.address }) === '2');
+
+        const nonces = new ethers.Interface([
+            'function nonces(address) view returns (uint256)',
+            'function DOMAIN_SEPARATOR() view returns (bytes32)',
+            'function positions(uint256) view returns (uint96, address, address, address, uint24, int24, int24, uint128, uint256, uint256, uint128, uint128)'
+        ]);
+        const domainSeparator = ethers.TypedDataEncoder.hashDomain({ name: 'USD Coin', version: '2', chainId: 1, verifyingContract: token });
+        let separator = domainSeparator;
+        const rpc = await startMockRpc({
+            [nonces.getFunction('nonces').selector]: () => nonces.encodeFunctionResult('nonces', [7]),
+            [nonces.getFunction('DOMAIN_SEPARATOR').selector]: () => nonces.encodeFunctionResult('DOMAIN_SEPARATOR', [separator]),
+            [nonces.getFunction('positions').selector]: () => nonces.encodeFunctionResult('positions', [3, ethers.ZeroAddress, ethers.ZeroAddress, ethers.ZeroAddress, 0, 0, 0, 0, 0, 0, 0, 0])
+        });
+        try {
+            const resolved = await resolveNonce(store, { chainId: 1, verifyingContract: token, owner: testWallet.address }, { rpcUrl: rpc.url });
+            console.log('   🔍 On-chain nonce wins when ahead of the store:', resolved.nonce === '7' && resolved.source === 'chain');
+
+            const position = await resolveNonce(store, { chainId: 1, verifyingContract: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88', owner: testWallet.address, tokenId: 42 }, { rpcUrl: rpc.url });
+            console.log('   🔍 Uniswap V3 position nonce read from positions():', position.nonce === '3' && position.source === 'chain');
+
+            const onChain = await signer.signPermit({ ...permitParams, rpcUrl: rpc.url });
+            console.log('   🔍 Permit signed with nonces() and matching DOMAIN_SEPARATOR():', onChain.messageWithDeadline.nonce === '7');
+
+            separator = ethers.ZeroHash;
+            let mismatch = null;
+            try {
+                await signer.signPermit({ ...permitParams, rpcUrl: rpc.url });
+            } catch (error) {
+                mismatch = error.message;
+            }
+            console.log('   🔍 DOMAIN_SEPARATOR() mismatch rejected:', Boolean(mismatch && mismatch.includes('DOMAIN_SEPARATOR()')));
+            console.log('   🔍 Unsigned nonce released:', store.next({ chainId: 1, verifyingContract: token, owner: testWallet.address }) === '8');
+        } finally {
+            rpc.close();
+        }
+
+        // Runs sharing the store take turns through its lock file
+        fs.writeFileSync(`${nonceStorePath}.lock`, '');
+        let locked = null;
+        try {
+            new NonceStore(nonceStorePath, { lockTimeout: 100 }).reserve({ chainId: 5, verifyingContract: token, owner: testWallet.address }, 0);
+        } catch (error) {
+            locked = error.message;
+        } finally {
+            fs.rmSync(`${nonceStorePath}.lock`, { force: true });
+        }
+        console.log('   🔍 Held lock blocks other runs:', Boolean(locked && locked.includes('locked by another run')));
+
+        const claimScript = [
+            `const { NonceStore, claimNonce } = require(${JSON.stringify(path.join(__dirname, 'eip712-nonces.js'))});`,
+            `const scope = { chainId: 5, verifyingContract: ${JSON.stringify(token)}, owner: ${JSON.stringify(testWallet.address)} };`,
+            '(async () => {',
+            `    const store = new NonceStore(${JSON.stringify(nonceStorePath)});`,
+            '    const claimed = [];',
+            '    for (let i = 0; i < 10; i++) claimed.push((await claimNonce(store, scope)).nonce);',
+            '    console.log(JSON.stringify(claimed));',
+            '})();'
+        ].join('\n');
+        const claimRun = () => new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, ['-e', claimScript], { stdio: ['ignore', 'pipe', 'inherit'] });
+            let output = '';
+            child.stdout.on('data', chunk => { output += chunk; });
+            child.on('error', reject);
+            child.on('close', () => resolve(output.trim() ? JSON.parse(output) : []));
+        });
+        const claims = (await Promise.all([claimRun(), claimRun()])).flat();
+        const ownClaim = await claimNonce(store, { chainId: 5, verifyingContract: token, owner: testWallet.address });
+        console.log('   🔍 Concurrent runs claim distinct nonces:', claims.length === 20 && new Set(claims).size === 20 && ownClaim.nonce === '20');
+
+        console.log('   🔍 Reset clears the scope:', store.reset({ chainId: 1 }) === 1 && store.reset({ chainId: 5 }) === 1 && store.list().length === 0);
+    } catch (error) {
+        console.log('   ❌ Nonce manager test failed:', error.message);
+    } finally {
+        fs.rmSync(nonceStorePath, { force: true });
+    }
+    console.log('');
+
+    console.log('2️⃣5️⃣ Testing the interactive signing wizard...');
+    const wizardFile = path.join(os.tmpdir(), `eip712-wizard-${process.pid}.json`);
+    const scripted = answers => {
+        const output = [];
+        return {
+            output,
+            ask: async question => {
+                output.push(question);
+                if (answers.length === 0) {
+                    throw new Error(`No answer scripted for "${question}"`);
+                }
+                return answers.shift();
+            },
+            write: line => output.push(line)
+        };
+    };
+    try {
+        const mail = scripted([
+            '', 'Ether Mail', '1', '1', '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC', '',
+            'Mail', 'from', 'Person', 'y', 'to', 'Person', 'contents', 'string', '',
+            'name', 'string', 'wallet', 'adress', 'n', 'address', '',
+            'Cow', '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826',
+            'Bob', 'not-an-address', '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB',
+            'Hello, Bob!', wizardFile
+        ]);
+        const built = await runWizard(mail, { registry: createDefaultRegistry() });
+        console.log('   🔍 EIP-712 Mail digest reproduced:', built.breakdown.digest === '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+        console.log('   🔍 Type string previewed:', mail.output.some(line => line.includes('Mail(Person from,Person to,string contents)Person(string name,address wallet)')));
+        console.log('   🔍 Typo type and bad address re-asked:', mail.output.some(line => line.includes('adress is not a built-in type'))
+            && mail.output.some(line => line.startsWith('   ❌')));
+        const saved = parseTypedDataDocument(JSON.parse(fs.readFileSync(wizardFile, 'utf8')));
+        console.log('   🔍 Saved payload reusable:', hashTypedData(saved) === built.breakdown.digest);
+
+        const permit = scripted([
+            'erc20-permit', 'USD Coin', '2', '1', '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', '',
+            '', '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D', '1000000', '', '2030-01-01T00:00:00Z', '-', 'y'
+        ]);
+        const signed = await runWizard(permit, {
+            registry: createDefaultRegistry(),
+            signerAddress: testWallet.address,
+            sign: ({ domain, types, primaryType, message }) => signer.signTypedData(domain, types, message, null, primaryType)
+        });
+        console.log('   🔍 Preset defaults used and signed as previewed:', signed.typedData.message.owner === testWallet.address
+            && signed.typedData.message.deadline === '1893456000' && signed.result.digest === signed.breakdown.digest && signed.file === null);
+    } catch (error) {
+        console.log('   ❌ Interactive wizard test failed:', error.message);
+    } finally {
+        fs.rmSync(wizardFile, { force: true });
+    }
+    console.log('');
+
+    console.log('2️⃣6️⃣ Testing the signing preview and risk lint...');
+    try {
+        const now = 1700000000;
+        const usdc = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+        const router = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+        const permit = {
+            domain: { name: 'USD Coin', version: '2', chainId: 1, verifyingContract: usdc },
+            types: PERMIT_STYLES.eip2612.types,
+            primaryType: 'Permit',
+            message: { owner: testWallet.address, spender: router, value: '1500000', nonce: '0', deadline: String(now + 7200) }
+        };
+        const book = createDefaultAddressBook();
+        const lines = renderPreview(permit, { addressBook: book, signer: testWallet.address, now });
+        console.log('   🔍 Amount formatted with token decimals:', lines.includes('  value: 1.5 USDC (1500000)'));
+        console.log('   🔍 Known addresses labelled:', lines.includes(`  spender: ${router} (Uniswap V2 Router 02 contract)`) && lines.includes(`  owner: ${testWallet.address} (signer)`));
+        console.log('   🔍 Deadline shown as date and relative time:', lines.includes('  deadline: 1700007200 = 2023-11-15T00:13:20.000Z (in 2 hours)'));
+        console.log('   🔍 Sane permit passes the lint:', lintTypedData(permit, { addressBook: book, expectedChainId: 1, now }).length === 0);
+
+        const risky = {
+            ...permit,
+            domain: { ...permit.domain, chainId: 5 },
+            message: { ...permit.message, spender: '0x1234567890123456789012345678901234567890', value: ethers.MaxUint256.toString(), deadline: String(now + 3 * 365 * 86400) }
+        };
+        const codes = lintTypedData(risky, { addressBook: book, expectedChainId: 1, now }).map(risk => risk.code).sort();
+        console.log('   🔍 Unlimited approval, unknown spender, far deadline and chain flagged:',
+            JSON.stringify(codes) === JSON.stringify(['chain-mismatch', 'deadline-far-future', 'unknown-spender', 'unlimited-approval']));
+
+        const transferTypes = { Transfer: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }] };
+        const burn = lintTypedData({ domain: { name: 'Pay', chainId: 1 }, types: transferTypes, message: { to: ethers.ZeroAddress, amount: '1' } });
+        console.log('   🔍 Zero-address receiver flagged:', burn.length === 1 && burn[0].code === 'zero-address-receiver');
+
+        const custom = new AddressBook().register({ address: '0x1234567890123456789012345678901234567890', label: 'Treasury', kind: 'contract', chainId: 5 });
+        console.log('   🔍 Custom address book entry clears the spender:', !lintTypedData(risky, { addressBook: custom, now }).some(risk => risk.code === 'unknown-spender'));
+
+        const guarded = new EIP712Signer(TEST_PRIVATE_KEY, { blockOnRisk: ['unlimited-approval'] });
+        let blocked = null;
+        try {
+            await guarded.signTypedData(risky.domain, risky.types, risky.message, null, 'Permit');
+        } catch (error) {
+            blocked = error.message;
+        }
+        const forced = await guarded.signTypedData(risky.domain, risky.types, risky.message, null, 'Permit', { force: true });
+        console.log('   🔍 Lint blocks signing unless forced:', Boolean(blocked && blocked.includes('signing blocked by risk lint'))
+            && forced.diagnostics.some(d => d.code === 'risk-forced') && forced.preview[0].startsWith('📜 Permit'));
+
+        const nameOnly = { ...permit, types: { EIP712Domain: [{ name: 'name', type: 'string' }], ...permit.types } };
+        const nameOnlyRisks = lintTypedData(nameOnly, { addressBook: book, expectedChainId: 1, now });
+        let replayable = null;
+        try {
+            await new EIP712Signer(TEST_PRIVATE_KEY, { expectedChainId: 1, blockOnRisk: true }).signTypedData(nameOnly.domain, nameOnly.types, nameOnly.message, null, 'Permit');
+        } catch (error) {
+            replayable = error.message;
+        }
+        console.log('   🔍 Only declared domain fields previewed and linted:', renderPreview(nameOnly, { addressBook: book, now })[0] === '📜 Permit for "USD Coin", any chain'
+            && nameOnlyRisks.some(risk => risk.code === 'chain-mismatch' && risk.details.actual === null)
+            && Boolean(replayable && replayable.includes('domain.chainId: missing')));
+
+        const grant = await signer.signTypedData({ name: 'Grant', chainId: 1 }, { Grant: [{ name: 'who', type: 'address' }, { name: 'until', type: 'uint256' }] },
+            { who: testWallet.address, until: 1000 }, null, null, { deadlineField: 'until' });
+        console.log('   🔍 Custom deadline field linted and shown as a date:', grant.risks.some(risk => risk.code === 'deadline-in-past' && risk.path === 'message.until')
+            && grant.preview.some(line => line.startsWith('  until: 1000 = 1970-01-01T00:16:40.000Z (')));
+
+        const cowOrder = { sellToken: usdc, buyToken: '0xdAC17F958D2ee523a2206206994597C13D831ec7', sellAmount: '1000', buyAmount: '990', validTo: '1h', kind: 'sell' };
+        const chainGuard = new EIP712Signer(TEST_PRIVATE_KEY, { expectedChainId: 5, blockOnRisk: true });
+        const blockedSchemes = [];
+        for (const signingScheme of ['eip712', 'ethsign']) {
+            try {
+                await chainGuard.signCowOrder(cowOrder, { chainId: 1, signingScheme });
+            } catch (error) {
+                if (error.message.includes('signing blocked by risk lint')) {
+                    blockedSchemes.push(signingScheme);
+                }
+            }
+        }
+        const ethsigned = await chainGuard.signCowOrder(cowOrder, { chainId: 1, signingScheme: 'ethsign', force: true });
+        console.log('   🔍 ethsign orders are linted and blocked too:', JSON.stringify(blockedSchemes) === JSON.stringify(['eip712', 'ethsign'])
+            && ethsigned.validation.valid && ethsigned.preview[0].startsWith('📜 Order') && ethsigned.risks.some(risk => risk.code === 'chain-mismatch')
+            && ethsigned.diagnostics.some(d => d.code === 'risk-forced'));
+
+        // batch and serve take the same risk options as the main command
+        const riskArgs = ['--key-env', 'EIP712_TEST_KEY', '--block-on-risk', '--expected-chain-id', '5', '--quiet'];
+        const riskEnv = { ...process.env, EIP712_TEST_KEY: TEST_PRIVATE_KEY };
+        const riskRows = path.join(os.tmpdir(), `eip712-risk-rows-${process.pid}.jsonl`);
+        fs.writeFileSync(riskRows, JSON.stringify({ token: usdc, name: 'USD Coin', spender: router, value: ethers.MaxUint256.toString(), chainId: 1 }) + '\n');
+        try {
+            const batchRun = spawnSync(process.execPath, [path.join(__dirname, 'eip712-signer.js'), 'batch', '--input', riskRows, ...riskArgs], {
+                env: riskEnv,
+                encoding: 'utf8',
+                timeout: 30000
+            });
+            const batchResult = JSON.parse(batchRun.stdout.trim());
+            console.log('   🔍 batch honors --block-on-risk:', batchRun.status === 1 && !batchResult.ok && batchResult.error.includes('signing blocked by risk lint'));
+        } finally {
+            fs.rmSync(riskRows, { force: true });
+        }
+
+        const server = spawn(process.execPath, [path.join(__dirname, 'eip712-signer.js'), 'serve', '--port', '0', ...riskArgs], { env: riskEnv });
+        try {
+            const serverUrl = await new Promise((resolve, reject) => {
+                let output = '';
+                server.stdout.on('data', chunk => {
+                    output += chunk;
+                    const match = output.match(/http:\/\/127\.0\.0\.1:\d+/);
+                    if (match) {
+                        resolve(match[0]);
+                    }
+                });
+                server.once('exit', () => reject(new Error('serve exited early')));
+            });
+            const response = await fetch(serverUrl, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_signTypedData_v4', params: [testWallet.address, permit] })
+            }).then(res => res.json());
+            console.log('   🔍 serve honors --block-on-risk:', Boolean(response.error && response.error.message.includes('signing blocked by risk lint')));
+        } finally {
+            server.kill('SIGINT');
+        }
+    } catch (error) {
+        console.log('   ❌ Preview and risk lint test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣7️⃣ Testing Solidity code generation...');
+    const codegenFile = path.join(os.tmpdir(), `eip712-codegen-${process.pid}.json`);
+    try {
+        const mailTypes = {
+            Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }],
+            Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }]
+        };
+        const mail = generateSolidity({
+            types: mailTypes,
+            domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+            message: {
+                from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+                to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+                contents: 'Hello, Bob!'
+            }
+        });
+        const mailDigest = '0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2';
+        console.log('   🔍 Library named after the primary type:', mail.libraryName === 'MailEIP712' && mail.library.includes('library MailEIP712 {'));
+        console.log('   🔍 TYPEHASH constant from the encodeType string:',
+            mail.library.includes('keccak256("Mail(Person from,Person to,string contents)Person(string name,address wallet)")')
+            && mail.library.includes('bytes32 internal constant PERSON_TYPEHASH'));
+        console.log('   🔍 Nested struct hashed through its own hashStruct:', mail.library.includes('hashStruct(value.from)') && mail.library.includes('keccak256(bytes(value.contents))'));
+        console.log('   🔍 Foundry test pins the EIP-712 example digest:', mail.digest === mailDigest && mail.test.includes(`bytes32(${mailDigest})`) && mail.generated.length === 0);
+
+        fs.writeFileSync(codegenFile, JSON.stringify({
+            Group: [{ name: 'members', type: 'Person[]' }, { name: 'grid', type: 'uint256[][]' }, { name: 'ids', type: 'uint8[]' }, { name: 'type', type: 'string' }],
+            Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }]
+        }));
+        const group = generateSolidity(readCodegenInput(codegenFile), { libraryName: 'Groups' });
+        console.log('   🔍 Arrays of structs and nested arrays get helpers, atomic arrays are packed:',
+            group.library.includes('_hashPersonArray(value.members)') && group.library.includes('_hashUint256ArrayArray(value.grid)')
+            && group.library.includes('keccak256(abi.encodePacked(value.ids))'));
+        console.log('   🔍 Reserved field names renamed, type string kept:', group.library.includes('string type_;') && group.library.includes('string type)'));
+        console.log('   🔍 Unset domain and message fields get sample values:',
+            group.generated.includes('domain.verifyingContract') && group.generated.includes('message.members') && group.test.includes('new Groups.Person[](2)'));
+
+        const order = generateSolidity({ types: { Order: GPV2_ORDER_TYPES.Order }, primaryType: 'Order' });
+        console.log('   🔍 Long structs encoded in chunks:', order.library.includes('return keccak256(bytes.concat('));
+
+        let rejected = null;
+        try {
+            generateSolidity({ types: { A: [{ name: 'x', type: 'Foo' }] } });
+        } catch (error) {
+            rejected = error.message;
+        }
+        console.log('   🔍 Unknown types rejected:', rejected === 'A.x: unknown type "Foo"');
+    } catch (error) {
+        console.log('   ❌ Solidity code generation test failed:', error.message);
+    } finally {
+        fs.rmSync(codegenFile, { force: true });
+    }
+    console.log('');
+
+    console.log('2️⃣8️⃣ Testing type string and Solidity struct parsing...');
+    try {
+        const mailString = 'Mail(Person from,Person to,string contents)Person(string name,address wallet)';
+        const mail = parseTypeDefinition(mailString);
+        console.log('   🔍 encodeType string parsed into types:', mail.primaryType === 'Mail' && mail.types.Person.length === 2
+            && mail.types.Mail[0].name === 'from' && mail.types.Mail[0].type === 'Person');
+        console.log('   🔍 Round trip re-encodes identically:', mail.roundTrip.matches
+            && mail.typeHash === '0xa0cedeb2dc280ba39b857546d74f5549c3a1d7bdc2dd96bf881f76108e23dac2');
+
+        const spaced = parseTypeDefinition('Mail(Person from, Person to,string contents)Person(string name,address wallet)');
+        const unsorted = parseTypeDefinition('Order(Leg a,Fee b)Leg(address token)Fee(uint256 amount)');
+        const extra = parseTypeDefinition(`${mailString}Zed(uint256 a)`);
+        console.log('   🔍 Stray whitespace, unsorted and unreferenced types caught:',
+            !spaced.roundTrip.matches && spaced.roundTrip.encoded === mailString && spaced.roundTrip.reason.startsWith('whitespace')
+            && !unsorted.roundTrip.matches && unsorted.roundTrip.encoded === 'Order(Leg a,Fee b)Fee(uint256 amount)Leg(address token)'
+            && !extra.roundTrip.matches && !extra.types.Zed);
+
+        const orderString = 'Order(address sellToken,address buyToken,address receiver,uint256 sellAmount,uint256 buyAmount,uint32 validTo,bytes32 appData,uint256 feeAmount,string kind,bool partiallyFillable,string sellTokenBalance,string buyTokenBalance)';
+        const order = parseTypeDefinition(orderString);
+        console.log('   🔍 GPv2 Order preimage matches the canonical types:', order.roundTrip.matches
+            && JSON.stringify(order.types.Order) === JSON.stringify(GPV2_ORDER_TYPES.Order));
+
+        const solidity = parseTypeDefinition(`
+            library Orders {
+                // A leg of the swap
+                struct Leg { address token; uint amount; }
+                /* Primary type */
+                struct Swap {
+                    Leg[] legs;
+                    address payable receiver;
+                    bytes32 [2] salts;
+                }
+            }`);
+        console.log('   🔍 Solidity structs parsed, primary type found, aliases canonicalized:', solidity.format === 'solidity'
+            && solidity.primaryType === 'Swap' && Object.keys(solidity.types)[0] === 'Swap'
+            && solidity.encodeType === 'Swap(Leg[] legs,address receiver,bytes32[2] salts)Leg(address token,uint256 amount)');
+
+        let rejected = null;
+        try {
+            parseTypeDefinition('struct Leg { IERC20 token; }');
+        } catch (error) {
+            rejected = error.message;
+        }
+        console.log('   🔍 Unknown member types rejected:', Boolean(rejected && rejected.startsWith('Leg.token: unknown type "IERC20"')));
+    } catch (error) {
+        console.log('   ❌ Type parsing test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('2️⃣9️⃣ Testing the typed-data diff...');
+    try {
+        const ours = {
+            domain: { name: 'Ether Mail', version: '1', chainId: 1, verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC' },
+            types: {
+                Mail: [{ name: 'from', type: 'Person' }, { name: 'to', type: 'Person' }, { name: 'contents', type: 'string' }],
+                Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'address' }]
+            },
+            primaryType: 'Mail',
+            message: {
+                from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+                to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+                contents: 'Hello, Bob!'
+            }
+        };
+        const same = diffTypedData(ours, { ...ours, domain: { ...ours.domain, chainId: '1' } });
+        console.log('   🔍 Equivalent payloads are identical:', same.identical && same.firstDivergence === null && same.fields.every(entry => entry.status === 'same'));
+
+        const otherChain = diffTypedData(ours, { ...ours, domain: { ...ours.domain, chainId: 5 } });
+        console.log('   🔍 Domain field difference diverges at the domain separator:', otherChain.firstDivergence === 'domainSeparator'
+            && otherChain.domain.fields.find(entry => entry.field === 'chainId').status === 'changed' && otherChain.layers.structHash.matches);
+
+        const renamed = {
+            ...ours,
+            types: {
+                Mail: [{ name: 'to', type: 'Person' }, { name: 'from', type: 'Person' }, { name: 'body', type: 'string' }],
+                Person: [{ name: 'name', type: 'string' }, { name: 'wallet', type: 'bytes32' }]
+            },
+            message: { ...ours.message, body: ours.message.contents }
+        };
+        const typeDiff = diffTypedData(ours, renamed);
+        const mailChanges = typeDiff.types.structs.find(struct => struct.name === 'Mail').changes.map(change => change.kind).sort();
+        const personChanges = typeDiff.types.structs.find(struct => struct.name === 'Person').changes;
+        console.log('   🔍 Type string changes: order, names and types:', typeDiff.firstDivergence === 'typeHash'
+            && JSON.stringify(mailChanges) === JSON.stringify(['name', 'order'])
+            && personChanges.length === 1 && personChanges[0].kind === 'type' && personChanges[0].b === 'bytes32');
+
+        const valueDiff = diffTypedData(ours, { ...ours, message: { ...ours.message, to: { ...ours.message.to, name: 'Alice' } } });
+        const changedPaths = valueDiff.fields.filter(entry => entry.status === 'changed').map(entry => entry.path);
+        console.log('   🔍 Diverging words traced into nested structs:', valueDiff.firstDivergence === 'structHash'
+            && JSON.stringify(changedPaths) === JSON.stringify(['message.to', 'message.to.name']));
+
+        const { Person, ...withoutPerson } = ours.types;
+        const missing = diffTypedData(ours, { ...ours, types: withoutPerson });
+        console.log('   🔍 Missing referenced types reported:', missing.types.missing.length === 2
+            && missing.types.missing.every(entry => entry.side === 'b' && entry.type === 'Person') && Boolean(missing.layers.structHash.errorB));
+    } catch (error) {
+        console.log('   ❌ Typed-data diff test failed:', error.message);
+    }
+    console.log('');
+
+    console.log('3️⃣0️⃣ Testing signer backends...');
+    const commandSigner = path.join(os.tmpdir(), `eip712-command-signer-${process.pid}.js`);
+    try {
+        const permit = {
+            tokenName: 'Backend Token',
+            chainId: 1,
+            verifyingContract: '0x1111111111111111111111111111111111111111',
+            spender: '0x2222222222222222222222222222222222222222',
+            value: '1000',
+            nonce: 0,
+            deadline: 2000000000
+        };
+        const mock = new MockBackend();
+        const mockSigner = new EIP712Signer(mock);
+        const mockPermit = await mockSigner.signPermit(permit);
+        const localPermit = await new EIP712Signer(MOCK_PRIVATE_KEY).signPermit(permit);
+        const request = mock.requests[0];
+        console.log('   🔍 Mock backend signs like the local key:', mockPermit.signature === localPermit.signature && mockPermit.recoveredAddress === mock.address);
+        console.log('   🔍 Mock backend got the v4 document:', mock.requests.length === 1 && request.method === 'eth_signTypedData_v4'
+            && request.params[1].primaryType === 'Permit' && Array.isArray(request.params[1].types.EIP712Domain) && mockSigner.wallet === null);
+
+        const liar = new EIP712Signer(new MockBackend({ respond: () => testWallet.signingKey.sign(ethers.id('something else')).serialized }));
+        try {
+            await liar.signPermit(permit);
+            console.log('   ❌ Signature by another key was accepted');
+        } catch (error) {
+            console.log('   ✅ Signature that does not recover to the signer rejected');
+        }
+
+        // A JSON-RPC signer: the local signing endpoint stands in for a remote signing service
+        const endpoint = await startSigningServer(signer, { port: 0 });
+        try {
+            const remote = new EIP712Signer(new JsonRpcBackend({ url: endpoint.url }));
+            const remotePermit = await remote.signPermit(permit);
+            const cowOrder = await remote.signCowOrder({
+                sellToken: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+                buyToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+                sellAmount: '1000',
+                buyAmount: '1',
+                kind: 'sell',
+                validTo: 2000000000
+            }, { signingScheme: 'ethsign' });
+            console.log('   🔍 JSON-RPC backend discovers its account:', remote.address === testWallet.address);
+            console.log('   🔍 JSON-RPC backend signs permits and ethsign orders:', remotePermit.recoveredAddress === testWallet.address && cowOrder.recoveredAddress === testWallet.address);
+        } finally {
+            await endpoint.close();
+        }
+
+        // An external command: JSON-RPC style request on stdin, signature on stdout
+        fs.writeFileSync(commandSigner, [
+            `const { ethers } = require(${JSON.stringify(require.resolve('ethers'))});`,
+            `const { hashTypedData } = require(${JSON.stringify(path.join(__dirname, 'eip712-breakdown.js'))});`,
+            'const key = new ethers.SigningKey(process.env.EIP712_COMMAND_SIGNER_KEY);',
+            'let input = "";',
+            'process.stdin.on("data", chunk => { input += chunk; });',
+            'process.stdin.on("end", () => {',
+            '    const { method, params } = JSON.parse(input);',
+            '    if (method === "eth_accounts") { console.log(JSON.stringify([ethers.computeAddress(key)])); return; }',
+            '    if (method === "eth_signTypedData_v4") { console.log(key.sign(hashTypedData(JSON.parse(params[1]))).serialized); return; }',
+            '    console.log(JSON.stringify({ error: { message: `unsupported ${method}` } }));',
+            '});'
+        ].join('\n'));
+        process.env.EIP712_COMMAND_SIGNER_KEY = TEST_PRIVATE_KEY;
+        const command = await EIP712Signer.fromKeySource({ signerCommand: `node ${JSON.stringify(commandSigner)}` });
+        const commandResult = await command.signTypedData({ name: 'Command' }, { Vote: [{ name: 'proposal', type: 'uint256' }] }, { proposal: 7n });
+        console.log('   🔍 Command backend signs typed data:', command.address === testWallet.address && commandResult.recoveredAddress === testWallet.address);
+        try {
+            await command.signMessage('hello');
+            console.log('   ❌ Command error answer was accepted');
+        } catch (error) {
+            console.log('   🔍 Command error answers surface:', error.message.includes('unsupported personal_sign'));
+        }
+    } catch (error) {
+        console.log('   ❌ Signer backend test failed:', error.message);
+    } finally {
+        fs.rmSync(commandSigner, { force: true });
+        delete process.env.EIP712_COMMAND_SIGNER_KEY;
+    }
+    console.log('');
+
     console.log('🎉 All tests completed!');
     console.log('');
     console.log('💡 Usage examples:');
-    console.log(`   node eip712-signer.js ${TEST_PRIVATE_KEY} --permit --domain-name "USDC" --chain-id 1 --verifying-contract 0xA0b86a33E6441e3a8b06dd2BC5BF6ef5C0aA2CB0 --spender 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D --value 1000000 --nonce 0`);
+    console.log(`   PRIVATE_KEY=0x... node eip712-signer.js --key-env PRIVATE_KEY --permit --domain-name "USDC" --chain-id 1 --verifying-contract 0xA0b86a33E6441e3a8b06dd2BC5BF6ef5C0aA2CB0 --spender 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D --value 1000000 --nonce 0`);
     console.log('');
-    console.log(`   node eip712-signer.js ${TEST_PRIVATE_KEY} --domain-name "MyApp" --chain-id 1 --verifying-contract 0x742d35Cc... --custom-json '{"types":{"Vote":[{"name":"proposal","type":"uint256"}]},"message":{"proposal":1}}'`);
+    console.log(`   PRIVATE_KEY=0x... node eip712-signer.js --key-env PRIVATE_KEY --domain-name "MyApp" --chain-id 1 --verifying-contract 0x742d35Cc... --custom-json '{"types":{"Vote":[{"name":"proposal","type":"uint256"}]},"message":{"proposal":1}}'`);
 }
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-    runTests().catch(console.error);
+    // A ❌ line or a 🔍 check printing false fails the run, so npm test catches regressions
+    const log = console.log;
+    console.log = (...args) => {
+        const label = typeof args[0] === 'string' ? args[0] : '';
+        if (label.includes('❌') || (label.includes('🔍') && args[args.length - 1] === false)) {
+            process.exitCode = 1;
+        }
+        log(...args);
+    };
+    runTests().catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
 module.exports = { runTests, TEST_PRIVATE_KEY };
\ No newline at end of file